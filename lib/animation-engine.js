@@ -0,0 +1,444 @@
+// ==========================================
+// ANIMATION ENGINE - Server-side rendering
+// ==========================================
+//
+// Runs the effects from public/js/animations.js against a PixelCanvas, samples
+// every mapped screen's area (public/js/mapping.js) and hands the resulting
+// colors to the server, so shows keep running when the controller tab closes.
+// Effects can be layered (public/js/compositor.js); switching effects can crossfade,
+// and bangs (white/colored flashes) decay over whatever is playing. With pixelGrid > 1
+// every screen gets a small picture of its area instead of one color; with tempoSync
+// the animation clock follows the beat grid (public/js/audio.js), and modulations
+// let the audio drive brightness, speed, tint and parameters (public/js/modulation.js).
+
+import { readFileSync } from 'fs';
+import vm from 'vm';
+import { createPixelCanvas } from './pixel-canvas.js';
+
+// Evaluate a browser script (classic, globals) and return what it assigns to module.exports.
+// globals are visible to the script by name (e.g. Animations for effect modules).
+export function loadBrowserScript(path, globals = {}) {
+  const sandbox = { module: { exports: {} }, console, ...globals };
+  vm.createContext(sandbox);
+  vm.runInContext(readFileSync(path, 'utf8'), sandbox, { filename: path });
+  return sandbox.module.exports;
+}
+
+export function createAnimationEngine({
+  animations,
+  mapping,
+  compositor,
+  audio,              // AudioAnalysis (public/js/audio.js)
+  modulation,         // Modulation (public/js/modulation.js)
+  getScreens,         // () => screens this engine should drive (mapped, not rendering locally)
+  sendColors,         // (Array<{ screenId, color }>) => void
+  sendPixels = () => {}, // (Array<{ screenId, w, h, data }>) => void, RGB bytes while pixelGrid > 1
+  onStateChange = () => {},
+  fps = 30,
+  canvasSize = 200
+}) {
+  const canvas = createPixelCanvas(canvasSize, canvasSize);
+  const ctx = canvas.getContext('2d');
+  // The outgoing effect of a crossfade renders here
+  const fadeCanvas = createPixelCanvas(canvasSize, canvasSize);
+  const fadeCtx = fadeCanvas.getContext('2d');
+  // One canvas per layer slot (and per side of a crossfade), made on first use
+  const layerCanvases = { main: [], fade: [] };
+  const lastColors = new Map(); // For delta encoding
+  const lastGrids = new Map();  // Same, for pixel frames
+
+  const params = {
+    speed: 1,
+    brightness: 1,
+    tint: null,
+    layers: [],       // Overlays on top of the effect: [{ animationType, mix, blend }]
+    effectParams: {}, // Per-effect parameter overrides: { [animationType]: { [name]: value } }
+    pixelGrid: 1,     // Cells per side of each screen's picture (1 = one solid color)
+    tempoSync: false, // Animation time counts beats of the controller's tempo (when it has one)
+    modulations: []   // Audio inputs driving the settings above (see Modulation)
+  };
+
+  let timer = null;
+  let animationType = 'gradient';
+  let animationTime = 0;     // seconds of animation time (already scaled by speed)
+  let loopTime = 0;          // Same, but running on through crossfades (see clock)
+  let lastTickAt = 0;
+  let oneShot = null;        // { animationType, durationMs, startedAt }
+  let fade = null;           // { animationType, layers, effectParams, time, speed, brightness, tint, startedAt, durationMs } (outgoing effect)
+  let bang = null;           // { color, startedAt, holdMs, durationMs }
+  const failedEffects = new Set(); // Effects that threw while rendering (logged once)
+  let inputs = { audio: 0 };     // Live show data (see setInputs)
+  let frameInputs = audio.inputsAt(inputs, Date.now()); // What the effects see this frame
+  const modulator = modulation.createModulator();
+  let live = params;             // params as modulated for this frame
+
+  // values: parameter overrides for this effect (see Animations.register)
+  function render(type, time, target = ctx, values = live.effectParams[type]) {
+    // 'audioBeat' is rendered as pulse, same as the controller
+    const name = type === 'audioBeat' ? 'pulse' : type;
+    try {
+      animations.render(name, target, canvasSize, canvasSize, time, values, frameInputs);
+    } catch (err) {
+      // A broken effect module must not take the show down: black frame, one log line
+      if (!failedEffects.has(name)) {
+        failedEffects.add(name);
+        console.warn(`[ENGINE] Effect ${name} failed: ${err.message}`);
+      }
+      target.fillStyle = '#000';
+      target.fillRect(0, 0, canvasSize, canvasSize);
+    }
+  }
+
+  function layerContext(side, index) {
+    if (!layerCanvases[side][index]) {
+      layerCanvases[side][index] = createPixelCanvas(canvasSize, canvasSize).getContext('2d');
+    }
+    return layerCanvases[side][index];
+  }
+
+  // Effect plus its overlays
+  function renderLook(target, side, type, layers, effectParams, time) {
+    compositor.compose(
+      target,
+      canvasSize,
+      compositor.stack(type, time, layers, effectParams),
+      (layerCtx, layerType, layerTime, values) => render(layerType, layerTime, layerCtx, values),
+      (index) => layerContext(side, index)
+    );
+  }
+
+  // direct: (screen) => color for an effect that has colorAt and plays alone
+  function sampleColor(target, screen, tint, brightness, direct = null) {
+    let color = (direct && direct(screen)) || mapping.sampleAreaColor(target, canvasSize, screen);
+    if (tint) color = mapping.applyTint(color, tint);
+    return mapping.applyBrightness(color, brightness);
+  }
+
+  // Per-screen color straight from the effect (each screen gets its own index), or null
+  // when the look needs the canvas (layers, crossfades, effects without colorAt).
+  // point: where on the wall (0-1), the middle of the screen unless given.
+  function directSampler(time) {
+    if (params.layers.length > 0 || fade || !animations.hasColorAt(animationType)) return null;
+    const values = live.effectParams[animationType];
+    return (screen, point = mapping.areaCenter(screen)) => {
+      try {
+        return animations.colorAt(animationType, point.x, point.y, time, values, { ...frameInputs, i: screen.index || 0 });
+      } catch (err) {
+        if (!failedEffects.has(animationType)) {
+          failedEffects.add(animationType);
+          console.warn(`[ENGINE] Effect ${animationType} failed: ${err.message}`);
+        }
+        return { r: 0, g: 0, b: 0 };
+      }
+    };
+  }
+
+  // Pixel grid for one screen (see mapping.sampleAreaGrid): its crop of the canvas, or the
+  // effect's colorAt at every cell, then tinted and dimmed like sampleColor
+  function sampleGrid(pixels, screen, tint, brightness, direct = null) {
+    const n = params.pixelGrid;
+    let grid;
+    if (direct) {
+      grid = new Uint8ClampedArray(n * n * 3);
+      for (let row = 0; row < n; row++) {
+        for (let col = 0; col < n; col++) {
+          const color = direct(screen, mapping.areaPoint(screen, (col + 0.5) / n, (row + 0.5) / n));
+          grid.set([color.r, color.g, color.b], (row * n + col) * 3);
+        }
+      }
+    } else {
+      grid = mapping.sampleAreaGrid(pixels, canvasSize, screen, n, n);
+    }
+    for (let p = 0; p < grid.length; p += 3) {
+      let color = { r: grid[p], g: grid[p + 1], b: grid[p + 2] };
+      if (tint) color = mapping.applyTint(color, tint);
+      grid[p] = color.r * brightness;
+      grid[p + 1] = color.g * brightness;
+      grid[p + 2] = color.b * brightness;
+    }
+    return grid;
+  }
+
+  function mix(a, b, t) {
+    return {
+      r: Math.round(a.r + (b.r - a.r) * t),
+      g: Math.round(a.g + (b.g - a.g) * t),
+      b: Math.round(a.b + (b.b - a.b) * t)
+    };
+  }
+
+  // Crossfade position 0-1 (eased), or null once the outgoing effect is gone
+  function fadeProgress(now) {
+    if (!fade) return null;
+    const t = (now - fade.startedAt) / fade.durationMs;
+    if (t >= 1) {
+      fade = null;
+      return null;
+    }
+    return t * t * (3 - 2 * t);
+  }
+
+  // Bang strength 0-1: full during the hold, then the same decay as the controller's bangs
+  function bangStrength(now) {
+    if (!bang) return 0;
+    const elapsed = now - bang.startedAt;
+    if (elapsed >= bang.durationMs) {
+      bang = null;
+      return 0;
+    }
+    if (elapsed <= bang.holdMs) return 1;
+    return Math.pow(1 - (elapsed - bang.holdMs) / (bang.durationMs - bang.holdMs), 1.6);
+  }
+
+  function sampleAndSend(targets, tint, now = performance.now(), direct = null) {
+    const fadeT = fadeProgress(now);
+    const flash = bangStrength(now);
+    if (params.pixelGrid > 1) {
+      sampleAndSendGrids(targets, tint, fadeT, flash, direct);
+      return;
+    }
+    const colors = [];
+    targets.forEach(screen => {
+      let finalColor = sampleColor(ctx, screen, tint, live.brightness, direct);
+      if (fadeT !== null) {
+        finalColor = mix(sampleColor(fadeCtx, screen, fade.tint, fade.brightness), finalColor, fadeT);
+      }
+      if (flash > 0) finalColor = mix(finalColor, bang.color, flash);
+
+      const lastColor = lastColors.get(screen.socketId);
+      if (!lastColor || mapping.colorDiff(lastColor, finalColor) > 3) {
+        colors.push({ screenId: screen.socketId, color: finalColor });
+        lastColors.set(screen.socketId, finalColor);
+      }
+    });
+    if (colors.length > 0) sendColors(colors);
+  }
+
+  // sampleAndSend for pixel grids: the same fade and bang mixing, pixel by pixel
+  function sampleAndSendGrids(targets, tint, fadeT, flash, direct) {
+    const n = params.pixelGrid;
+    const pixels = direct ? null : ctx.getImageData(0, 0, canvasSize, canvasSize);
+    const fadePixels = fadeT !== null ? fadeCtx.getImageData(0, 0, canvasSize, canvasSize) : null;
+    const frames = [];
+    targets.forEach(screen => {
+      const grid = sampleGrid(pixels, screen, tint, live.brightness, direct);
+      if (fadePixels) {
+        const outgoing = sampleGrid(fadePixels, screen, fade.tint, fade.brightness);
+        for (let i = 0; i < grid.length; i++) grid[i] = outgoing[i] + (grid[i] - outgoing[i]) * fadeT;
+      }
+      if (flash > 0) {
+        const { r, g, b } = bang.color;
+        for (let p = 0; p < grid.length; p += 3) {
+          grid[p] += (r - grid[p]) * flash;
+          grid[p + 1] += (g - grid[p + 1]) * flash;
+          grid[p + 2] += (b - grid[p + 2]) * flash;
+        }
+      }
+
+      const lastGrid = lastGrids.get(screen.socketId);
+      if (!lastGrid || mapping.gridDiff(lastGrid, grid) > 3) {
+        frames.push({ screenId: screen.socketId, w: n, h: n, data: grid });
+        lastGrids.set(screen.socketId, grid);
+      }
+    });
+    if (frames.length > 0) sendPixels(frames);
+  }
+
+  function forgetSent() {
+    lastColors.clear();
+    lastGrids.clear();
+  }
+
+  function tick() {
+    const now = performance.now();
+    // Nothing to drive (e.g. every screen renders locally): keep the clock, skip the work
+    const targets = getScreens();
+    frameInputs = audio.inputsAt(inputs, Date.now());
+    live = modulator.apply(params, params.modulations, frameInputs, now);
+
+    if (oneShot) {
+      const elapsedMs = Math.min(now - oneShot.startedAt, oneShot.durationMs);
+      if (targets.length > 0) {
+        render(oneShot.animationType, (elapsedMs / 1000) * params.speed);
+        sampleAndSend(targets, live.tint);
+      }
+      if (elapsedMs >= oneShot.durationMs) {
+        oneShot = null;
+        halt();
+        onStateChange(getState());
+      }
+      return;
+    }
+
+    // Accumulate time so speed changes (and a modulated speed) don't make the animation
+    // jump; on the beat grid the tempo is the clock (and every renderer lands on the same
+    // downbeats), at the set speed
+    const elapsed = (now - lastTickAt) / 1000;
+    const synced = params.tempoSync ? audio.syncedTime(inputs.tempo, Date.now(), params.speed) : null;
+    animationTime = synced ?? animationTime + elapsed * live.speed;
+    loopTime += elapsed * live.speed;
+    if (fade) fade.time += elapsed * fade.speed;
+    lastTickAt = now;
+    if (targets.length === 0) return;
+    const direct = directSampler(animationTime);
+    if (!direct) renderLook(ctx, 'main', animationType, params.layers, live.effectParams, animationTime);
+    if (fade) renderLook(fadeCtx, 'fade', fade.animationType, fade.layers, fade.effectParams, fade.time);
+    sampleAndSend(targets, live.tint, now, direct);
+  }
+
+  function run() {
+    if (timer) return;
+    lastTickAt = performance.now();
+    timer = setInterval(tick, 1000 / fps);
+  }
+
+  function halt() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  function setParams(next = {}) {
+    if (Number.isFinite(next.speed)) params.speed = next.speed;
+    if (Number.isFinite(next.brightness)) params.brightness = next.brightness;
+    if (next.tint !== undefined) params.tint = next.tint;
+    if (typeof next.animationType === 'string') animationType = next.animationType;
+    if (Array.isArray(next.layers)) params.layers = next.layers;
+    if (next.effectParams && typeof next.effectParams === 'object') params.effectParams = next.effectParams;
+    if (Number.isInteger(next.pixelGrid) && next.pixelGrid !== params.pixelGrid) {
+      params.pixelGrid = next.pixelGrid;
+      // Screens switch between colors and pictures: resend everything
+      forgetSent();
+    }
+    if (typeof next.tempoSync === 'boolean') params.tempoSync = next.tempoSync;
+    if (Array.isArray(next.modulations)) params.modulations = next.modulations;
+    // Right away rather than on the next tick: clock() reports the new speed
+    live = modulator.apply(params, params.modulations, frameInputs, performance.now());
+  }
+
+  function getState() {
+    return {
+      running: timer !== null,
+      oneShot: oneShot !== null,
+      animationType: oneShot ? oneShot.animationType : animationType,
+      speed: params.speed,
+      brightness: params.brightness,
+      tint: params.tint,
+      layers: params.layers,
+      effectParams: params.effectParams,
+      pixelGrid: params.pixelGrid,
+      tempoSync: params.tempoSync,
+      modulations: params.modulations,
+      fading: fade !== null
+    };
+  }
+
+  // A new loop is only tinted, layered, tweaked, gridded, beat-synced and modulated when
+  // asked to: nothing of the sort carries over from the previous one (e.g. into a cue)
+  function loopParams(type, nextParams) {
+    return {
+      ...nextParams,
+      tint: nextParams.tint || null,
+      layers: nextParams.layers || [],
+      effectParams: nextParams.effectParams || {},
+      pixelGrid: nextParams.pixelGrid || 1,
+      tempoSync: nextParams.tempoSync === true,
+      modulations: nextParams.modulations || [],
+      animationType: type
+    };
+  }
+
+  // Start looping (or switch effect without resetting the clock if already running)
+  function start(type, nextParams = {}) {
+    const wasLooping = timer !== null && !oneShot;
+    oneShot = null;
+    fade = null;
+    setParams(loopParams(type, nextParams));
+    if (!wasLooping) {
+      halt();
+      animationTime = 0;
+      loopTime = 0;
+      forgetSent();
+      run();
+    }
+    onStateChange(getState());
+  }
+
+  return {
+    start,
+
+    // Blend from the current loop into another effect over durationMs (a plain start
+    // when nothing is looping or there is no fade time). Speed and brightness carry over
+    // when not given; the rest starts plain, as in start.
+    crossfade(type, nextParams = {}, durationMs = 0) {
+      if (timer === null || oneShot || durationMs <= 0) {
+        start(type, nextParams);
+        return;
+      }
+      fade = {
+        animationType,
+        layers: params.layers,
+        effectParams: params.effectParams,
+        time: animationTime,
+        speed: params.speed,
+        brightness: params.brightness,
+        tint: params.tint,
+        startedAt: performance.now(),
+        durationMs
+      };
+      animationTime = 0;
+      setParams(loopParams(type, nextParams));
+      onStateChange(getState());
+    },
+
+    // Flash every screen with a color that decays back into the running effect
+    bang(color, { holdMs = 120, durationMs = 900 } = {}) {
+      bang = { color, startedAt: performance.now(), holdMs, durationMs };
+    },
+
+    stop() {
+      const wasRunning = timer !== null;
+      halt();
+      oneShot = null;
+      fade = null;
+      bang = null;
+      forgetSent();
+      if (wasRunning) onStateChange(getState());
+    },
+
+    setParams(nextParams) {
+      setParams(nextParams);
+      onStateChange(getState());
+    },
+
+    // Time of the running loop right now, for screens rendering it locally under a
+    // modulated speed (each integrating it on its own would drift apart):
+    // { timeBase (s), at (Date.now() ms), speed }
+    clock() {
+      const sinceTick = timer !== null ? (performance.now() - lastTickAt) / 1000 : 0;
+      return { timeBase: loopTime + sinceTick * live.speed, at: Date.now(), speed: live.speed };
+    },
+
+    // Live show data from the controller's microphone: { audio, low, mid, high, loudness,
+    // centroid (0-1), tempo: { bpm, beat, at (Date.now() ms) } or null }; see AudioAnalysis.inputsAt
+    setInputs(next) {
+      inputs = { ...inputs, ...next };
+    },
+
+    // Play an effect once for durationMs, then hold the last frame (ignored while one is running)
+    runOneShot(type, durationMs, nextParams) {
+      if (oneShot) return false;
+      halt();
+      fade = null;
+      setParams(nextParams);
+      forgetSent();
+      oneShot = { animationType: type, durationMs, startedAt: performance.now() };
+      run();
+      onStateChange(getState());
+      return true;
+    },
+
+    getState
+  };
+}
@@ -0,0 +1,69 @@
+// ==========================================
+// AUTH - Controller sessions and join codes
+// ==========================================
+
+import { randomBytes, randomInt, createHash, timingSafeEqual } from 'crypto';
+
+// Constant-time string comparison (hash first so lengths always match)
+export function safeEqual(a, b) {
+  const hashA = createHash('sha256').update(String(a)).digest();
+  const hashB = createHash('sha256').update(String(b)).digest();
+  return timingSafeEqual(hashA, hashB);
+}
+
+// Numeric PIN / join code, easy to type on a phone
+export function generateCode(digits) {
+  return String(randomInt(0, 10 ** digits)).padStart(digits, '0');
+}
+
+// Opaque session tokens handed out after a successful PIN login
+export function createSessionStore({ ttl = 12 * 60 * 60 * 1000 } = {}) {
+  const sessions = new Map(); // token -> expiresAt
+
+  function isValid(token) {
+    if (typeof token !== 'string') return false;
+    const expiresAt = sessions.get(token);
+    if (!expiresAt) return false;
+    if (expiresAt < Date.now()) {
+      sessions.delete(token);
+      return false;
+    }
+    return true;
+  }
+
+  return {
+    create() {
+      const token = randomBytes(24).toString('hex');
+      sessions.set(token, Date.now() + ttl);
+      return token;
+    },
+    isValid,
+    revoke(token) {
+      sessions.delete(token);
+    }
+  };
+}
+
+// Failed attempts per key (IP): lock out after maxFailures for lockMs
+export function createLoginThrottle({ maxFailures = 5, lockMs = 30 * 1000 } = {}) {
+  const failures = new Map(); // key -> { count, lockedUntil }
+
+  return {
+    isLocked(key) {
+      const entry = failures.get(key);
+      return !!entry && entry.lockedUntil > Date.now();
+    },
+    fail(key) {
+      const entry = failures.get(key) || { count: 0, lockedUntil: 0 };
+      entry.count++;
+      if (entry.count >= maxFailures) {
+        entry.count = 0;
+        entry.lockedUntil = Date.now() + lockMs;
+      }
+      failures.set(key, entry);
+    },
+    succeed(key) {
+      failures.delete(key);
+    }
+  };
+}
@@ -0,0 +1,100 @@
+// ==========================================
+// CUE PLAYER - Pre-programmed shows
+// ==========================================
+//
+// Steps through a cue list. Each cue starts an effect (crossfading from the
+// previous one), fires its bangs at their marked times and either advances
+// after `duration` seconds or waits for GO. It lives on the server, so the
+// show keeps running while controllers come and go.
+
+// cue: { name, animationType, tint, speed, brightness, duration (s, none = wait for GO),
+//        fade (s), bangs: [{ at (s from cue start), color }] }
+export function createCuePlayer({
+  onCue,              // (cue, index) => void
+  onBang,             // (bang, cue) => void
+  onStateChange = () => {}
+}) {
+  let list = null;         // { name, loop, cues }
+  let index = -1;          // Cue on stage (-1 = not started)
+  let running = false;     // false once stopped or past the last cue (the last look stays up)
+  let cueStartedAt = null; // Date.now() when the current cue went
+  let timers = [];
+
+  function clearTimers() {
+    timers.forEach(clearTimeout);
+    timers = [];
+  }
+
+  function getState() {
+    const cue = list && index >= 0 ? list.cues[index] : null;
+    return {
+      list: list ? { name: list.name, loop: !!list.loop, cues: list.cues } : null,
+      index,
+      running,
+      cueStartedAt: cue ? cueStartedAt : null,
+      // Seconds until the next cue goes by itself (null = waits for GO)
+      duration: cue && cue.duration ? cue.duration : null
+    };
+  }
+
+  function enter(nextIndex) {
+    clearTimers();
+    const cue = list.cues[nextIndex];
+    index = nextIndex;
+    running = true;
+    cueStartedAt = Date.now();
+    onCue(cue, index);
+    (cue.bangs || []).forEach(bang => {
+      timers.push(setTimeout(() => onBang(bang, cue), bang.at * 1000));
+    });
+    if (cue.duration) timers.push(setTimeout(advance, cue.duration * 1000));
+    onStateChange(getState());
+  }
+
+  function advance() {
+    if (index + 1 < list.cues.length) {
+      enter(index + 1);
+    } else if (list.loop) {
+      enter(0);
+    } else {
+      clearTimers();
+      running = false;
+      onStateChange(getState());
+    }
+  }
+
+  return {
+    // Replace the list; nothing plays until GO
+    load(nextList) {
+      clearTimers();
+      list = nextList;
+      index = -1;
+      running = false;
+      cueStartedAt = null;
+      onStateChange(getState());
+    },
+
+    // Next cue, also after a stop; past the end it starts over
+    go() {
+      if (!list || list.cues.length === 0) return false;
+      enter(index + 1 < list.cues.length ? index + 1 : 0);
+      return true;
+    },
+
+    goTo(nextIndex) {
+      if (!list || !Number.isInteger(nextIndex) || nextIndex < 0 || nextIndex >= list.cues.length) return false;
+      enter(nextIndex);
+      return true;
+    },
+
+    // Stop sequencing; whatever is on stage keeps playing
+    stop() {
+      const wasRunning = running;
+      clearTimers();
+      running = false;
+      if (wasRunning) onStateChange(getState());
+    },
+
+    getState
+  };
+}
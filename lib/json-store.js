@@ -0,0 +1,74 @@
+// ==========================================
+// JSON STORE - Named JSON documents on disk
+// ==========================================
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+
+// Turn a user-facing name into a safe file name ("Teatro Sábado #2" → "teatro-sabado-2")
+export function slugify(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 64);
+}
+
+// Store of `<dir>/<slug>.json` files. Every document keeps its display name inside.
+export function createJsonStore(dir) {
+  const fileFor = (name) => {
+    const slug = slugify(name);
+    if (!slug) throw new Error('Invalid name');
+    return join(dir, `${slug}.json`);
+  };
+
+  return {
+    async list() {
+      let files;
+      try {
+        files = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const docs = [];
+      for (const file of files.filter(f => f.endsWith('.json'))) {
+        try {
+          docs.push(JSON.parse(await fs.readFile(join(dir, file), 'utf8')));
+        } catch (err) {
+          console.warn(`[STORE] Skipping unreadable file ${file}: ${err.message}`);
+        }
+      }
+      return docs;
+    },
+
+    // Returns null when the document does not exist
+    async load(name) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(name), 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async save(name, doc) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(name), JSON.stringify(doc, null, 2));
+      return doc;
+    },
+
+    // Returns false when there was nothing to delete
+    async remove(name) {
+      try {
+        await fs.unlink(fileFor(name));
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    }
+  };
+}
@@ -0,0 +1,86 @@
+// ==========================================
+// MEDIA STORE - Uploaded images and videos on disk
+// ==========================================
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { slugify } from './json-store.js';
+
+// Accepted uploads: MIME type -> file extension
+export const MEDIA_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm'
+};
+
+const TYPE_BY_EXTENSION = Object.fromEntries(Object.entries(MEDIA_TYPES).map(([type, ext]) => [ext, type]));
+
+// Store of `<dir>/<slug>.<ext>` files; the slug is the media name, so an upload
+// replaces an earlier one with the same name whatever its format was
+export function createMediaStore(dir) {
+  const slugFor = (name) => {
+    const slug = slugify(name);
+    if (!slug) throw new Error('Invalid name');
+    return slug;
+  };
+
+  const describe = (file, stat) => {
+    const dot = file.lastIndexOf('.');
+    const type = TYPE_BY_EXTENSION[file.slice(dot + 1)];
+    if (dot <= 0 || !type) return null;
+    return {
+      name: file.slice(0, dot),
+      file,
+      type,
+      kind: type.split('/')[0], // 'image' | 'video'
+      size: stat.size,
+      savedAt: stat.mtime.toISOString()
+    };
+  };
+
+  async function files() {
+    try {
+      return await fs.readdir(dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  // Files stored under a slug, whatever their extension
+  async function filesOf(slug) {
+    return (await files()).filter(file => file.slice(0, file.lastIndexOf('.')) === slug);
+  }
+
+  return {
+    async list() {
+      const items = [];
+      for (const file of await files()) {
+        const item = describe(file, await fs.stat(join(dir, file)));
+        if (item) items.push(item);
+      }
+      return items;
+    },
+
+    async save(name, type, data) {
+      const ext = MEDIA_TYPES[type];
+      if (!ext) throw new Error(`Unsupported media type ${type}`);
+      const slug = slugFor(name);
+      await fs.mkdir(dir, { recursive: true });
+      for (const file of await filesOf(slug)) await fs.unlink(join(dir, file));
+      const file = `${slug}.${ext}`;
+      await fs.writeFile(join(dir, file), data);
+      return describe(file, await fs.stat(join(dir, file)));
+    },
+
+    // Returns false when there was nothing to delete
+    async remove(name) {
+      const stored = await filesOf(slugFor(name));
+      for (const file of stored) await fs.unlink(join(dir, file));
+      return stored.length > 0;
+    }
+  };
+}
@@ -0,0 +1,569 @@
+// ==========================================
+// PIXEL CANVAS - Minimal 2D canvas for Node
+// ==========================================
+//
+// Software implementation of the subset of CanvasRenderingContext2D used by
+// public/js/animations.js, so the same effects can render on the server:
+// fillRect/clearRect, paths (moveTo, lineTo, arc, rect) with fill/stroke,
+// linear/radial gradients, save/restore/translate/rotate/scale and ImageData.
+// No anti-aliasing: a pixel is covered when its center is inside the shape.
+
+const colorCache = new Map();
+
+const NAMED_COLORS = {
+  transparent: { r: 0, g: 0, b: 0, a: 0 },
+  black: { r: 0, g: 0, b: 0, a: 1 },
+  white: { r: 255, g: 255, b: 255, a: 1 },
+  red: { r: 255, g: 0, b: 0, a: 1 },
+  lime: { r: 0, g: 255, b: 0, a: 1 },
+  green: { r: 0, g: 128, b: 0, a: 1 },
+  blue: { r: 0, g: 0, b: 255, a: 1 },
+  yellow: { r: 255, g: 255, b: 0, a: 1 },
+  cyan: { r: 0, g: 255, b: 255, a: 1 },
+  magenta: { r: 255, g: 0, b: 255, a: 1 },
+  orange: { r: 255, g: 165, b: 0, a: 1 }
+};
+
+function hueToChannel(p, q, t) {
+  if (t < 0) t += 1;
+  if (t > 1) t -= 1;
+  if (t < 1 / 6) return p + (q - p) * 6 * t;
+  if (t < 1 / 2) return q;
+  if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+  return p;
+}
+
+function parseComponent(value, max) {
+  const v = value.trim();
+  return v.endsWith('%') ? (parseFloat(v) / 100) * max : parseFloat(v);
+}
+
+// Parse a CSS color string into { r, g, b, a } (channels 0-255, alpha 0-1)
+export function parseColor(input) {
+  const key = String(input).trim().toLowerCase();
+  const cached = colorCache.get(key);
+  if (cached) return cached;
+
+  let color = NAMED_COLORS[key] || null;
+
+  if (!color && key.startsWith('#')) {
+    const hex = key.slice(1);
+    if (hex.length === 3 || hex.length === 4) {
+      const [r, g, b, a = 'f'] = hex.split('');
+      color = {
+        r: parseInt(r + r, 16),
+        g: parseInt(g + g, 16),
+        b: parseInt(b + b, 16),
+        a: parseInt(a + a, 16) / 255
+      };
+    } else if (hex.length === 6 || hex.length === 8) {
+      color = {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16),
+        a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+      };
+    }
+  }
+
+  if (!color) {
+    const match = key.match(/^(rgba?|hsla?)\((.*)\)$/);
+    if (match) {
+      const parts = match[2].split(/[\s,/]+/).filter(Boolean);
+      const alpha = parts.length > 3 ? parseComponent(parts[3], 1) : 1;
+      if (match[1].startsWith('rgb')) {
+        color = {
+          r: parseComponent(parts[0], 255),
+          g: parseComponent(parts[1], 255),
+          b: parseComponent(parts[2], 255),
+          a: alpha
+        };
+      } else {
+        const h = ((((parseFloat(parts[0]) % 360) + 360) % 360) / 360);
+        const s = parseComponent(parts[1], 1);
+        const l = parseComponent(parts[2], 1);
+        if (s === 0) {
+          color = { r: l * 255, g: l * 255, b: l * 255, a: alpha };
+        } else {
+          const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+          const p = 2 * l - q;
+          color = {
+            r: hueToChannel(p, q, h + 1 / 3) * 255,
+            g: hueToChannel(p, q, h) * 255,
+            b: hueToChannel(p, q, h - 1 / 3) * 255,
+            a: alpha
+          };
+        }
+      }
+    }
+  }
+
+  if (!color || [color.r, color.g, color.b, color.a].some(Number.isNaN)) {
+    color = NAMED_COLORS.black;
+  }
+
+  color = {
+    r: Math.min(255, Math.max(0, color.r)),
+    g: Math.min(255, Math.max(0, color.g)),
+    b: Math.min(255, Math.max(0, color.b)),
+    a: Math.min(1, Math.max(0, color.a))
+  };
+
+  // Animations build strings from time-varying hues; keep the cache bounded
+  if (colorCache.size > 4096) colorCache.clear();
+  colorCache.set(key, color);
+  return color;
+}
+
+// ==========================================
+// GRADIENTS
+// ==========================================
+
+class PixelGradient {
+  constructor(type, coords) {
+    this.type = type;
+    this.coords = coords;
+    this.stops = [];
+  }
+
+  addColorStop(offset, color) {
+    this.stops.push({ offset: Math.min(1, Math.max(0, offset)), color: parseColor(color) });
+    this.stops.sort((a, b) => a.offset - b.offset);
+  }
+
+  // Gradient parameter t for a point in user space (null when undefined)
+  parameterAt(x, y) {
+    if (this.type === 'linear') {
+      const [x0, y0, x1, y1] = this.coords;
+      const dx = x1 - x0;
+      const dy = y1 - y0;
+      const len2 = dx * dx + dy * dy;
+      if (len2 === 0) return null;
+      return ((x - x0) * dx + (y - y0) * dy) / len2;
+    }
+
+    // Radial: largest t where the point lies on circle(t) with radius >= 0
+    const [x0, y0, r0, x1, y1, r1] = this.coords;
+    const cdx = x1 - x0;
+    const cdy = y1 - y0;
+    const dr = r1 - r0;
+    const pdx = x - x0;
+    const pdy = y - y0;
+    const a = cdx * cdx + cdy * cdy - dr * dr;
+    const b = pdx * cdx + pdy * cdy + r0 * dr;
+    const c = pdx * pdx + pdy * pdy - r0 * r0;
+
+    if (Math.abs(a) < 1e-9) {
+      if (Math.abs(b) < 1e-9) return null;
+      const t = c / (2 * b);
+      return r0 + t * dr >= 0 ? t : null;
+    }
+
+    const disc = b * b - a * c;
+    if (disc < 0) return null;
+    const sq = Math.sqrt(disc);
+    const t1 = (b + sq) / a;
+    const t2 = (b - sq) / a;
+    const best = Math.max(t1, t2);
+    if (r0 + best * dr >= 0) return best;
+    const other = Math.min(t1, t2);
+    return r0 + other * dr >= 0 ? other : null;
+  }
+
+  colorAt(x, y) {
+    const stops = this.stops;
+    if (stops.length === 0) return NAMED_COLORS.transparent;
+    const t = this.parameterAt(x, y);
+    if (t === null) return NAMED_COLORS.transparent;
+    if (t <= stops[0].offset) return stops[0].color;
+    const last = stops[stops.length - 1];
+    if (t >= last.offset) return last.color;
+
+    for (let i = 1; i < stops.length; i++) {
+      const to = stops[i];
+      if (t <= to.offset) {
+        const from = stops[i - 1];
+        const span = to.offset - from.offset;
+        const k = span > 0 ? (t - from.offset) / span : 1;
+        return {
+          r: from.color.r + (to.color.r - from.color.r) * k,
+          g: from.color.g + (to.color.g - from.color.g) * k,
+          b: from.color.b + (to.color.b - from.color.b) * k,
+          a: from.color.a + (to.color.a - from.color.a) * k
+        };
+      }
+    }
+    return last.color;
+  }
+}
+
+// ==========================================
+// CONTEXT
+// ==========================================
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
+function invert(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (det === 0) return null;
+  return [
+    m[3] / det,
+    -m[1] / det,
+    -m[2] / det,
+    m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det,
+    (m[1] * m[4] - m[0] * m[5]) / det
+  ];
+}
+
+class PixelContext2D {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.data = new Uint8ClampedArray(this.width * this.height * 4);
+    this.coverage = new Uint8Array(this.width * this.height);
+
+    this.fillStyle = '#000';
+    this.strokeStyle = '#000';
+    this.lineWidth = 1;
+    this.globalAlpha = 1;
+    this.transform = IDENTITY.slice();
+    this.stack = [];
+    this.subpaths = [];
+  }
+
+  // ---------- State ----------
+
+  save() {
+    this.stack.push({
+      fillStyle: this.fillStyle,
+      strokeStyle: this.strokeStyle,
+      lineWidth: this.lineWidth,
+      globalAlpha: this.globalAlpha,
+      transform: this.transform.slice()
+    });
+  }
+
+  restore() {
+    const state = this.stack.pop();
+    if (state) Object.assign(this, state);
+  }
+
+  translate(x, y) {
+    this.transform = multiply(this.transform, [1, 0, 0, 1, x, y]);
+  }
+
+  rotate(angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform = multiply(this.transform, [cos, sin, -sin, cos, 0, 0]);
+  }
+
+  scale(x, y) {
+    this.transform = multiply(this.transform, [x, 0, 0, y, 0, 0]);
+  }
+
+  setTransform(a, b, c, d, e, f) {
+    this.transform = [a, b, c, d, e, f];
+  }
+
+  resetTransform() {
+    this.transform = IDENTITY.slice();
+  }
+
+  // ---------- Styles ----------
+
+  createLinearGradient(x0, y0, x1, y1) {
+    return new PixelGradient('linear', [x0, y0, x1, y1]);
+  }
+
+  createRadialGradient(x0, y0, r0, x1, y1, r1) {
+    return new PixelGradient('radial', [x0, y0, r0, x1, y1, r1]);
+  }
+
+  // Returns a function (deviceX, deviceY) → color for the given style
+  paintFor(style) {
+    if (style instanceof PixelGradient) {
+      const inverse = invert(this.transform) || IDENTITY;
+      return (x, y) => style.colorAt(
+        inverse[0] * x + inverse[2] * y + inverse[4],
+        inverse[1] * x + inverse[3] * y + inverse[5]
+      );
+    }
+    const color = parseColor(style);
+    return () => color;
+  }
+
+  // ---------- Pixels ----------
+
+  blend(index, color) {
+    const alpha = color.a * this.globalAlpha;
+    if (alpha <= 0) return;
+    const data = this.data;
+    const i = index * 4;
+    if (alpha >= 1) {
+      data[i] = color.r;
+      data[i + 1] = color.g;
+      data[i + 2] = color.b;
+      data[i + 3] = 255;
+      return;
+    }
+    const dstA = data[i + 3] / 255;
+    const outA = alpha + dstA * (1 - alpha);
+    data[i] = (color.r * alpha + data[i] * dstA * (1 - alpha)) / outA;
+    data[i + 1] = (color.g * alpha + data[i + 1] * dstA * (1 - alpha)) / outA;
+    data[i + 2] = (color.b * alpha + data[i + 2] * dstA * (1 - alpha)) / outA;
+    data[i + 3] = outA * 255;
+  }
+
+  // Blend every pixel flagged in the coverage mask within the bounds, then clear the mask
+  paintCoverage(bounds, style) {
+    const paint = this.paintFor(style);
+    const { minX, minY, maxX, maxY } = bounds;
+    for (let y = minY; y <= maxY; y++) {
+      for (let x = minX; x <= maxX; x++) {
+        const index = y * this.width + x;
+        if (this.coverage[index]) {
+          this.coverage[index] = 0;
+          this.blend(index, paint(x + 0.5, y + 0.5));
+        }
+      }
+    }
+  }
+
+  deviceBounds(points, pad = 0) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(([x, y]) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    });
+    return {
+      minX: Math.max(0, Math.floor(minX - pad)),
+      minY: Math.max(0, Math.floor(minY - pad)),
+      maxX: Math.min(this.width - 1, Math.ceil(maxX + pad)),
+      maxY: Math.min(this.height - 1, Math.ceil(maxY + pad))
+    };
+  }
+
+  toDevice(x, y) {
+    const m = this.transform;
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+  }
+
+  // Like the browser, fillRect/clearRect leave the current path untouched
+  fillRect(x, y, w, h) {
+    const path = this.subpaths;
+    this.subpaths = [];
+    this.rect(x, y, w, h);
+    this.fill();
+    this.subpaths = path;
+  }
+
+  clearRect(x, y, w, h) {
+    const corners = [this.toDevice(x, y), this.toDevice(x + w, y), this.toDevice(x + w, y + h), this.toDevice(x, y + h)];
+    const path = this.subpaths;
+    this.subpaths = [{ points: corners, closed: true }];
+    const bounds = this.rasterizeFill();
+    if (bounds) {
+      for (let py = bounds.minY; py <= bounds.maxY; py++) {
+        for (let px = bounds.minX; px <= bounds.maxX; px++) {
+          const index = py * this.width + px;
+          if (this.coverage[index]) {
+            this.coverage[index] = 0;
+            this.data.fill(0, index * 4, index * 4 + 4);
+          }
+        }
+      }
+    }
+    this.subpaths = path;
+  }
+
+  createImageData(width, height) {
+    return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+  }
+
+  getImageData(sx, sy, sw, sh) {
+    const image = this.createImageData(sw, sh);
+    const x0 = Math.max(0, sx);
+    const x1 = Math.min(this.width, sx + sw);
+    if (x1 <= x0) return image;
+    for (let y = 0; y < sh; y++) {
+      const srcY = sy + y;
+      if (srcY < 0 || srcY >= this.height) continue;
+      const row = this.data.subarray((srcY * this.width + x0) * 4, (srcY * this.width + x1) * 4);
+      image.data.set(row, (y * sw + (x0 - sx)) * 4);
+    }
+    return image;
+  }
+
+  putImageData(image, dx, dy) {
+    const x0 = Math.max(0, dx);
+    const x1 = Math.min(this.width, dx + image.width);
+    if (x1 <= x0) return;
+    for (let y = 0; y < image.height; y++) {
+      const dstY = dy + y;
+      if (dstY < 0 || dstY >= this.height) continue;
+      const row = image.data.subarray((y * image.width + (x0 - dx)) * 4, (y * image.width + (x1 - dx)) * 4);
+      this.data.set(row, (dstY * this.width + x0) * 4);
+    }
+  }
+
+  // ---------- Paths ----------
+
+  beginPath() {
+    this.subpaths = [];
+  }
+
+  currentSubpath() {
+    if (this.subpaths.length === 0) {
+      this.subpaths.push({ points: [], closed: false });
+    }
+    return this.subpaths[this.subpaths.length - 1];
+  }
+
+  moveTo(x, y) {
+    this.subpaths.push({ points: [this.toDevice(x, y)], closed: false });
+  }
+
+  lineTo(x, y) {
+    this.currentSubpath().points.push(this.toDevice(x, y));
+  }
+
+  closePath() {
+    const sub = this.currentSubpath();
+    sub.closed = true;
+    if (sub.points.length) {
+      this.subpaths.push({ points: [sub.points[0]], closed: false });
+    }
+  }
+
+  rect(x, y, w, h) {
+    this.subpaths.push({
+      points: [this.toDevice(x, y), this.toDevice(x + w, y), this.toDevice(x + w, y + h), this.toDevice(x, y + h)],
+      closed: true
+    });
+    this.subpaths.push({ points: [this.toDevice(x, y)], closed: false });
+  }
+
+  arc(cx, cy, radius, startAngle, endAngle, anticlockwise = false) {
+    let sweep = endAngle - startAngle;
+    const full = Math.PI * 2;
+    if (!anticlockwise && sweep < 0) sweep = (sweep % full) + full;
+    if (anticlockwise && sweep > 0) sweep = (sweep % full) - full;
+    if (Math.abs(endAngle - startAngle) >= full) sweep = anticlockwise ? -full : full;
+
+    const m = this.transform;
+    const deviceRadius = radius * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    const segments = Math.min(256, Math.max(8, Math.ceil(Math.abs(sweep) * deviceRadius / 2)));
+    const sub = this.currentSubpath();
+    for (let i = 0; i <= segments; i++) {
+      const angle = startAngle + sweep * (i / segments);
+      sub.points.push(this.toDevice(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius));
+    }
+  }
+
+  // Mark covered pixels (nonzero winding) in the coverage mask; returns their bounds
+  rasterizeFill() {
+    const edges = [];
+    const allPoints = [];
+    this.subpaths.forEach(({ points }) => {
+      if (points.length < 3) return;
+      for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        if (a[1] !== b[1]) edges.push(a[1] < b[1] ? [a, b, 1] : [b, a, -1]);
+        allPoints.push(a);
+      }
+    });
+    if (edges.length === 0) return null;
+
+    const bounds = this.deviceBounds(allPoints);
+    if (bounds.minX > bounds.maxX || bounds.minY > bounds.maxY) return null;
+
+    for (let y = bounds.minY; y <= bounds.maxY; y++) {
+      const sampleY = y + 0.5;
+      const crossings = [];
+      edges.forEach(([top, bottom, dir]) => {
+        if (sampleY >= top[1] && sampleY < bottom[1]) {
+          const t = (sampleY - top[1]) / (bottom[1] - top[1]);
+          crossings.push({ x: top[0] + (bottom[0] - top[0]) * t, dir });
+        }
+      });
+      if (crossings.length < 2) continue;
+      crossings.sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+      for (let i = 0; i < crossings.length - 1; i++) {
+        winding += crossings[i].dir;
+        if (winding === 0) continue;
+        const startX = Math.max(bounds.minX, Math.ceil(crossings[i].x - 0.5));
+        const endX = Math.min(bounds.maxX, Math.ceil(crossings[i + 1].x - 0.5) - 1);
+        for (let x = startX; x <= endX; x++) {
+          this.coverage[y * this.width + x] = 1;
+        }
+      }
+    }
+    return bounds;
+  }
+
+  fill() {
+    const bounds = this.rasterizeFill();
+    if (bounds) this.paintCoverage(bounds, this.fillStyle);
+  }
+
+  stroke() {
+    const m = this.transform;
+    const halfWidth = (this.lineWidth * Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]))) / 2;
+    const allPoints = [];
+
+    this.subpaths.forEach(({ points, closed }) => {
+      const count = closed ? points.length : points.length - 1;
+      for (let i = 0; i < count; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        const segBounds = this.deviceBounds([a, b], halfWidth + 1);
+        const dx = b[0] - a[0];
+        const dy = b[1] - a[1];
+        const len2 = dx * dx + dy * dy;
+        for (let y = segBounds.minY; y <= segBounds.maxY; y++) {
+          for (let x = segBounds.minX; x <= segBounds.maxX; x++) {
+            const px = x + 0.5 - a[0];
+            const py = y + 0.5 - a[1];
+            const t = len2 > 0 ? Math.min(1, Math.max(0, (px * dx + py * dy) / len2)) : 0;
+            const ex = px - dx * t;
+            const ey = py - dy * t;
+            if (ex * ex + ey * ey <= halfWidth * halfWidth) {
+              this.coverage[y * this.width + x] = 1;
+            }
+          }
+        }
+        allPoints.push(a, b);
+      }
+    });
+
+    if (allPoints.length === 0) return;
+    this.paintCoverage(this.deviceBounds(allPoints, halfWidth + 1), this.strokeStyle);
+  }
+}
+
+// Drop-in stand-in for an HTMLCanvasElement
+export function createPixelCanvas(width, height) {
+  const canvas = { width, height };
+  const ctx = new PixelContext2D(canvas);
+  canvas.getContext = () => ctx;
+  return canvas;
+}
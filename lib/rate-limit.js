@@ -0,0 +1,21 @@
+// ==========================================
+// RATE LIMIT - Token buckets per key
+// ==========================================
+
+// Each key gets `limit` tokens that refill continuously over `intervalMs`
+export function createRateLimiter() {
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+
+  return {
+    take(key, limit, intervalMs) {
+      const now = Date.now();
+      const bucket = buckets.get(key) || { tokens: limit, updatedAt: now };
+      bucket.tokens = Math.min(limit, bucket.tokens + ((now - bucket.updatedAt) / intervalMs) * limit);
+      bucket.updatedAt = now;
+      buckets.set(key, bucket);
+      if (bucket.tokens < 1) return false;
+      bucket.tokens -= 1;
+      return true;
+    }
+  };
+}
@@ -0,0 +1,121 @@
+// ==========================================
+// VALIDATION - Small schemas for socket payloads
+// ==========================================
+//
+// A schema is a function (value, path) => sanitized value that throws a
+// ValidationError. Objects keep only the keys in their shape, numbers can be
+// clamped instead of rejected, so handlers only ever see clean data.
+
+export class ValidationError extends Error {
+  constructor(path, message) {
+    super(`${path || 'payload'} ${message}`);
+    this.name = 'ValidationError';
+    this.path = path;
+  }
+}
+
+function fail(path, message) {
+  throw new ValidationError(path, message);
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : String(key);
+}
+
+export const v = {
+  number({ min = -Infinity, max = Infinity, clamp = false, integer = false } = {}) {
+    return (value, path) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) fail(path, 'must be a number');
+      let n = integer ? Math.round(value) : value;
+      if (n < min || n > max) {
+        if (!clamp) fail(path, `must be between ${min} and ${max}`);
+        n = Math.min(Math.max(n, min), max);
+      }
+      return n;
+    };
+  },
+
+  // Normalized coordinate: clamped into 0-1
+  unit() {
+    return v.number({ min: 0, max: 1, clamp: true });
+  },
+
+  string({ maxLength = 256, pattern = null } = {}) {
+    return (value, path) => {
+      if (typeof value !== 'string') fail(path, 'must be a string');
+      if (value.length > maxLength) fail(path, `must be at most ${maxLength} characters`);
+      if (pattern && !pattern.test(value)) fail(path, 'has an invalid format');
+      return value;
+    };
+  },
+
+  boolean() {
+    return (value, path) => {
+      if (typeof value !== 'boolean') fail(path, 'must be true or false');
+      return value;
+    };
+  },
+
+  // Binary data (socket.io hands it over as a Buffer)
+  bytes({ maxLength = 65536 } = {}) {
+    return (value, path) => {
+      if (!Buffer.isBuffer(value)) fail(path, 'must be binary data');
+      if (value.length > maxLength) fail(path, `must be at most ${maxLength} bytes`);
+      return value;
+    };
+  },
+
+  oneOf(values) {
+    return (value, path) => {
+      if (!values.includes(value)) fail(path, `must be one of ${values.join(', ')}`);
+      return value;
+    };
+  },
+
+  // undefined and null pass through untouched
+  optional(schema) {
+    return (value, path) => (value === undefined || value === null ? value : schema(value, path));
+  },
+
+  object(shape) {
+    return (value, path) => {
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) fail(path, 'must be an object');
+      const result = {};
+      Object.keys(shape).forEach(key => {
+        const sanitized = shape[key](value[key], join(path, key));
+        if (sanitized !== undefined) result[key] = sanitized;
+      });
+      return result;
+    };
+  },
+
+  array(item, { min = 0, max = 1000 } = {}) {
+    return (value, path) => {
+      if (!Array.isArray(value)) fail(path, 'must be an array');
+      if (value.length < min || value.length > max) fail(path, `must have between ${min} and ${max} items`);
+      return value.map((entry, i) => item(entry, join(path, i)));
+    };
+  },
+
+  // { r, g, b } clamped to 0-255, { hex } or a hex / named CSS color string
+  color() {
+    const channel = v.number({ min: 0, max: 255, clamp: true, integer: true });
+    const cssColor = v.string({ maxLength: 32, pattern: /^(#[0-9a-f]{3,8}|[a-z]{3,20})$/i });
+    return (value, path) => {
+      if (typeof value === 'string') return cssColor(value, path);
+      if (typeof value !== 'object' || value === null) fail(path, 'must be a color');
+      if (value.r === undefined && typeof value.hex === 'string') {
+        return { hex: cssColor(value.hex, join(path, 'hex')) };
+      }
+      return {
+        r: channel(value.r, join(path, 'r')),
+        g: channel(value.g, join(path, 'g')),
+        b: channel(value.b, join(path, 'b'))
+      };
+    };
+  }
+};
+
+export function validate(schema, value) {
+  return schema(value, '');
+}
@@ -1,72 +1,363 @@
 // ==========================================
 // ANIMATIONS - Multi-Screen Sync
 // ==========================================
+//
+// Effects register themselves by name:
+//
+//   Animations.register('myEffect', {
+//     label: 'Mi efecto',       // Button text in the controller
+//     category: 'Extra',        // Groups the controller's grid
+//     preview: '#f0f',          // CSS background for the button's swatch
+//     params: [...],            // Parameter schema (see below)
+//     render(ctx, width, height, time, params, inputs) { ... },
+//     colorAt(x, y, time, params, inputs) { ... } // Optional, see below
+//   });
+//
+// Parameters: [{ name, label, type ('number' | 'color' | 'boolean' | 'text' | 'select'), default }],
+// numbers with min, max and step, text with maxLength, select with options [{ value, label }].
+// The controller builds its sliders, color pickers, toggles, text boxes and dropdowns from
+// them; render gets every value already resolved. Values travel as effectParams:
+// { [animationType]: { [name]: value } }, overrides only.
+//
+// inputs carries live data from the show: { audio (bass, 0-1), low, mid, high (band levels,
+// 0-1), loudness, centroid (0-1), bpm, beat (beats on the tempo grid, see audio.js),
+// i (screen index) }. An effect
+// with colorAt can give a screen its color straight from its position (0-1), without
+// drawing a canvas first; samplers use it when that effect plays alone (no layers).
+//
+// Extra effects are plain scripts calling Animations.register, dropped into the
+// server's effects folder (see /api/effects); nothing in here needs to change.
 
 const Animations = {
-  
-  // ==========================================
-  // GRADIENT - Horizontal color sweep
-  // ==========================================
-  gradient(ctx, width, height, time) {
+  effects: new Map(), // name -> { name, label, category, preview, params, render, colorAt }
+
+  register(name, { render, colorAt = null, params = [], label = name, category = 'Extra', preview = null }) {
+    if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) throw new Error(`Invalid effect name: ${name}`);
+    if (typeof render !== 'function') throw new Error(`Effect ${name} has no render function`);
+    if (this.effects.has(name)) console.warn(`[ANIMATIONS] Replacing effect: ${name}`);
+    this.effects.set(name, { name, label, category, preview, params, render, colorAt });
+  },
+
+  unregister(name) {
+    return this.effects.delete(name);
+  },
+
+  has(name) {
+    return this.effects.has(name);
+  },
+
+  // Registration order, which is also the controller's grid order
+  list() {
+    return [...this.effects.values()];
+  },
+
+  // Draw one frame; unknown effects fall back to gradient
+  render(name, ctx, width, height, time, values, inputs = {}) {
+    const effect = this.effects.get(name) || this.effects.get('gradient');
+    effect.render(ctx, width, height, time, this.resolveParams(effect.name, values), inputs);
+  },
+
+  // Color at one point (0-1) for effects that have colorAt; null for the others
+  colorAt(name, x, y, time, values, inputs = {}) {
+    const effect = this.effects.get(name);
+    if (!effect || !effect.colorAt) return null;
+    return effect.colorAt(x, y, time, this.resolveParams(name, values), inputs);
+  },
+
+  hasColorAt(name) {
+    const effect = this.effects.get(name);
+    return !!(effect && effect.colorAt);
+  },
+
+  // Schema for an effect; [] for unknown ones
+  paramSchema(name) {
+    const effect = this.effects.get(name);
+    return effect ? effect.params : [];
+  },
+
+  // Clamp or drop one value against its field; undefined when it doesn't fit
+  coerceParam(field, value) {
+    if (field.type === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+      return Math.min(field.max, Math.max(field.min, value));
+    }
+    if (field.type === 'boolean') return typeof value === 'boolean' ? value : undefined;
+    if (field.type === 'color') return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : undefined;
+    if (field.type === 'text') return typeof value === 'string' ? value.slice(0, field.maxLength) : undefined;
+    if (field.type === 'select') return field.options.some(option => option.value === value) ? value : undefined;
+    return undefined;
+  },
+
+  // Full set of values for a render call: defaults overridden by whatever is valid in values
+  resolveParams(name, values) {
+    const resolved = {};
+    this.paramSchema(name).forEach(field => {
+      const value = values ? this.coerceParam(field, values[field.name]) : undefined;
+      resolved[field.name] = value === undefined ? field.default : value;
+    });
+    return resolved;
+  },
+
+  // Browser only: load the effect scripts the server lists, resolves with the listing
+  // (see /api/effects) once they ran
+  async loadPlugins() {
+    const res = await fetch('/api/effects');
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const listing = await res.json();
+    const { plugins } = listing;
+    await Promise.all(plugins.map(plugin => new Promise(resolve => {
+      const script = document.createElement('script');
+      script.src = plugin.url;
+      script.onload = resolve;
+      script.onerror = () => {
+        console.warn(`[ANIMATIONS] Could not load ${plugin.url}`);
+        resolve();
+      };
+      document.head.appendChild(script);
+    })));
+    return listing;
+  }
+};
+
+// Built-in effects follow, in the order the controller shows them
+
+// ==========================================
+// GRADIENT - Horizontal color sweep
+// ==========================================
+Animations.register('gradient', {
+  label: 'Gradient',
+  category: 'Color',
+  preview: 'linear-gradient(90deg, red, orange, yellow, green, cyan, blue, violet)',
+  params: [
+    { name: 'cycles', label: 'Ciclos', type: 'number', min: 0.25, max: 4, step: 0.25, default: 1 },
+    { name: 'saturation', label: 'Saturación', type: 'number', min: 0, max: 100, step: 5, default: 100 }
+  ],
+  render(ctx, width, height, time, params) {
     const offset = (time * 0.5) % 1;
     const gradient = ctx.createLinearGradient(0, 0, width, 0);
-    
+
     // Rotating hue gradient
     for (let i = 0; i <= 10; i++) {
-      const hue = ((i / 10 + offset) * 360) % 360;
-      gradient.addColorStop(i / 10, `hsl(${hue}, 100%, 50%)`);
+      const hue = ((i / 10 * params.cycles + offset) * 360) % 360;
+      gradient.addColorStop(i / 10, `hsl(${hue}, ${params.saturation}%, 50%)`);
     }
-    
+
     ctx.fillStyle = gradient;
     ctx.fillRect(0, 0, width, height);
-  },
-  
-  // ==========================================
-  // RADIAL - Expanding circles from center
-  // ==========================================
-  radial(ctx, width, height, time) {
+  }
+});
+
+// ==========================================
+// SWEEP - White bar sweeping left to right
+// ==========================================
+Animations.register('sweep', {
+  label: 'Barrido H',
+  category: 'Barridos',
+  preview: 'linear-gradient(90deg, #000, #fff, #000)',
+  params: [
+    { name: 'width', label: 'Ancho', type: 'number', min: 0.02, max: 0.6, step: 0.01, default: 0.15 },
+    { name: 'rate', label: 'Velocidad', type: 'number', min: 0.1, max: 3, step: 0.05, default: 0.5 },
+    { name: 'color', label: 'Color', type: 'color', default: '#ffffff' }
+  ],
+  render(ctx, width, height, time, params) {
     ctx.fillStyle = '#000';
     ctx.fillRect(0, 0, width, height);
-    
+
+    // Bar properties
+    const barWidth = width * params.width; // Fraction of canvas width
+    const speed = params.rate; // Sweeps per second
+
+    // Calculate bar position (loops every 'speed' seconds)
+    const progress = (time * speed) % 1.2; // 1.2 to allow bar to fully exit
+    const barX = progress * (width + barWidth) - barWidth;
+
+    // Draw the white bar with soft edges
+    const gradient = ctx.createLinearGradient(barX, 0, barX + barWidth, 0);
+    gradient.addColorStop(0, rgba(params.color, 0));
+    gradient.addColorStop(0.3, rgba(params.color, 1));
+    gradient.addColorStop(0.7, rgba(params.color, 1));
+    gradient.addColorStop(1, rgba(params.color, 0));
+
+    ctx.fillStyle = gradient;
+    ctx.fillRect(barX, 0, barWidth, height);
+  }
+});
+
+// Vertical sweep
+Animations.register('sweepV', {
+  label: 'Barrido V',
+  category: 'Barridos',
+  preview: 'linear-gradient(180deg, #000, #fff, #000)',
+  params: [
+    { name: 'width', label: 'Alto', type: 'number', min: 0.02, max: 0.6, step: 0.01, default: 0.18 },
+    { name: 'rate', label: 'Velocidad', type: 'number', min: 0.1, max: 3, step: 0.05, default: 0.5 },
+    { name: 'color', label: 'Color', type: 'color', default: '#ffffff' }
+  ],
+  render(ctx, width, height, time, params) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    const barH = height * params.width;
+    const speed = params.rate;
+    const progress = (time * speed) % 1.2;
+    const barY = progress * (height + barH) - barH;
+    const gradient = ctx.createLinearGradient(0, barY, 0, barY + barH);
+    gradient.addColorStop(0, rgba(params.color, 0));
+    gradient.addColorStop(0.3, rgba(params.color, 1));
+    gradient.addColorStop(0.7, rgba(params.color, 1));
+    gradient.addColorStop(1, rgba(params.color, 0));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, barY, width, barH);
+  }
+});
+
+// Diagonal sweep
+Animations.register('diag', {
+  label: 'Barrido Diag',
+  category: 'Barridos',
+  preview: 'linear-gradient(135deg, #000 0%, #000 35%, #fff 50%, #000 65%, #000 100%)',
+  params: [
+    { name: 'width', label: 'Grosor', type: 'number', min: 0.05, max: 0.8, step: 0.01, default: 0.22 },
+    { name: 'rate', label: 'Velocidad', type: 'number', min: 0.1, max: 3, step: 0.05, default: 0.45 },
+    { name: 'color', label: 'Color', type: 'color', default: '#ffffff' }
+  ],
+  render(ctx, width, height, time, params) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    const speed = params.rate;
+    const thickness = width * params.width;
+    const p = (time * speed) % 1.6; // overshoot to exit fully
+    const offset = p * (width + height) - thickness;
+    ctx.save();
+    ctx.translate(-height * 0.5, 0);
+    ctx.rotate(45 * Math.PI / 180);
+    const gradient = ctx.createLinearGradient(offset, 0, offset + thickness, 0);
+    gradient.addColorStop(0, rgba(params.color, 0));
+    gradient.addColorStop(0.5, rgba(params.color, 0.9));
+    gradient.addColorStop(1, rgba(params.color, 0));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(offset, 0, thickness, width + height);
+    ctx.restore();
+  }
+});
+
+// Checker flicker (pixel grid vibe)
+Animations.register('checker', {
+  label: 'Checker',
+  category: 'Patrones',
+  preview: 'linear-gradient(45deg, rgba(255,255,255,0.8) 25%, transparent 25%, transparent 50%, rgba(255,255,255,0.8) 50%, rgba(255,255,255,0.8) 75%, transparent 75%, transparent) 0 0 / 8px 8px',
+  params: [
+    { name: 'cells', label: 'Celdas', type: 'number', min: 2, max: 32, step: 1, default: 10 },
+    { name: 'flashRate', label: 'Parpadeo (Hz)', type: 'number', min: 0.5, max: 20, step: 0.5, default: 6 },
+    { name: 'rainbow', label: 'Arcoíris', type: 'boolean', default: true },
+    { name: 'color', label: 'Color', type: 'color', default: '#ffffff' }
+  ],
+  render(ctx, width, height, time, params) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    const cells = params.cells;
+    const cellW = width / cells;
+    const cellH = height / cells;
+    const phase = Math.floor(time * params.flashRate) % 2;
+    for (let y = 0; y < cells; y++) {
+      for (let x = 0; x < cells; x++) {
+        const on = (x + y + phase) % 2 === 0;
+        if (on) {
+          const hue = (time * 120 + (x + y) * 8) % 360;
+          ctx.fillStyle = params.rainbow ? `hsl(${hue}, 90%, 55%)` : params.color;
+          ctx.fillRect(x * cellW, y * cellH, cellW, cellH);
+        }
+      }
+    }
+  }
+});
+
+// Sparkle noise (micro pixels)
+Animations.register('sparkle', {
+  label: 'Chispas',
+  category: 'Patrones',
+  preview: 'radial-gradient(circle, #fff 0%, rgba(255,255,255,0) 60%) 0 0 / 10px 10px, radial-gradient(circle, rgba(255,255,255,0.8) 0%, rgba(255,255,255,0) 50%) 0 0 / 16px 16px, #000',
+  params: [
+    { name: 'dots', label: 'Chispas', type: 'number', min: 10, max: 600, step: 10, default: 180 },
+    { name: 'size', label: 'Tamaño', type: 'number', min: 1, max: 8, step: 1, default: 2 }
+  ],
+  render(ctx, width, height, time, params) {
+    ctx.fillStyle = 'rgba(0,0,0,0.25)';
+    ctx.fillRect(0, 0, width, height);
+    const dots = params.dots;
+    for (let i = 0; i < dots; i++) {
+      const x = Math.random() * width;
+      const y = Math.random() * height;
+      const life = (Math.sin(time * 4 + i) + 1) * 0.5;
+      const hue = (time * 80 + i * 12) % 360;
+      ctx.fillStyle = `hsla(${hue}, 100%, 70%, ${0.2 + life * 0.6})`;
+      ctx.fillRect(x, y, params.size, params.size);
+    }
+  }
+});
+
+// ==========================================
+// RADIAL - Expanding circles from center
+// ==========================================
+Animations.register('radial', {
+  label: 'Radial',
+  category: 'Color',
+  preview: 'radial-gradient(circle at center, #fff, #000)',
+  params: [
+    { name: 'rings', label: 'Anillos', type: 'number', min: 1, max: 12, step: 1, default: 5 },
+    { name: 'saturation', label: 'Saturación', type: 'number', min: 0, max: 100, step: 5, default: 100 }
+  ],
+  render(ctx, width, height, time, params) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+
     const centerX = width / 2;
     const centerY = height / 2;
     const maxRadius = Math.sqrt(centerX * centerX + centerY * centerY);
-    
+
     // Draw multiple rings
-    const numRings = 5;
+    const numRings = params.rings;
     for (let i = 0; i < numRings; i++) {
       const phase = (time * 0.8 + i / numRings) % 1;
       const radius = phase * maxRadius;
-      const hue = (i * 72 + time * 50) % 360;
+      const hue = (i * 360 / numRings + time * 50) % 360;
       const alpha = 1 - phase;
-      
+
       ctx.beginPath();
       ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-      ctx.strokeStyle = `hsla(${hue}, 100%, 50%, ${alpha})`;
+      ctx.strokeStyle = `hsla(${hue}, ${params.saturation}%, 50%, ${alpha})`;
       ctx.lineWidth = maxRadius / numRings * 0.8;
       ctx.stroke();
     }
-  },
-  
-  // ==========================================
-  // RAINBOW - Rotating hue wheel
-  // ==========================================
-  rainbow(ctx, width, height, time) {
+  }
+});
+
+// ==========================================
+// RAINBOW - Rotating hue wheel
+// ==========================================
+Animations.register('rainbow', {
+  label: 'Rainbow',
+  category: 'Color',
+  preview: 'conic-gradient(red, yellow, lime, cyan, blue, magenta, red)',
+  params: [
+    { name: 'spin', label: 'Giro', type: 'number', min: 0, max: 2, step: 0.05, default: 0.3 },
+    { name: 'saturation', label: 'Saturación', type: 'number', min: 0, max: 100, step: 5, default: 100 }
+  ],
+  render(ctx, width, height, time, params) {
     const centerX = width / 2;
     const centerY = height / 2;
-    
+
     // Create radial gradient that rotates
     const imageData = ctx.createImageData(width, height);
     const data = imageData.data;
-    
+
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
         const dx = x - centerX;
         const dy = y - centerY;
         const angle = Math.atan2(dy, dx);
-        const hue = ((angle / (Math.PI * 2) + 0.5 + time * 0.3) % 1) * 360;
-        
-        const rgb = hslToRgb(hue / 360, 1, 0.5);
+        const hue = ((angle / (Math.PI * 2) + 0.5 + time * params.spin) % 1) * 360;
+
+        const rgb = hslToRgb(hue / 360, params.saturation / 100, 0.5);
         const i = (y * width + x) * 4;
         data[i] = rgb.r;
         data[i + 1] = rgb.g;
@@ -74,32 +365,42 @@ const Animations = {
         data[i + 3] = 255;
       }
     }
-    
+
     ctx.putImageData(imageData, 0, 0);
-  },
-  
-  // ==========================================
-  // BOUNCE - Ball bouncing around
-  // ==========================================
-  bounce(ctx, width, height, time) {
+  }
+});
+
+// ==========================================
+// BOUNCE - Ball bouncing around
+// ==========================================
+Animations.register('bounce', {
+  label: 'Bounce',
+  category: 'Ritmo',
+  preview: 'radial-gradient(circle at 30% 50%, #fff, #444 60%), #000',
+  params: [
+    { name: 'size', label: 'Tamaño', type: 'number', min: 0.05, max: 0.4, step: 0.01, default: 0.15 },
+    { name: 'rate', label: 'Velocidad', type: 'number', min: 0.1, max: 3, step: 0.1, default: 0.7 },
+    { name: 'glow', label: 'Halo', type: 'boolean', default: true }
+  ],
+  render(ctx, width, height, time, params) {
     ctx.fillStyle = '#000';
     ctx.fillRect(0, 0, width, height);
-    
+
     // Ball physics
-    const ballRadius = width * 0.15;
-    const speed = 0.7;
-    
+    const ballRadius = width * params.size;
+    const speed = params.rate;
+
     // Calculate position with bouncing
     let x = (time * speed) % 2;
     let y = (time * speed * 0.7) % 2;
-    
+
     // Bounce back
     if (x > 1) x = 2 - x;
     if (y > 1) y = 2 - y;
-    
+
     const ballX = x * (width - ballRadius * 2) + ballRadius;
     const ballY = y * (height - ballRadius * 2) + ballRadius;
-    
+
     // Draw ball with gradient
     const gradient = ctx.createRadialGradient(
       ballX - ballRadius * 0.3, 
@@ -109,18 +410,19 @@ const Animations = {
       ballY, 
       ballRadius
     );
-    
+
     const hue = (time * 60) % 360;
     gradient.addColorStop(0, `hsl(${hue}, 100%, 70%)`);
     gradient.addColorStop(0.5, `hsl(${hue}, 100%, 50%)`);
     gradient.addColorStop(1, `hsl(${hue}, 100%, 20%)`);
-    
+
     ctx.beginPath();
     ctx.arc(ballX, ballY, ballRadius, 0, Math.PI * 2);
     ctx.fillStyle = gradient;
     ctx.fill();
-    
+
     // Draw trail/glow
+    if (!params.glow) return;
     ctx.beginPath();
     ctx.arc(ballX, ballY, ballRadius * 1.5, 0, Math.PI * 2);
     const glowGradient = ctx.createRadialGradient(ballX, ballY, ballRadius, ballX, ballY, ballRadius * 1.5);
@@ -128,16 +430,25 @@ const Animations = {
     glowGradient.addColorStop(1, 'transparent');
     ctx.fillStyle = glowGradient;
     ctx.fill();
-  },
-  
-  // ==========================================
-  // PULSE - Synchronized heartbeat
-  // ==========================================
-  pulse(ctx, width, height, time) {
+  }
+});
+
+// ==========================================
+// PULSE - Synchronized heartbeat
+// ==========================================
+Animations.register('pulse', {
+  label: 'Pulse',
+  category: 'Ritmo',
+  preview: 'radial-gradient(circle at center, #f66, #000 70%)',
+  params: [
+    { name: 'period', label: 'Periodo (s)', type: 'number', min: 0.3, max: 4, step: 0.1, default: 1.2 },
+    { name: 'color', label: 'Color', type: 'color', default: '#ff004d' }
+  ],
+  render(ctx, width, height, time, params) {
     // Heartbeat pattern: quick double pulse
-    const beatPeriod = 1.2;
+    const beatPeriod = params.period;
     const t = (time % beatPeriod) / beatPeriod;
-    
+
     let intensity;
     if (t < 0.1) {
       intensity = t / 0.1;
@@ -150,270 +461,352 @@ const Animations = {
     } else {
       intensity = 0;
     }
-    
+
     // Ease the intensity
     intensity = intensity * intensity;
-    
-    const red = Math.round(255 * intensity);
-    ctx.fillStyle = `rgb(${red}, 0, ${Math.round(red * 0.3)})`;
-    ctx.fillRect(0, 0, width, height);
-  },
-  
-  // ==========================================
-  // SWEEP - White bar sweeping left to right
-  // ==========================================
-  sweep(ctx, width, height, time) {
-    ctx.fillStyle = '#000';
-    ctx.fillRect(0, 0, width, height);
-    
-    // Bar properties
-    const barWidth = width * 0.15; // 15% of canvas width
-    const speed = 0.5; // Time to complete one sweep
-    
-    // Calculate bar position (loops every 'speed' seconds)
-    const progress = (time * speed) % 1.2; // 1.2 to allow bar to fully exit
-    const barX = progress * (width + barWidth) - barWidth;
-    
-    // Draw the white bar with soft edges
-    const gradient = ctx.createLinearGradient(barX, 0, barX + barWidth, 0);
-    gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
-    gradient.addColorStop(0.3, 'rgba(255, 255, 255, 1)');
-    gradient.addColorStop(0.7, 'rgba(255, 255, 255, 1)');
-    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(barX, 0, barWidth, height);
-  },
-
-  // Vertical sweep
-  sweepV(ctx, width, height, time) {
-    ctx.fillStyle = '#000';
-    ctx.fillRect(0, 0, width, height);
-    const barH = height * 0.18;
-    const speed = 0.5;
-    const progress = (time * speed) % 1.2;
-    const barY = progress * (height + barH) - barH;
-    const gradient = ctx.createLinearGradient(0, barY, 0, barY + barH);
-    gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
-    gradient.addColorStop(0.3, 'rgba(255, 255, 255, 1)');
-    gradient.addColorStop(0.7, 'rgba(255, 255, 255, 1)');
-    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, barY, width, barH);
-  },
-
-  // Diagonal sweep
-  diag(ctx, width, height, time) {
-    ctx.fillStyle = '#000';
-    ctx.fillRect(0, 0, width, height);
-    const speed = 0.45;
-    const thickness = width * 0.22;
-    const p = (time * speed) % 1.6; // overshoot to exit fully
-    const offset = p * (width + height) - thickness;
-    ctx.save();
-    ctx.translate(-height * 0.5, 0);
-    ctx.rotate(45 * Math.PI / 180);
-    const gradient = ctx.createLinearGradient(offset, 0, offset + thickness, 0);
-    gradient.addColorStop(0, 'rgba(255,255,255,0)');
-    gradient.addColorStop(0.5, 'rgba(255,255,255,0.9)');
-    gradient.addColorStop(1, 'rgba(255,255,255,0)');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(offset, 0, thickness, width + height);
-    ctx.restore();
-  },
 
-  // Checker flicker (pixel grid vibe)
-  checker(ctx, width, height, time) {
-    ctx.fillStyle = '#000';
+    const color = hexToRgb(params.color);
+    ctx.fillStyle = `rgb(${Math.round(color.r * intensity)}, ${Math.round(color.g * intensity)}, ${Math.round(color.b * intensity)})`;
     ctx.fillRect(0, 0, width, height);
-    const cells = 10;
-    const cellW = width / cells;
-    const cellH = height / cells;
-    const phase = Math.floor(time * 6) % 2;
-    for (let y = 0; y < cells; y++) {
-      for (let x = 0; x < cells; x++) {
-        const on = (x + y + phase) % 2 === 0;
-        if (on) {
-          const hue = (time * 120 + (x + y) * 8) % 360;
-          ctx.fillStyle = `hsl(${hue}, 90%, 55%)`;
-          ctx.fillRect(x * cellW, y * cellH, cellW, cellH);
-        }
-      }
-    }
-  },
+  }
+});
 
-  // Sparkle noise (micro pixels)
-  sparkle(ctx, width, height, time) {
-    ctx.fillStyle = 'rgba(0,0,0,0.25)';
-    ctx.fillRect(0, 0, width, height);
-    const dots = 180;
-    for (let i = 0; i < dots; i++) {
-      const x = Math.random() * width;
-      const y = Math.random() * height;
-      const life = (Math.sin(time * 4 + i) + 1) * 0.5;
-      const hue = (time * 80 + i * 12) % 360;
-      ctx.fillStyle = `hsla(${hue}, 100%, 70%, ${0.2 + life * 0.6})`;
-      ctx.fillRect(x, y, 2, 2);
-    }
-  },
-  
-  // ==========================================
-  // MATRIX - Digital rain effect
-  // ==========================================
-  matrix(ctx, width, height, time) {
+// ==========================================
+// MATRIX - Digital rain effect
+// ==========================================
+Animations.register('matrix', {
+  label: 'Matrix',
+  category: 'Patrones',
+  preview: 'repeating-linear-gradient(180deg, rgba(0,255,0,0.8) 0 3px, rgba(0,0,0,0.9) 3px 8px)',
+  params: [
+    { name: 'columns', label: 'Columnas', type: 'number', min: 2, max: 40, step: 1, default: 10 },
+    { name: 'color', label: 'Color', type: 'color', default: '#00ff00' }
+  ],
+  render(ctx, width, height, time, params) {
     ctx.fillStyle = 'rgba(0, 0, 0, 0.1)';
     ctx.fillRect(0, 0, width, height);
-    
-    const columns = 10;
+
+    const columns = params.columns;
     const cellWidth = width / columns;
-    
+
     // Use deterministic "random" based on time
     const seed = Math.floor(time * 10);
-    
+
     for (let col = 0; col < columns; col++) {
       // Each column has its own drop
       const dropSpeed = 0.5 + (col % 3) * 0.2;
       const dropY = ((time * dropSpeed + col * 0.3) % 1.5) * height;
-      
+
       // Only draw if drop is visible
       if (dropY < height) {
         const brightness = Math.max(0, 1 - dropY / height);
-        const green = Math.round(100 + brightness * 155);
-        
-        ctx.fillStyle = `rgb(0, ${green}, 0)`;
+        const level = (100 + brightness * 155) / 255;
+        const color = hexToRgb(params.color);
+
+        ctx.fillStyle = `rgb(${Math.round(color.r * level)}, ${Math.round(color.g * level)}, ${Math.round(color.b * level)})`;
         ctx.fillRect(col * cellWidth, dropY, cellWidth, cellWidth);
       }
     }
-    },
+  }
+});
+
+// ==========================================
+// CIRCLE SWEEP - Expanding halo
+// ==========================================
+Animations.register('circleSweep', {
+  label: 'Circle',
+  category: 'Barridos',
+  preview: 'radial-gradient(circle at center, rgba(255,255,255,0.8) 0 40%, rgba(255,255,255,0) 60%), #000',
+  params: [
+    { name: 'rate', label: 'Velocidad', type: 'number', min: 0.1, max: 3, step: 0.05, default: 0.6 },
+    { name: 'width', label: 'Grosor', type: 'number', min: 0.01, max: 0.3, step: 0.01, default: 0.05 },
+    { name: 'color', label: 'Color', type: 'color', default: '#ffffff' }
+  ],
+  render(ctx, width, height, time, params) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const maxR = Math.hypot(centerX, centerY);
+    const progress = (time * params.rate) % 1;
+    const radius = progress * maxR;
+    const ringWidth = Math.max(width * params.width, 8);
+    const gradient = ctx.createRadialGradient(centerX, centerY, radius - ringWidth, centerX, centerY, radius + ringWidth);
+    gradient.addColorStop(0, rgba(params.color, 0));
+    gradient.addColorStop(0.4, rgba(params.color, 0.7));
+    gradient.addColorStop(1, rgba(params.color, 0));
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, radius + ringWidth, 0, Math.PI * 2);
+    ctx.arc(centerX, centerY, Math.max(0, radius - ringWidth), 0, Math.PI * 2, true);
+    ctx.fill();
+  }
+});
+
+// ==========================================
+// RING - Anillo que crece desde el centro
+// ==========================================
+Animations.register('ring', {
+  label: 'Anillo',
+  category: 'Barridos',
+  preview: 'radial-gradient(circle at center, rgba(255,255,255,0) 35%, rgba(255,255,255,0.8) 45%, rgba(255,255,255,0) 60%), #000',
+  params: [
+    { name: 'rate', label: 'Velocidad', type: 'number', min: 0.1, max: 3, step: 0.05, default: 0.75 },
+    { name: 'thickness', label: 'Grosor', type: 'number', min: 0.01, max: 0.3, step: 0.01, default: 0.06 },
+    { name: 'glow', label: 'Halo', type: 'boolean', default: true }
+  ],
+  render(ctx, width, height, time, params) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+
+    const cx = width / 2;
+    const cy = height / 2;
+    const maxR = Math.hypot(cx, cy);
+    const progress = (time * params.rate) % 1;
+    const radius = progress * maxR;
+    const thickness = Math.max(8, width * params.thickness);
+    const hue = (time * 90) % 360;
 
-    // ==========================================
-    // CIRCLE SWEEP - Expanding halo
-    // ==========================================
-    circleSweep(ctx, width, height, time) {
-      ctx.fillStyle = '#000';
-      ctx.fillRect(0, 0, width, height);
-      const centerX = width / 2;
-      const centerY = height / 2;
-      const maxR = Math.hypot(centerX, centerY);
-      const progress = (time * 0.6) % 1;
-      const radius = progress * maxR;
-      const ringWidth = Math.max(width * 0.05, 8);
-      const gradient = ctx.createRadialGradient(centerX, centerY, radius - ringWidth, centerX, centerY, radius + ringWidth);
-      gradient.addColorStop(0, 'rgba(255,255,255,0)');
-      gradient.addColorStop(0.4, 'rgba(255,255,255,0.7)');
-      gradient.addColorStop(1, 'rgba(255,255,255,0)');
-      ctx.fillStyle = gradient;
+    // Glow
+    if (params.glow) {
       ctx.beginPath();
-      ctx.arc(centerX, centerY, radius + ringWidth, 0, Math.PI * 2);
-      ctx.arc(centerX, centerY, Math.max(0, radius - ringWidth), 0, Math.PI * 2, true);
-      ctx.fill();
-    },
+      ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+      ctx.strokeStyle = `hsla(${hue}, 100%, 60%, 0.25)`;
+      ctx.lineWidth = thickness * 2.2;
+      ctx.stroke();
+    }
 
-      // ==========================================
-      // RING - Anillo que crece desde el centro
-      // ==========================================
-      ring(ctx, width, height, time) {
-        ctx.fillStyle = '#000';
-        ctx.fillRect(0, 0, width, height);
-
-        const cx = width / 2;
-        const cy = height / 2;
-        const maxR = Math.hypot(cx, cy);
-        const progress = (time * 0.75) % 1;
-        const radius = progress * maxR;
-        const thickness = Math.max(8, width * 0.06);
-        const hue = (time * 90) % 360;
-
-        // Glow
-        ctx.beginPath();
-        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
-        ctx.strokeStyle = `hsla(${hue}, 100%, 60%, 0.25)`;
-        ctx.lineWidth = thickness * 2.2;
-        ctx.stroke();
-
-        // Main ring
-        ctx.beginPath();
-        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
-        ctx.strokeStyle = `hsla(${hue}, 100%, 60%, 0.95)`;
-        ctx.lineWidth = thickness;
-        ctx.stroke();
-      },
-
-    // ==========================================
-    // CROSS SWEEP - Horizontal + vertical bars
-    // ==========================================
-    crossSweep(ctx, width, height, time) {
-      ctx.fillStyle = '#000';
-      ctx.fillRect(0, 0, width, height);
-      const barW = width * 0.12;
-      const barH = height * 0.12;
-      const speed = 0.55;
-      const p = (time * speed) % 1;
-      const x = p * (width + barW) - barW;
-      const y = (1 - p) * (height + barH) - barH;
-      const gradX = ctx.createLinearGradient(x, 0, x + barW, 0);
-      gradX.addColorStop(0, 'rgba(255,255,255,0)');
-      gradX.addColorStop(0.4, 'rgba(255,255,255,0.9)');
-      gradX.addColorStop(1, 'rgba(255,255,255,0)');
-      const gradY = ctx.createLinearGradient(0, y, 0, y + barH);
-      gradY.addColorStop(0, 'rgba(255,255,255,0)');
-      gradY.addColorStop(0.4, 'rgba(255,255,255,0.9)');
-      gradY.addColorStop(1, 'rgba(255,255,255,0)');
-      ctx.fillStyle = gradX;
-      ctx.fillRect(x, 0, barW, height);
-      ctx.fillStyle = gradY;
-      ctx.fillRect(0, y, width, barH);
-    },
+    // Main ring
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.strokeStyle = `hsla(${hue}, 100%, 60%, 0.95)`;
+    ctx.lineWidth = thickness;
+    ctx.stroke();
+  }
+});
 
-    // ==========================================
-    // SPIRAL - Color spiral sweep
-    // ==========================================
-    spiral(ctx, width, height, time) {
-      ctx.fillStyle = '#000';
-      ctx.fillRect(0, 0, width, height);
-      const cx = width / 2;
-      const cy = height / 2;
-      const turns = 3;
-      const maxR = Math.hypot(cx, cy);
-      ctx.lineWidth = 6;
-      for (let i = 0; i < 220; i++) {
-        const t = i / 220;
-        const angle = t * Math.PI * 2 * turns + time * 1.5;
-        const r = t * maxR;
-        const x = cx + Math.cos(angle) * r;
-        const y = cy + Math.sin(angle) * r;
-        const hue = (t * 360 + time * 120) % 360;
-        ctx.strokeStyle = `hsla(${hue},100%,60%,0.7)`;
-        ctx.beginPath();
-        ctx.moveTo(x, y);
-        ctx.lineTo(x + Math.cos(angle) * 6, y + Math.sin(angle) * 6);
-        ctx.stroke();
-      }
-    },
+// ==========================================
+// SPIRAL - Color spiral sweep
+// ==========================================
+Animations.register('spiral', {
+  label: 'Spiral',
+  category: 'Patrones',
+  preview: 'conic-gradient(from 45deg, #fff 0 15%, #000 15% 30%, #fff 30% 45%, #000 45% 60%, #fff 60% 75%, #000 75% 90%, #fff 90% 100%)',
+  params: [
+    { name: 'turns', label: 'Vueltas', type: 'number', min: 1, max: 10, step: 0.5, default: 3 },
+    { name: 'spin', label: 'Giro', type: 'number', min: 0, max: 6, step: 0.1, default: 1.5 }
+  ],
+  render(ctx, width, height, time, params) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    const cx = width / 2;
+    const cy = height / 2;
+    const turns = params.turns;
+    const maxR = Math.hypot(cx, cy);
+    ctx.lineWidth = 6;
+    for (let i = 0; i < 220; i++) {
+      const t = i / 220;
+      const angle = t * Math.PI * 2 * turns + time * params.spin;
+      const r = t * maxR;
+      const x = cx + Math.cos(angle) * r;
+      const y = cy + Math.sin(angle) * r;
+      const hue = (t * 360 + time * 120) % 360;
+      ctx.strokeStyle = `hsla(${hue},100%,60%,0.7)`;
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(x + Math.cos(angle) * 6, y + Math.sin(angle) * 6);
+      ctx.stroke();
+    }
+  }
+});
 
-    // ==========================================
-    // RIPPLE - Soft concentric waves
-    // ==========================================
-    ripple(ctx, width, height, time) {
-      ctx.fillStyle = '#000';
-      ctx.fillRect(0, 0, width, height);
-      const cx = width / 2;
-      const cy = height / 2;
-      const maxR = Math.hypot(cx, cy);
-      const waves = 4;
-      for (let i = 0; i < waves; i++) {
-        const phase = (time * 0.8 + i / waves) % 1;
-        const radius = phase * maxR;
-        const alpha = 1 - phase;
-        const hue = (200 + i * 25 + time * 40) % 360;
-        ctx.beginPath();
-        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
-        ctx.strokeStyle = `hsla(${hue}, 90%, 60%, ${alpha})`;
-        ctx.lineWidth = 10 * alpha + 2;
-        ctx.stroke();
-      }
+// ==========================================
+// CROSS SWEEP - Horizontal + vertical bars
+// ==========================================
+Animations.register('crossSweep', {
+  label: 'Cross',
+  category: 'Barridos',
+  preview: 'linear-gradient(90deg, rgba(255,255,255,0) 45%, rgba(255,255,255,0.8) 50%, rgba(255,255,255,0) 55%), linear-gradient(180deg, rgba(255,255,255,0) 45%, rgba(255,255,255,0.8) 50%, rgba(255,255,255,0) 55%), #000',
+  params: [
+    { name: 'width', label: 'Ancho', type: 'number', min: 0.02, max: 0.5, step: 0.01, default: 0.12 },
+    { name: 'rate', label: 'Velocidad', type: 'number', min: 0.1, max: 3, step: 0.05, default: 0.55 },
+    { name: 'color', label: 'Color', type: 'color', default: '#ffffff' }
+  ],
+  render(ctx, width, height, time, params) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    const barW = width * params.width;
+    const barH = height * params.width;
+    const speed = params.rate;
+    const p = (time * speed) % 1;
+    const x = p * (width + barW) - barW;
+    const y = (1 - p) * (height + barH) - barH;
+    const gradX = ctx.createLinearGradient(x, 0, x + barW, 0);
+    gradX.addColorStop(0, rgba(params.color, 0));
+    gradX.addColorStop(0.4, rgba(params.color, 0.9));
+    gradX.addColorStop(1, rgba(params.color, 0));
+    const gradY = ctx.createLinearGradient(0, y, 0, y + barH);
+    gradY.addColorStop(0, rgba(params.color, 0));
+    gradY.addColorStop(0.4, rgba(params.color, 0.9));
+    gradY.addColorStop(1, rgba(params.color, 0));
+    ctx.fillStyle = gradX;
+    ctx.fillRect(x, 0, barW, height);
+    ctx.fillStyle = gradY;
+    ctx.fillRect(0, y, width, barH);
   }
+});
+
+// ==========================================
+// RIPPLE - Soft concentric waves
+// ==========================================
+Animations.register('ripple', {
+  label: 'Ripple',
+  category: 'Patrones',
+  preview: 'radial-gradient(circle at center, rgba(255,255,255,0.8) 0 25%, rgba(255,255,255,0) 55%), #000',
+  params: [
+    { name: 'waves', label: 'Ondas', type: 'number', min: 1, max: 12, step: 1, default: 4 },
+    { name: 'rate', label: 'Velocidad', type: 'number', min: 0.1, max: 3, step: 0.05, default: 0.8 },
+    { name: 'hue', label: 'Tono', type: 'number', min: 0, max: 360, step: 5, default: 200 }
+  ],
+  render(ctx, width, height, time, params) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    const cx = width / 2;
+    const cy = height / 2;
+    const maxR = Math.hypot(cx, cy);
+    const waves = params.waves;
+    for (let i = 0; i < waves; i++) {
+      const phase = (time * params.rate + i / waves) % 1;
+      const radius = phase * maxR;
+      const alpha = 1 - phase;
+      const hue = (params.hue + i * 25 + time * 40) % 360;
+      ctx.beginPath();
+      ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+      ctx.strokeStyle = `hsla(${hue}, 90%, 60%, ${alpha})`;
+      ctx.lineWidth = 10 * alpha + 2;
+      ctx.stroke();
+    }
+  }
+});
+
+// ==========================================
+// TEXT - Bitmap lettering, still or scrolling
+// ==========================================
+// 5x7 pixel font drawn with fillRect, so it reads the same on every renderer
+// (the server's canvas has no fillText). Rows are bitmasks, leftmost column = 16.
+const PIXEL_FONT = {
+  'A': [14, 17, 17, 31, 17, 17, 17], 'B': [30, 17, 17, 30, 17, 17, 30], 'C': [14, 17, 16, 16, 16, 17, 14],
+  'D': [30, 17, 17, 17, 17, 17, 30], 'E': [31, 16, 16, 30, 16, 16, 31], 'F': [31, 16, 16, 30, 16, 16, 16],
+  'G': [14, 17, 16, 23, 17, 17, 15], 'H': [17, 17, 17, 31, 17, 17, 17], 'I': [14, 4, 4, 4, 4, 4, 14],
+  'J': [7, 2, 2, 2, 2, 18, 12], 'K': [17, 18, 20, 24, 20, 18, 17], 'L': [16, 16, 16, 16, 16, 16, 31],
+  'M': [17, 27, 21, 21, 17, 17, 17], 'N': [17, 17, 25, 21, 19, 17, 17], 'O': [14, 17, 17, 17, 17, 17, 14],
+  'P': [30, 17, 17, 30, 16, 16, 16], 'Q': [14, 17, 17, 17, 21, 18, 13], 'R': [30, 17, 17, 30, 20, 18, 17],
+  'S': [15, 16, 16, 14, 1, 1, 30], 'T': [31, 4, 4, 4, 4, 4, 4], 'U': [17, 17, 17, 17, 17, 17, 14],
+  'V': [17, 17, 17, 17, 17, 10, 4], 'W': [17, 17, 17, 21, 21, 21, 10], 'X': [17, 17, 10, 4, 10, 17, 17],
+  'Y': [17, 17, 10, 4, 4, 4, 4], 'Z': [31, 1, 2, 4, 8, 16, 31], 'Ñ': [13, 18, 17, 25, 21, 19, 17],
+  '0': [14, 17, 19, 21, 25, 17, 14], '1': [4, 12, 4, 4, 4, 4, 14], '2': [14, 17, 1, 2, 4, 8, 31],
+  '3': [31, 2, 4, 2, 1, 17, 14], '4': [2, 6, 10, 18, 31, 2, 2], '5': [31, 16, 30, 1, 1, 17, 14],
+  '6': [6, 8, 16, 30, 17, 17, 14], '7': [31, 1, 2, 4, 8, 8, 8], '8': [14, 17, 17, 14, 17, 17, 14],
+  '9': [14, 17, 17, 15, 1, 2, 12], ' ': [0, 0, 0, 0, 0, 0, 0], '!': [4, 4, 4, 4, 4, 0, 4],
+  '¡': [4, 0, 4, 4, 4, 4, 4], '?': [14, 17, 1, 2, 4, 0, 4], '¿': [4, 0, 4, 8, 16, 17, 14],
+  '.': [0, 0, 0, 0, 0, 12, 12], ',': [0, 0, 0, 0, 12, 4, 8], ':': [0, 12, 12, 0, 12, 12, 0],
+  ';': [0, 12, 12, 0, 12, 4, 8], '-': [0, 0, 0, 31, 0, 0, 0], '+': [0, 4, 4, 31, 4, 4, 0],
+  '=': [0, 0, 31, 0, 31, 0, 0], '\'': [4, 4, 8, 0, 0, 0, 0], '"': [10, 10, 10, 0, 0, 0, 0],
+  '/': [0, 1, 2, 4, 8, 16, 0], '(': [2, 4, 8, 8, 8, 4, 2], ')': [8, 4, 2, 2, 2, 4, 8],
+  '#': [10, 10, 31, 10, 31, 10, 10], '&': [12, 18, 20, 8, 21, 18, 13], '*': [0, 4, 21, 14, 21, 4, 0],
+  '@': [14, 17, 1, 13, 21, 21, 14], '<': [2, 4, 8, 16, 8, 4, 2], '>': [8, 4, 2, 1, 2, 4, 8],
+  '_': [0, 0, 0, 0, 0, 0, 31], '♥': [0, 10, 31, 31, 14, 4, 0]
 };
+const FONT_ROWS = 7;
+// Columns a glyph covers in each font (see drawGlyph)
+const FONT_COLUMNS = { regular: 5, bold: 6, wide: 10 };
+// For the controller's legibility preview, which sizes letters against the wall
+Animations.TEXT_FONT = { rows: FONT_ROWS, columns: FONT_COLUMNS };
+
+// Glyphs for a string: lower case is drawn upper case, accents are dropped (Ñ has its own),
+// anything else becomes '?'
+function textGlyphs(text) {
+  return [...String(text)].map(ch => {
+    const upper = ch.toUpperCase();
+    const plain = upper.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return PIXEL_FONT[upper] || PIXEL_FONT[plain] || PIXEL_FONT['?'];
+  });
+}
+
+// Draw one glyph with its top-left corner at (x, y); bold smears every pixel one column
+// to the right, wide doubles every column
+function drawGlyph(ctx, rows, x, y, px, font) {
+  const scaleX = font === 'wide' ? 2 : 1;
+  rows.forEach((bits, row) => {
+    for (let col = 0; col < 5; col++) {
+      if (!(bits & (16 >> col))) continue;
+      const w = (font === 'bold' ? 2 : 1) * scaleX * px;
+      ctx.fillRect(x + col * scaleX * px, y + row * px, w, px);
+    }
+  });
+}
+
+Animations.register('text', {
+  label: 'Texto',
+  category: 'Texto',
+  preview: 'linear-gradient(90deg, #000 15%, #fff 15% 25%, #000 25% 40%, #fff 40% 50%, #000 50% 65%, #fff 65% 75%, #000 75%)',
+  params: [
+    { name: 'text', label: 'Texto', type: 'text', maxLength: 64, default: 'HOLA' },
+    {
+      name: 'font', label: 'Fuente', type: 'select', default: 'regular',
+      options: [{ value: 'regular', label: 'Normal' }, { value: 'bold', label: 'Negrita' }, { value: 'wide', label: 'Ancha' }]
+    },
+    // Letter height as a share of the wall's height
+    { name: 'size', label: 'Tamaño', type: 'number', min: 0.1, max: 1, step: 0.05, default: 0.6 },
+    { name: 'color', label: 'Color', type: 'color', default: '#ffffff' },
+    {
+      name: 'direction', label: 'Dirección', type: 'select', default: 'left',
+      options: [
+        { value: 'left', label: '← Izquierda' }, { value: 'right', label: '→ Derecha' },
+        { value: 'up', label: '↑ Arriba' }, { value: 'down', label: '↓ Abajo' }, { value: 'none', label: 'Quieto' }
+      ]
+    },
+    { name: 'speed', label: 'Letras/s', type: 'number', min: 0.5, max: 12, step: 0.5, default: 3 }
+  ],
+  render(ctx, width, height, time, params) {
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    const glyphs = textGlyphs(params.text);
+    if (glyphs.length === 0) return;
+
+    const px = (params.size * height) / FONT_ROWS;
+    const glyphWidth = (FONT_COLUMNS[params.font] || FONT_COLUMNS.regular) * px;
+    const advance = glyphWidth + px;        // one blank column between letters
+    const lineHeight = (FONT_ROWS + 1) * px; // up/down stack the letters, one per line
+    ctx.fillStyle = params.color;
+
+    if (params.direction === 'up' || params.direction === 'down') {
+      const total = glyphs.length * lineHeight;
+      const travel = (time * params.speed * lineHeight) % (total + height);
+      const top = params.direction === 'up' ? height - travel : travel - total;
+      const x = (width - glyphWidth) / 2;
+      glyphs.forEach((rows, i) => {
+        const y = top + i * lineHeight;
+        if (y > -lineHeight && y < height) drawGlyph(ctx, rows, x, y, px, params.font);
+      });
+      return;
+    }
+
+    const total = glyphs.length * advance;
+    let left;
+    if (params.direction === 'none') {
+      left = (width - (total - px)) / 2;
+    } else {
+      const travel = (time * params.speed * advance) % (total + width);
+      left = params.direction === 'left' ? width - travel : travel - total;
+    }
+    const y = (height - FONT_ROWS * px) / 2;
+    glyphs.forEach((rows, i) => {
+      const x = left + i * advance;
+      if (x > -advance && x < width) drawGlyph(ctx, rows, x, y, px, params.font);
+    });
+  }
+});
 
 // ==========================================
 // HELPER FUNCTIONS
@@ -448,6 +841,17 @@ function hslToRgb(h, s, l) {
   };
 }
 
+// '#rrggbb' -> { r, g, b }
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+}
+
+function rgba(hex, alpha) {
+  const { r, g, b } = hexToRgb(hex);
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
 // Export for module systems (if used)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = Animations;
@@ -0,0 +1,226 @@
+// ==========================================
+// AUDIO - Band energies, onsets and the beat grid
+// ==========================================
+//
+// The controller feeds createAnalyzer() one spectrum per frame (AnalyserNode
+// getByteFrequencyData) and gets back:
+//
+//   { low, mid, high,                   // band energy 0-1
+//     loudness,                         // whole spectrum 0-1
+//     centroid,                         // spectral centroid 0-1 (100 Hz - 10 kHz, log scale): dull to bright
+//     onsets: { low, mid, high },       // true on the frame a band hits
+//     bpm,                              // 0 until a tempo is found
+//     beat }                            // beats counted since the tempo locked (null without one)
+//
+// Onsets are rises well above the band's own running mean and spread, so quiet
+// and loud rooms trigger alike. The tempo comes from the gaps between bass hits;
+// the beat count then runs freely and every hit near a beat pulls it into phase.
+// Beats 0, 4, 8... are downbeats (see markDownbeat).
+//
+// What travels to the server and screens is a tempo: { bpm, beat, at } = the beat
+// count at time `at` (ms). Shared by the controller, the screens and the server.
+
+const AudioAnalysis = {
+  // Band name -> [from Hz, to Hz]; low is the one `audio` has always been
+  BANDS: {
+    low: [40, 140],
+    mid: [400, 2000],
+    high: [4000, 12000]
+  },
+
+  // Tempos outside this range are folded in by doubling or halving
+  MIN_BPM: 80,
+  MAX_BPM: 160,
+  BEATS_PER_BAR: 4,
+  // Spectral centroid range mapped to 0-1
+  CENTROID_HZ: [100, 10000],
+
+  // Effect seconds per beat when animations follow the tempo: their pace at 120 BPM
+  BEAT_SECONDS: 0.5,
+
+  createAnalyzer({
+    sensitivity = 1.8,                       // Standard deviations above the mean that count as a hit
+    minEnergy = 28,                          // 0-255; quieter than this never hits
+    cooldownMs = { low: 280, mid: 150, high: 100 },
+    historyMs = 12000,                       // Bass hits kept for the tempo estimate
+    lostAfterMs = 10000                      // No bass hit for this long drops the tempo
+  } = {}) {
+    const bands = Object.keys(AudioAnalysis.BANDS);
+    let stats;      // band -> { mean, variance, lastHitAt }
+    let hits;       // Recent bass hit times (ms)
+    let bpm;
+    let beat;       // Float beat count, null until a tempo locks
+    let lastUpdateAt;
+
+    function reset() {
+      stats = Object.fromEntries(bands.map(band => [band, { mean: 0, variance: 0, lastHitAt: -Infinity }]));
+      hits = [];
+      bpm = 0;
+      beat = null;
+      lastUpdateAt = null;
+    }
+    reset();
+
+    // Mean byte value of a band's bins
+    function bandEnergy(spectrum, sampleRate, [fromHz, toHz]) {
+      const nyquist = sampleRate / 2;
+      const from = Math.max(0, Math.floor((fromHz / nyquist) * spectrum.length));
+      const to = Math.min(spectrum.length - 1, Math.ceil((toHz / nyquist) * spectrum.length));
+      let sum = 0;
+      for (let i = from; i <= to; i++) sum += spectrum[i];
+      return to >= from ? sum / (to - from + 1) : 0;
+    }
+
+    function detectOnset(band, energy, now) {
+      const s = stats[band];
+      if (!s.mean) {
+        s.mean = energy;
+        return false;
+      }
+      const threshold = Math.max(minEnergy, s.mean + sensitivity * Math.sqrt(s.variance), s.mean * 1.2);
+      const hit = energy > threshold && now - s.lastHitAt > cooldownMs[band];
+      if (hit) s.lastHitAt = now;
+      // Exponential moving mean and variance
+      const delta = energy - s.mean;
+      s.mean += delta * 0.08;
+      s.variance = (s.variance + delta * delta * 0.08) * 0.92;
+      return hit;
+    }
+
+    // Most common gap between bass hits (any pair less than two seconds apart),
+    // folded into MIN_BPM-MAX_BPM; 0 with too few hits to tell
+    function estimateBpm() {
+      if (hits.length < 4) return 0;
+      const votes = new Map(); // Whole BPM -> weight
+      for (let a = 0; a < hits.length; a++) {
+        for (let b = a + 1; b < hits.length && hits[b] - hits[a] < 2000; b++) {
+          let candidate = 60000 / (hits[b] - hits[a]);
+          while (candidate < AudioAnalysis.MIN_BPM) candidate *= 2;
+          while (candidate >= AudioAnalysis.MAX_BPM) candidate /= 2;
+          // Spread each vote over the neighbouring bins so near misses still agree
+          for (let d = -2; d <= 2; d++) {
+            const bin = Math.round(candidate) + d;
+            votes.set(bin, (votes.get(bin) || 0) + Math.exp(-(d * d) / 2));
+          }
+        }
+      }
+      let best = 0;
+      let bestWeight = 0;
+      votes.forEach((weight, bin) => {
+        if (weight > bestWeight) {
+          best = bin;
+          bestWeight = weight;
+        }
+      });
+      return best;
+    }
+
+    // A bass hit: re-estimate the tempo and pull the beat count toward it
+    function onBassHit(now) {
+      hits.push(now);
+      while (hits.length && now - hits[0] > historyMs) hits.shift();
+
+      const estimate = estimateBpm();
+      if (!estimate) return;
+      if (!bpm || Math.abs(estimate - bpm) / bpm > 0.08) {
+        // New (or very different) tempo: lock with this hit on a downbeat
+        bpm = estimate;
+        beat = 0;
+        return;
+      }
+      bpm += (estimate - bpm) * 0.2;
+      const error = beat - Math.round(beat);
+      if (Math.abs(error) < 0.25) beat -= error * 0.3;
+    }
+
+    // Whole-spectrum level and where its weight sits
+    function spectrumShape(spectrum, sampleRate) {
+      const binHz = sampleRate / 2 / spectrum.length;
+      let sum = 0;
+      let weighted = 0;
+      for (let i = 1; i < spectrum.length; i++) {
+        sum += spectrum[i];
+        weighted += spectrum[i] * i * binHz;
+      }
+      const [fromHz, toHz] = AudioAnalysis.CENTROID_HZ;
+      const centroidHz = sum > 0 ? weighted / sum : fromHz;
+      return {
+        loudness: Math.min(1, sum / (spectrum.length - 1) / 255),
+        centroid: Math.min(1, Math.max(0, Math.log(centroidHz / fromHz) / Math.log(toHz / fromHz)))
+      };
+    }
+
+    return {
+      // spectrum: Uint8Array of bins from 0 Hz to sampleRate / 2; now in ms
+      update(spectrum, sampleRate, now) {
+        if (beat !== null && lastUpdateAt !== null) beat += ((now - lastUpdateAt) / 60000) * bpm;
+        lastUpdateAt = now;
+
+        const features = { onsets: {} };
+        bands.forEach(band => {
+          const energy = bandEnergy(spectrum, sampleRate, AudioAnalysis.BANDS[band]);
+          features[band] = Math.min(1, energy / 255);
+          features.onsets[band] = detectOnset(band, energy, now);
+        });
+
+        Object.assign(features, spectrumShape(spectrum, sampleRate));
+
+        if (features.onsets.low) onBassHit(now);
+        if (bpm && now - stats.low.lastHitAt > lostAfterMs) {
+          bpm = 0;
+          beat = null;
+          hits = [];
+        }
+        features.bpm = Math.round(bpm * 10) / 10;
+        features.beat = beat;
+        return features;
+      },
+
+      // Make the nearest beat a downbeat (the musician knows where the bar starts)
+      markDownbeat() {
+        if (beat === null) return;
+        const nearest = Math.round(beat);
+        const bar = AudioAnalysis.BEATS_PER_BAR;
+        beat += Math.round(nearest / bar) * bar - nearest;
+        if (beat < 0) beat += bar; // Right after the lock: keep counting up from zero
+      },
+
+      reset
+    };
+  },
+
+  // Beat count at `now` (same clock as tempo.at); null without a tempo
+  beatsAt(tempo, now) {
+    if (!tempo || !(tempo.bpm > 0) || !Number.isFinite(tempo.beat)) return null;
+    return tempo.beat + ((now - tempo.at) / 60000) * tempo.bpm;
+  },
+
+  // Effect inputs (see Animations) from the latest { audio, low, mid, high, loudness,
+  // centroid, tempo } at `now`: levels plus bpm and beat, both 0 without a tempo
+  inputsAt(live, now) {
+    const tempo = live.tempo || null;
+    return {
+      audio: live.audio || 0,
+      low: live.low || 0,
+      mid: live.mid || 0,
+      high: live.high || 0,
+      loudness: live.loudness || 0,
+      centroid: live.centroid || 0,
+      bpm: tempo ? tempo.bpm : 0,
+      beat: this.beatsAt(tempo, now) ?? 0
+    };
+  },
+
+  // Animation time on the beat grid: BEAT_SECONDS per beat (scaled by speed),
+  // so a bar always starts on a whole number of effect seconds at speed 1.
+  // null without a tempo (callers keep their own clock then).
+  syncedTime(tempo, now, speed = 1) {
+    const beats = this.beatsAt(tempo, now);
+    return beats === null ? null : beats * this.BEAT_SECONDS * speed;
+  }
+};
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AudioAnalysis;
+}
@@ -0,0 +1,83 @@
+// ==========================================
+// COMPOSITOR - Layered animations
+// ==========================================
+//
+// Stacks effects into one frame: the first layer is the base, every other one
+// is blended on top with a mix amount (0-1) and a blend mode. Shared by the
+// controller, the screens and the server engine so a look is the same
+// wherever it renders; the result is sampled with ScreenMapping as usual.
+
+const Compositor = {
+  BLEND_MODES: ['normal', 'add', 'multiply', 'screen'],
+
+  // Per-channel blend of a top value over a base value (0-255)
+  blenders: {
+    normal: (base, top) => top,
+    add: (base, top) => Math.min(255, base + top),
+    multiply: (base, top) => (base * top) / 255,
+    screen: (base, top) => 255 - ((255 - base) * (255 - top)) / 255
+  },
+
+  // Layer list for a base effect plus overlays [{ animationType, mix, blend }],
+  // all sharing the same animation time; each picks its values from effectParams
+  // ({ [animationType]: { [name]: value } }, see Animations.register)
+  stack(animationType, time, overlays = [], effectParams = {}) {
+    const paramsOf = (type) => (effectParams && effectParams[type]) || {};
+    return [
+      { animationType, time, mix: 1, blend: 'normal', params: paramsOf(animationType) },
+      ...overlays.map(layer => ({ ...layer, time, params: paramsOf(layer.animationType) }))
+    ];
+  },
+
+  // layers: [{ animationType, time, mix, blend, params }], bottom first.
+  // render(ctx, animationType, time, params) draws one effect over the whole canvas.
+  // layerContext(index) returns a canvas context of the same size kept for that layer,
+  // so effects that fade their previous frame (trails) keep their own history.
+  compose(ctx, size, layers, render, layerContext) {
+    const mixOf = (layer) => Math.min(1, Math.max(0, layer.mix ?? 1));
+    const visible = layers.filter((layer, i) => i === 0 || mixOf(layer) > 0);
+
+    // A single full layer is the old one-effect path: draw it straight in
+    if (visible.length === 1 && mixOf(visible[0]) >= 1) {
+      render(ctx, visible[0].animationType, visible[0].time, visible[0].params);
+      return;
+    }
+
+    let output = null;
+    layers.forEach((layer, i) => {
+      if (!visible.includes(layer)) return;
+      const layerCtx = layerContext(i);
+      render(layerCtx, layer.animationType, layer.time, layer.params);
+      const pixels = layerCtx.getImageData(0, 0, size, size).data;
+      const mix = mixOf(layer);
+
+      if (!output) {
+        // Base layer: its mix fades it in from black
+        output = ctx.createImageData(size, size);
+        for (let p = 0; p < pixels.length; p += 4) {
+          output.data[p] = pixels[p] * mix;
+          output.data[p + 1] = pixels[p + 1] * mix;
+          output.data[p + 2] = pixels[p + 2] * mix;
+          output.data[p + 3] = 255;
+        }
+        return;
+      }
+
+      const blend = Compositor.blenders[layer.blend] || Compositor.blenders.normal;
+      const data = output.data;
+      for (let p = 0; p < pixels.length; p += 4) {
+        for (let c = 0; c < 3; c++) {
+          const base = data[p + c];
+          data[p + c] = base + (blend(base, pixels[p + c]) - base) * mix;
+        }
+      }
+    });
+
+    ctx.putImageData(output, 0, 0);
+  }
+};
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Compositor;
+}
@@ -14,10 +14,20 @@ const CONFIG = {
   edgeDetectionPasses: 2,       // number of edge refinement passes
   morphologyKernel: 3,          // kernel size for morphological operations
   gaussianBlurRadius: 2,        // blur radius for noise reduction
-  minNormalizedArea: 0.02,      // clamp area so very large detections are reduced
-  maxNormalizedArea: 0.65       // clamp area so oversize detections are limited
+  parallelScanMinScreens: 3,    // below this a sequential scan is just as fast
+  trackingInterval: 2500,       // ms between tracking rounds while a show plays
+  trackingFlashDuration: 250,   // ms each identification frame is held (covers sync delay + LCD)
+  trackingSearchMargin: 1,      // search window around the last area, in area sizes
+  trackingSmoothing: 0.5,       // 0-1, how far each round moves toward the new detection
+  trackingTrailLength: 12,      // positions kept per screen for the overlay trail
+  lowConfidence: 0.5,           // detections scoring below this are offered for rescan
+  editDefaultSize: { w: 0.08, h: 0.14 }, // normalized size of a screen placed by hand
+  editHandleRadius: 14,         // px (overlay canvas) within which a handle can be grabbed
+  editRotateHandleOffset: 28,   // px between a screen's top edge and its rotate handle
+  maxLayers: 3                  // overlays that can be stacked on the selected animation
 };
 
+
 // State
 let socket = null;
 let isConnected = false;
@@ -29,22 +39,96 @@ let currentAnimation = 'gradient';
 let lastLoopAnimation = 'gradient';
 let animationSpeed = 1;
 let animationBrightness = 1;
+let animationLayers = [];  // Overlays blended on the selected animation: [{ animationType, mix, blend }]
+let crossfadeTime = 0;     // Seconds to blend into a newly selected animation (0 = cut)
+let browserFade = null;    // { animationType, params, startedAt, durationMs } outgoing effect (browser render)
+let effectParams = {};     // Per-effect parameter overrides: { [animationType]: { [name]: value } }
+let layerCtxs = [];        // One canvas per layer (browser render) so trails stay per effect
 let animationFrame = null;
 let lastColors = new Map(); // For delta encoding
+let lastGrids = new Map();  // Same, for pixel frames
+// Cells per side of the picture each screen shows (1 = one solid color per screen)
+let pixelGrid = parseInt(localStorage.getItem('pixelGrid'), 10) || 1;
 let tintColor = { r: 255, g: 255, b: 255 }; // default white
-
-// Audio reactive (bass boom) mode
+// 'server': the server engine renders and drives the screens (keeps running if this tab closes)
+// 'screens': each screen renders its own area locally from a scene the server sends once
+// 'browser': this tab renders to virtualCtx and streams sendColors
+let renderMode = localStorage.getItem('renderMode') || 'server';
+// 'parallel': flash all screens at once with Gray-coded IDs; 'sequential': one screen at a time
+let scanMode = localStorage.getItem('scanMode') || 'parallel';
+
+// Microphone analysis (see AudioAnalysis): band levels, hits and the beat grid feed the
+// effects' audio inputs; audio reactive mode also fires a one-shot on every hit of one band
 let audioBeatEnabled = false;
+let micRequested = false;      // Micrófono toggle: listen without audio reactive mode
 let audioCtx = null;
 let audioAnalyser = null;
 let audioData = null;
 let audioSource = null;
 let audioStream = null;
+let audioOpening = null;       // Pending startAudioInput()
 let audioRaf = null;
-let audioBaseline = 0;
-let lastBeatAt = 0;
+let audioAnalysis = null;      // AudioAnalysis.createAnalyzer()
+let audioHitAt = {};           // band -> performance.now() of its last hit (meters)
 let oneShotRunning = false;
 let audioModeRequested = false;
+// Latest analysis as effect inputs: { audio (bass 0-1), low, mid, high, loudness, centroid,
+// tempo: { bpm, beat, at (performance.now()) } or null }; see AudioAnalysis.inputsAt
+let audioLive = { audio: 0 };
+let audioLevelSentAt = 0;
+const AUDIO_LEVEL_INTERVAL_MS = 50;
+let audioTriggerBand = localStorage.getItem('audioTriggerBand') || 'low';
+// Looping animations count beats instead of seconds while there is a tempo
+let tempoSync = localStorage.getItem('tempoSync') === 'true';
+// Audio driving the look while a loop plays (see Modulation); browserModulator applies
+// them when this tab renders
+let modulations = [];
+const browserModulator = Modulation.createModulator();
+
+// Scan quality: this scan's detections (socketId -> { screen, detection, confidence })
+// and the well-mapped screens a weak-only rescan leaves alone
+let scanDetections = new Map();
+let scanKeptScreens = [];
+
+// Tracking mode: re-detect a few screens at a time while a show plays
+let trackingEnabled = false;
+let trackingTimer = null;
+let trackingCursor = 0;
+let trackingTrails = new Map(); // socketId -> recent positions for the overlay
+
+// Layout editor (drag/resize/rotate on the overlay)
+let layoutEditing = false;
+let editSelectedId = null;
+let editDrag = null; // { mode: 'move' | 'resize' | 'rotate', socketId, rect, current }
+
+// Session from /api/login (PIN); sent on register and with every API call
+let controllerToken = localStorage.getItem('controllerToken');
+// Show (room) this controller drives: ?show=<id>, the server's default show when empty
+const showId = new URLSearchParams(window.location.search).get('show') || '';
+
+// Controller role ('primary' drives the show; 'backup' and 'observer' only mirror it)
+let controllerRole = null;
+let controllerRoster = [];
+let takeoverRequest = null; // { from, name, timeoutMs } shown to the primary
+let lastPublishedShow = null;
+
+// Saved layouts (from /api/layouts)
+let layouts = [];
+
+// Cue lists: saved ones (/api/cuelists), the server player's state and the list being edited
+let cueLists = [];
+// Saved expression effects [{ name, source }], shared by every show
+let expressions = [];
+// Uploaded media [{ name, file, url, kind, type, size }] and the one playing from this tab
+let mediaItems = [];
+let mediaElement = null;   // <img>/<video> of the selected media, shown in mediaPreview
+let mediaPlaying = false;
+let mediaFrame = null;
+let mediaFit = localStorage.getItem('mediaFit') || 'fit';
+let cueState = null; // { list, index, running, cueStartedAt, duration }
+let cueDraft = null; // { name, loop, cues }
+let cueDraftDirty = false;
+let cueTimer = null; // Redraws the countdown of a timed cue
 
 // DOM Elements
 const videoContainer = document.getElementById('videoContainer');
@@ -55,11 +139,18 @@ const startWebcamBtn = document.getElementById('startWebcamBtn');
 const screenList = document.getElementById('screenList');
 const animationGrid = document.getElementById('animationGrid');
 const scanBtn = document.getElementById('scanBtn');
+const rescanBtn = document.getElementById('rescanBtn');
 const playBtn = document.getElementById('playBtn');
 const stopBtn = document.getElementById('stopBtn');
 const autoLoopBtn = document.getElementById('autoLoopBtn');
 const pulseOnceBtn = document.getElementById('pulseOnceBtn');
 const audioModeBtn = document.getElementById('audioModeBtn');
+const micBtn = document.getElementById('micBtn');
+const audioBands = document.querySelectorAll('.audio-band');
+const bpmVal = document.getElementById('bpmVal');
+const audioTriggerSelect = document.getElementById('audioTriggerSelect');
+const tempoSyncInput = document.getElementById('tempoSyncInput');
+const downbeatBtn = document.getElementById('downbeatBtn');
 const blackoutBtn = document.getElementById('blackoutBtn');
 const colorButtons = document.querySelectorAll('.color-btn');
 const connectionDot = document.getElementById('connectionDot');
@@ -72,6 +163,73 @@ const brightnessSlider = document.getElementById('brightnessSlider');
 const bangButtons = document.querySelectorAll('[data-bang-color]');
 const bangRandomBtn = document.getElementById('bangRandom');
 const bangWhiteBtn = document.getElementById('bangWhite');
+const renderModeSelect = document.getElementById('renderModeSelect');
+const pixelGridSelect = document.getElementById('pixelGridSelect');
+const scanModeSelect = document.getElementById('scanModeSelect');
+const trackBtn = document.getElementById('trackBtn');
+const editLayoutBtn = document.getElementById('editLayoutBtn');
+const layoutSelect = document.getElementById('layoutSelect');
+const layoutNameInput = document.getElementById('layoutNameInput');
+const saveLayoutBtn = document.getElementById('saveLayoutBtn');
+const loadLayoutBtn = document.getElementById('loadLayoutBtn');
+const deleteLayoutBtn = document.getElementById('deleteLayoutBtn');
+const loginOverlay = document.getElementById('loginOverlay');
+const loginForm = document.getElementById('loginForm');
+const pinInput = document.getElementById('pinInput');
+const loginError = document.getElementById('loginError');
+const screenLink = document.getElementById('screenLink');
+const showText = document.getElementById('showText');
+const qrBtn = document.getElementById('qrBtn');
+const qrOverlay = document.getElementById('qrOverlay');
+const qrImage = document.getElementById('qrImage');
+const qrLink = document.getElementById('qrLink');
+const qrCloseBtn = document.getElementById('qrCloseBtn');
+const cueListSelect = document.getElementById('cueListSelect');
+const loadCuesBtn = document.getElementById('loadCuesBtn');
+const deleteCuesBtn = document.getElementById('deleteCuesBtn');
+const cueTable = document.getElementById('cueTable');
+const cueGoBtn = document.getElementById('cueGoBtn');
+const cueStopBtn = document.getElementById('cueStopBtn');
+const cueDurationInput = document.getElementById('cueDurationInput');
+const cueFadeInput = document.getElementById('cueFadeInput');
+const cueBangsInput = document.getElementById('cueBangsInput');
+const addCueBtn = document.getElementById('addCueBtn');
+const cueListNameInput = document.getElementById('cueListNameInput');
+const cueLoopInput = document.getElementById('cueLoopInput');
+const saveCuesBtn = document.getElementById('saveCuesBtn');
+const roleText = document.getElementById('roleText');
+const roleSelect = document.getElementById('roleSelect');
+const controllerList = document.getElementById('controllerList');
+const takeoverBtn = document.getElementById('takeoverBtn');
+const takeoverPrompt = document.getElementById('takeoverPrompt');
+const takeoverText = document.getElementById('takeoverText');
+const acceptTakeoverBtn = document.getElementById('acceptTakeoverBtn');
+const denyTakeoverBtn = document.getElementById('denyTakeoverBtn');
+const layerList = document.getElementById('layerList');
+const exprSelect = document.getElementById('exprSelect');
+const exprNameInput = document.getElementById('exprNameInput');
+const exprSource = document.getElementById('exprSource');
+const exprError = document.getElementById('exprError');
+const saveExprBtn = document.getElementById('saveExprBtn');
+const deleteExprBtn = document.getElementById('deleteExprBtn');
+const mediaSelect = document.getElementById('mediaSelect');
+const mediaFitSelect = document.getElementById('mediaFitSelect');
+const mediaPreview = document.getElementById('mediaPreview');
+const mediaFileInput = document.getElementById('mediaFileInput');
+const playMediaBtn = document.getElementById('playMediaBtn');
+const stopMediaBtn = document.getElementById('stopMediaBtn');
+const deleteMediaBtn = document.getElementById('deleteMediaBtn');
+const addLayerBtn = document.getElementById('addLayerBtn');
+const modulationList = document.getElementById('modulationList');
+const addModulationBtn = document.getElementById('addModulationBtn');
+const crossfadeSlider = document.getElementById('crossfadeSlider');
+const crossfadeVal = document.getElementById('crossfadeVal');
+const effectParamList = document.getElementById('effectParamList');
+const resetParamsBtn = document.getElementById('resetParamsBtn');
+const textPreview = document.getElementById('textPreview');
+const textPreviewCanvas = document.getElementById('textPreviewCanvas');
+const textLegibility = document.getElementById('textLegibility');
+const sliderInputs = [speedSlider, brightnessSlider, crossfadeSlider];
 
 // Canvas contexts
 let overlayCtx = null;
@@ -95,23 +253,86 @@ function connectSocket() {
     isConnected = true;
     updateConnectionStatus(true);
     
-    socket.emit('register', {
-      type: 'controller',
-      name: 'Main Controller'
-    });
+    registerController();
   });
 
   socket.on('registered', (data) => {
     console.log(`[CONTROLLER] Registered: ${data.id}`);
+    loginOverlay.classList.add('hidden');
+    if (showText) showText.textContent = data.show;
+    refreshJoinLink();
+    refreshLayouts();
+    refreshCueLists();
+    refreshExpressions();
+    refreshMedia();
+  });
+
+  // A saved expression changed on the server (source null = deleted)
+  socket.on('expression', ({ name, source }) => {
+    expressions = expressions.filter(expression => expression.name !== name);
+    if (source === null) {
+      Animations.unregister(Expressions.effectName(name));
+    } else {
+      expressions.push({ name, source });
+      expressions.sort((a, b) => a.name.localeCompare(b.name));
+      Expressions.install(Animations, name, source);
+    }
+    renderExpressionSelect();
+    renderAnimationGrid();
+    renderLayerList();
+    renderEffectParams();
+    renderModulationList();
+    updateControls();
+  });
+
+  // No (or an expired) session: ask for the PIN
+  socket.on('authError', ({ reason }) => {
+    console.warn(`[AUTH] ${reason}`);
+    localStorage.removeItem('controllerToken');
+    controllerToken = null;
+    showLogin();
   });
 
   socket.on('screenList', (data) => {
     console.log('[CONTROLLER] Screen list updated:', data);
     screens = data;
     renderScreenList();
+    renderTextPreview();
+    updateControls();
+  });
+
+  // Server engine state (also sent on register, so a reopened tab shows a running show)
+  socket.on('animationState', (state) => {
+    if (renderMode === 'browser') return;
+    isAnimating = state.running && !state.oneShot;
     updateControls();
   });
 
+  socket.on('controllerRoles', handleControllerRoles);
+
+  // Cue list player on the server (also sent on register, so a reconnect picks up the show)
+  socket.on('cueState', handleCueState);
+
+  // What the primary is showing (only applied while we are not the primary)
+  socket.on('showState', applyShowState);
+
+  socket.on('commandRejected', ({ event, reason, message }) => {
+    console.warn(`[SERVER] ${event} rejected: ${reason}${message ? ` (${message})` : ''}`);
+    const messages = {
+      'not-primary': 'Solo el controlador principal puede hacer eso',
+      'takeover-pending': 'Ya hay una solicitud de control pendiente',
+      denied: 'El controlador principal rechazó la solicitud',
+      forbidden: 'Comando no permitido',
+      'rate-limited': 'Demasiados comandos, más despacio',
+      'invalid-payload': `Datos inválidos en ${event}`,
+      'invalid-show': 'Nombre de show inválido (letras, números, - y _)',
+      'too-many-shows': 'El servidor no admite más shows',
+      'name-taken': `Ya hay una pantalla llamada "${message}"`,
+      'no-cues': 'No hay lista de cues cargada'
+    };
+    progressText.textContent = messages[reason] || `Comando rechazado: ${event}`;
+  });
+
   socket.on('disconnect', () => {
     console.log('[CONTROLLER] Disconnected');
     isConnected = false;
@@ -128,6 +349,229 @@ function updateConnectionStatus(connected) {
   }
 }
 
+// ==========================================
+// LOGIN
+// ==========================================
+
+function registerController() {
+  socket.emit('register', {
+    type: 'controller',
+    name: localStorage.getItem('controllerName') || 'Main Controller',
+    role: localStorage.getItem('controllerRole') || 'backup',
+    token: controllerToken,
+    show: showId || undefined
+  });
+}
+
+function showLogin(message = '') {
+  loginOverlay.classList.remove('hidden');
+  loginError.textContent = message;
+  pinInput.value = '';
+  pinInput.focus();
+}
+
+async function login(pin) {
+  try {
+    const res = await fetch('/api/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pin })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      showLogin(res.status === 429 ? 'Demasiados intentos, espera un momento' : 'PIN incorrecto');
+      return;
+    }
+    controllerToken = data.token;
+    localStorage.setItem('controllerToken', controllerToken);
+    if (socket && isConnected) registerController();
+  } catch (err) {
+    console.error('[AUTH] Login failed:', err);
+    showLogin('No se pudo conectar con el servidor');
+  }
+}
+
+// Link (and QR code) for phones to join this show as screens. The server builds it
+// with its LAN address, so it works even when this page was opened on localhost.
+async function refreshJoinLink() {
+  if (!screenLink) return;
+  try {
+    const { url, qr } = await apiRequest('GET', '/join-link');
+    screenLink.href = url;
+    screenLink.textContent = url.replace(/^https?:\/\//, '');
+    if (qrImage) qrImage.innerHTML = qr; // SVG generated by our own server
+    if (qrLink) {
+      qrLink.href = url;
+      qrLink.textContent = url;
+    }
+    if (qrBtn) qrBtn.disabled = false;
+  } catch (err) {
+    console.error('[QR] Could not load the join link:', err);
+  }
+}
+
+function setQrVisible(visible) {
+  if (qrOverlay) qrOverlay.classList.toggle('hidden', !visible);
+}
+
+// ==========================================
+// CONTROLLER ROLES - Primary drives, the rest mirror
+// ==========================================
+
+function isPrimaryController() {
+  return isConnected && controllerRole === 'primary';
+}
+
+function handleControllerRoles(data) {
+  const wasPrimary = controllerRole === 'primary';
+  controllerRole = data.role;
+  controllerRoster = data.controllers;
+  takeoverRequest = data.takeoverRequest;
+
+  if (wasPrimary && controllerRole !== 'primary') {
+    console.log('[ROLES] Lost control');
+    releaseControl();
+  } else if (!wasPrimary && controllerRole === 'primary') {
+    console.log('[ROLES] Now primary');
+    resumeMirroredShow();
+  }
+
+  renderControllerRoles();
+  renderScreenList(); // rename buttons follow the role
+  renderLayerList();
+  renderEffectParams();
+  renderModulationList();
+  updateControls();
+}
+
+// Someone else drives now: stop everything this tab was sending, without telling the server
+function releaseControl() {
+  if (animationFrame) {
+    cancelAnimationFrame(animationFrame);
+    animationFrame = null;
+  }
+  if (renderMode === 'browser') isAnimating = false;
+  stopAudioBeatMode();
+  stopMedia();
+  if (trackingEnabled) setTracking(false);
+  if (layoutEditing) setLayoutEditing(false);
+  lastPublishedShow = null;
+}
+
+// Taking over a show in progress: keep it going
+function resumeMirroredShow() {
+  lastPublishedShow = null;
+  if (renderMode === 'browser' && isAnimating && !animationFrame) {
+    isAnimating = false;
+    startAnimation();
+  }
+  publishShowState();
+}
+
+// Tell the other controllers what we show; skipped when nothing changed
+function publishShowState() {
+  if (!isPrimaryController()) return;
+  const state = {
+    animationType: currentAnimation,
+    speed: animationSpeed,
+    brightness: animationBrightness,
+    tint: tintColor,
+    renderMode,
+    playing: isAnimating,
+    audioBeat: audioBeatEnabled,
+    layers: animationLayers,
+    effectParams,
+    pixelGrid,
+    tempoSync,
+    modulations,
+    crossfade: crossfadeTime
+  };
+  const serialized = JSON.stringify(state);
+  if (serialized === lastPublishedShow) return;
+  lastPublishedShow = serialized;
+  socket.emit('updateShowState', state);
+}
+
+function applyShowState(state) {
+  if (controllerRole === 'primary' || !state) return;
+
+  currentAnimation = state.animationType || currentAnimation;
+  setActiveAnimationButton(currentAnimation);
+  if (state.effectParams) effectParams = state.effectParams;
+  renderEffectParams();
+
+  animationSpeed = state.speed;
+  animationBrightness = state.brightness;
+  speedSlider.value = animationSpeed;
+  brightnessSlider.value = animationBrightness;
+
+  if (state.tint) {
+    tintColor = state.tint;
+    colorButtons.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.color === `${state.tint.r},${state.tint.g},${state.tint.b}`);
+    });
+  }
+
+  if (Array.isArray(state.layers)) {
+    animationLayers = state.layers;
+    renderLayerList();
+  }
+  if (Number.isFinite(state.crossfade)) setCrossfadeTime(state.crossfade);
+  if (Number.isInteger(state.pixelGrid)) {
+    pixelGrid = state.pixelGrid;
+    if (pixelGridSelect) pixelGridSelect.value = String(pixelGrid);
+  }
+  if (typeof state.tempoSync === 'boolean') {
+    tempoSync = state.tempoSync;
+    if (tempoSyncInput) tempoSyncInput.checked = tempoSync;
+  }
+  if (Array.isArray(state.modulations)) {
+    modulations = state.modulations;
+    renderModulationList();
+  }
+
+  // Mirror the mode for this session only (our saved preference stays)
+  renderMode = state.renderMode || renderMode;
+  if (renderModeSelect) renderModeSelect.value = renderMode;
+  if (renderMode === 'browser') isAnimating = state.playing;
+
+  updateControls();
+}
+
+function renderControllerRoles() {
+  const labels = { primary: 'Principal', backup: 'Respaldo', observer: 'Observador' };
+  if (roleText) roleText.textContent = labels[controllerRole] || '—';
+  if (roleSelect && controllerRole !== 'primary') roleSelect.value = controllerRole;
+
+  if (controllerList) {
+    controllerList.innerHTML = controllerRoster.map(c => {
+      const isSelf = socket && c.socketId === socket.id;
+      const handOff = controllerRole === 'primary' && !isSelf
+        ? ` <button class="btn btn-sm" data-handoff="${c.socketId}">Ceder</button>`
+        : '';
+      return `<div>${escapeHtml(c.name)} <span class="text-muted">(${c.socketId.slice(0, 6)})</span> · ${labels[c.role]}${isSelf ? ' · tú' : ''}${handOff}</div>`;
+    }).join('');
+  }
+
+  if (takeoverPrompt) {
+    takeoverPrompt.hidden = !takeoverRequest;
+    if (takeoverRequest) {
+      takeoverText.textContent = `${takeoverRequest.name} pide el control (se cede solo en ${Math.round(takeoverRequest.timeoutMs / 1000)} s)`;
+    }
+  }
+}
+
+function requestTakeover() {
+  if (!socket || !isConnected || controllerRole === 'primary') return;
+  socket.emit('requestTakeover');
+  progressText.textContent = 'Control solicitado...';
+}
+
+function answerTakeover(accept) {
+  if (!takeoverRequest) return;
+  socket.emit('answerTakeover', { accept });
+}
+
 // ==========================================
 // WEBCAM
 // ==========================================
@@ -196,6 +640,7 @@ function renderScreenList() {
   screenList.innerHTML = screens.map(screen => {
     const hasPosition = screen.position != null;
     const hasArea = screen.area != null;
+    const isWeak = needsRescan(screen) && screen.confidence != null;
     
     let positionInfo = 'Sin detectar';
     if (hasPosition) {
@@ -203,17 +648,35 @@ function renderScreenList() {
       if (hasArea) {
         positionInfo += `<br>Área: ${(screen.area.width * 100).toFixed(1)}% × ${(screen.area.height * 100).toFixed(1)}%`;
       }
+      if (screen.quad) {
+        positionInfo += ` · ${screen.quad.rotation.toFixed(0)}°`;
+      }
     }
+
+    // Detection confidence from the last scan (0 = missed)
+    const confidenceInfo = screen.confidence != null
+      ? `<div class="screen-confidence text-muted ${isWeak ? 'warn' : ''}">Confianza: ${Math.round(screen.confidence * 100)}%</div>`
+      : '';
+
+    // Clock sync estimate reported by the screen (offset = server - screen)
+    const clockInfo = screen.clock
+      ? `Sync: ${screen.clock.offset >= 0 ? '+' : ''}${screen.clock.offset}ms ±${screen.clock.jitter}ms`
+      : 'Sync: —';
     
     return `
-      <div class="screen-item" data-id="${screen.socketId}">
+      <div class="screen-item ${layoutEditing && screen.socketId === editSelectedId ? 'active' : ''}" data-id="${screen.socketId}">
         <div class="screen-color" style="background: ${screen.color ? rgbToHex(screen.color) : '#333'}"></div>
         <div class="screen-info">
-          <div class="screen-name">${screen.name} <span class="text-muted">(${screen.socketId.slice(0, 6)})</span></div>
+          <div class="screen-name">
+            ${escapeHtml(screen.name)} <span class="text-muted">(${screen.socketId.slice(0, 6)})</span>
+            <button class="btn btn-sm screen-rename" data-rename="${screen.socketId}" title="Renombrar" ${isPrimaryController() ? '' : 'disabled'}>✎</button>
+          </div>
           <div class="screen-position">${positionInfo}</div>
+          ${confidenceInfo}
+          <div class="screen-clock text-muted ${screen.clock && screen.clock.jitter > 30 ? 'warn' : ''}">${clockInfo}</div>
         </div>
-        <span class="screen-status ${hasPosition ? 'detected' : 'pending'}">
-          ${hasPosition ? '✓ OK' : '⏳'}
+        <span class="screen-status ${isWeak ? 'weak' : hasPosition ? 'detected' : 'pending'}">
+          ${isWeak ? '⚠' : hasPosition ? '✓ OK' : '⏳'}
         </span>
       </div>
     `;
@@ -223,6 +686,14 @@ function renderScreenList() {
   drawOverlay();
 }
 
+function renameScreen(screenId) {
+  const screen = screens.find(s => s.socketId === screenId);
+  if (!screen || !isPrimaryController()) return;
+  const name = prompt('Nuevo nombre de la pantalla:', screen.name);
+  if (name === null || !name.trim()) return;
+  socket.emit('renameScreen', { screenId, name: name.trim().slice(0, 32) });
+}
+
 function rgbToHex(color) {
   if (typeof color === 'string') return color;
   if (color.hex) return color.hex;
@@ -243,6 +714,23 @@ function drawOverlay() {
   if (!overlayCtx) return;
   
   overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+
+  // Blank canvas for placing screens without a camera
+  if (layoutEditing && !webcamStream) drawEditorGrid();
+  
+  // Tracked motion: fading trail of recent centers
+  trackingTrails.forEach((trail, socketId) => {
+    if (trail.length < 2 || !screens.some(s => s.socketId === socketId)) return;
+    const points = trail.map(p => denormalizeRectFromSquare({ x: p.x, y: p.y, width: 0, height: 0 }, overlayCanvas.width, overlayCanvas.height));
+    overlayCtx.lineWidth = 2;
+    for (let i = 1; i < points.length; i++) {
+      overlayCtx.strokeStyle = `rgba(255, 200, 0, ${(i / points.length).toFixed(2)})`;
+      overlayCtx.beginPath();
+      overlayCtx.moveTo(points[i - 1].x, points[i - 1].y);
+      overlayCtx.lineTo(points[i].x, points[i].y);
+      overlayCtx.stroke();
+    }
+  });
   
   screens.forEach((screen, index) => {
     if (screen.position) {
@@ -255,8 +743,31 @@ function drawOverlay() {
       const x = centerRect.x;
       const y = centerRect.y;
       
-      // If we have area data, draw the bounding box
-      if (screen.area) {
+      // Prefer the fitted quadrilateral: it follows rotated and tilted screens
+      if (screen.quad && screen.quad.corners && screen.quad.corners.length === 4) {
+        const corners = screen.quad.corners.map(c => denormalizeRectFromSquare({
+          x: c.x,
+          y: c.y,
+          width: 0,
+          height: 0
+        }, overlayCanvas.width, overlayCanvas.height));
+
+        overlayCtx.beginPath();
+        corners.forEach((c, i) => i === 0 ? overlayCtx.moveTo(c.x, c.y) : overlayCtx.lineTo(c.x, c.y));
+        overlayCtx.closePath();
+        overlayCtx.fillStyle = 'rgba(74, 158, 255, 0.2)';
+        overlayCtx.fill();
+        overlayCtx.strokeStyle = '#4a9eff';
+        overlayCtx.lineWidth = 2;
+        overlayCtx.stroke();
+
+        // Mark the top-left corner so orientation is visible
+        overlayCtx.beginPath();
+        overlayCtx.arc(corners[0].x, corners[0].y, 4, 0, Math.PI * 2);
+        overlayCtx.fillStyle = '#fff';
+        overlayCtx.fill();
+      } else if (screen.area) {
+        // If we have area data, draw the bounding box
         const denormBox = denormalizeRectFromSquare(screen.area, overlayCanvas.width, overlayCanvas.height);
         const boxX = denormBox.x;
         const boxY = denormBox.y;
@@ -328,14 +839,277 @@ function drawOverlay() {
       overlayCtx.fillText(label, x, y + 28);
     }
   });
+
+  if (layoutEditing) drawEditorHandles();
+}
+
+// ==========================================
+// LAYOUT EDITOR - Fix or place screens by hand
+// ==========================================
+//
+// Screens are edited as rotated rectangles { cx, cy, w, h, angle } in the
+// normalized square space, which is isotropic, so rotation needs no aspect fix.
+
+function setLayoutEditing(enabled) {
+  layoutEditing = enabled;
+  editDrag = null;
+  if (!enabled) editSelectedId = null;
+
+  // Without a camera the overlay is a blank canvas at the usual 16:9 size
+  if (enabled && !overlayCtx) {
+    overlayCanvas.width = 1280;
+    overlayCanvas.height = 720;
+    overlayCtx = overlayCanvas.getContext('2d');
+  }
+  if (enabled && !virtualCtx) {
+    virtualCanvas = document.createElement('canvas');
+    virtualCanvas.width = CONFIG.canvasSize;
+    virtualCanvas.height = CONFIG.canvasSize;
+    virtualCtx = virtualCanvas.getContext('2d');
+  }
+
+  overlayCanvas.parentElement.classList.toggle('editing', enabled);
+  console.log(`[EDITOR] ${enabled ? 'Editing layout' : 'Done editing'}`);
+  renderScreenList();
+  updateControls();
+}
+
+function getEditableRect(screen) {
+  if (screen.quad && screen.quad.corners && screen.quad.corners.length === 4) {
+    const [c0, c1, c2] = screen.quad.corners;
+    const corners = screen.quad.corners;
+    return {
+      cx: corners.reduce((sum, c) => sum + c.x, 0) / 4,
+      cy: corners.reduce((sum, c) => sum + c.y, 0) / 4,
+      w: Math.hypot(c1.x - c0.x, c1.y - c0.y),
+      h: Math.hypot(c2.x - c1.x, c2.y - c1.y),
+      angle: Math.atan2(c1.y - c0.y, c1.x - c0.x)
+    };
+  }
+  if (screen.area) {
+    return {
+      cx: screen.area.x + screen.area.width / 2,
+      cy: screen.area.y + screen.area.height / 2,
+      w: screen.area.width,
+      h: screen.area.height,
+      angle: 0
+    };
+  }
+  return { cx: screen.position.x, cy: screen.position.y, w: CONFIG.editDefaultSize.w, h: CONFIG.editDefaultSize.h, angle: 0 };
+}
+
+// Rect point in local coordinates (origin at the center, unrotated) -> normalized space
+function rectToWorld(rect, lx, ly) {
+  const cos = Math.cos(rect.angle);
+  const sin = Math.sin(rect.angle);
+  return { x: rect.cx + lx * cos - ly * sin, y: rect.cy + lx * sin + ly * cos };
+}
+
+function worldToRect(rect, x, y) {
+  const cos = Math.cos(rect.angle);
+  const sin = Math.sin(rect.angle);
+  const dx = x - rect.cx;
+  const dy = y - rect.cy;
+  return { x: dx * cos + dy * sin, y: -dx * sin + dy * cos };
+}
+
+// Clockwise from top-left, same order as fitQuadrilateral
+function rectCorners(rect) {
+  const hw = rect.w / 2;
+  const hh = rect.h / 2;
+  return [
+    rectToWorld(rect, -hw, -hh),
+    rectToWorld(rect, hw, -hh),
+    rectToWorld(rect, hw, hh),
+    rectToWorld(rect, -hw, hh)
+  ];
+}
+
+function applyEditableRect(screen, rect) {
+  const corners = rectCorners(rect);
+  const xs = corners.map(c => c.x);
+  const ys = corners.map(c => c.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+
+  screen.position = { x: rect.cx, y: rect.cy };
+  screen.area = { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+  screen.quad = { corners, rotation: rect.angle * 180 / Math.PI };
+}
+
+function emitEditedScreen(screen) {
+  socket.emit('reportPosition', {
+    screenId: screen.socketId,
+    x: screen.position.x,
+    y: screen.position.y,
+    area: screen.area,
+    quad: screen.quad,
+    confidence: 1 // placed by hand
+  });
+}
+
+// Handles in normalized space, for the selected screen
+function getEditorHandles(rect) {
+  const offset = CONFIG.editRotateHandleOffset / Math.max(overlayCanvas.width, overlayCanvas.height);
+  return {
+    resize: rectToWorld(rect, rect.w / 2, rect.h / 2),
+    rotate: rectToWorld(rect, 0, -rect.h / 2 - offset)
+  };
+}
+
+// Pointer -> normalized square space (the canvas is letterboxed by object-fit: contain)
+function pointerToNormalized(e) {
+  const bounds = overlayCanvas.getBoundingClientRect();
+  const scale = Math.min(bounds.width / overlayCanvas.width, bounds.height / overlayCanvas.height);
+  const offsetX = (bounds.width - overlayCanvas.width * scale) / 2;
+  const offsetY = (bounds.height - overlayCanvas.height * scale) / 2;
+  const x = (e.clientX - bounds.left - offsetX) / scale;
+  const y = (e.clientY - bounds.top - offsetY) / scale;
+  return normalizePointToSquare(x, y, overlayCanvas.width, overlayCanvas.height);
+}
+
+function handleEditorPointerDown(e) {
+  if (!layoutEditing || !isConnected) return;
+  const point = pointerToNormalized(e);
+  const grab = CONFIG.editHandleRadius / Math.max(overlayCanvas.width, overlayCanvas.height);
+  const near = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) <= grab;
+
+  const selected = screens.find(s => s.socketId === editSelectedId);
+  if (selected && selected.position) {
+    const rect = getEditableRect(selected);
+    const handles = getEditorHandles(rect);
+    if (near(point, handles.resize)) {
+      editDrag = { mode: 'resize', socketId: selected.socketId, rect };
+    } else if (near(point, handles.rotate)) {
+      editDrag = { mode: 'rotate', socketId: selected.socketId, rect };
+    }
+  }
+
+  if (!editDrag) {
+    // Topmost screen under the pointer (drawn last)
+    const hit = screens.slice().reverse().find(s => s.position &&
+      ScreenMapping.pointInPolygon(point.x, point.y, rectCorners(getEditableRect(s))));
+    if (hit) {
+      const rect = getEditableRect(hit);
+      editSelectedId = hit.socketId;
+      editDrag = { mode: 'move', socketId: hit.socketId, rect, grabX: point.x - rect.cx, grabY: point.y - rect.cy };
+    } else if (selected && !selected.position) {
+      // Place an unscanned screen where the user clicked
+      const rect = { cx: point.x, cy: point.y, w: CONFIG.editDefaultSize.w, h: CONFIG.editDefaultSize.h, angle: 0 };
+      applyEditableRect(selected, rect);
+      emitEditedScreen(selected);
+      console.log(`[EDITOR] Placed ${selected.name}`);
+    } else {
+      editSelectedId = null;
+    }
+  }
+
+  if (editDrag) overlayCanvas.setPointerCapture(e.pointerId);
+  renderScreenList();
+}
+
+function handleEditorPointerMove(e) {
+  if (!editDrag) return;
+  const screen = screens.find(s => s.socketId === editDrag.socketId);
+  if (!screen) {
+    editDrag = null;
+    return;
+  }
+
+  const point = pointerToNormalized(e);
+  const rect = { ...editDrag.rect };
+
+  if (editDrag.mode === 'move') {
+    rect.cx = Math.min(Math.max(point.x - editDrag.grabX, 0), 1);
+    rect.cy = Math.min(Math.max(point.y - editDrag.grabY, 0), 1);
+  } else if (editDrag.mode === 'resize') {
+    // Symmetric around the center, in the screen's own (rotated) axes
+    const local = worldToRect(rect, point.x, point.y);
+    const clamp = v => Math.min(Math.max(v, ScreenMapping.minNormalizedArea), ScreenMapping.maxNormalizedArea);
+    rect.w = clamp(Math.abs(local.x) * 2);
+    rect.h = clamp(Math.abs(local.y) * 2);
+  } else if (editDrag.mode === 'rotate') {
+    let angle = Math.atan2(point.y - rect.cy, point.x - rect.cx) + Math.PI / 2;
+    // Shift snaps to 15°
+    if (e.shiftKey) angle = Math.round(angle / (Math.PI / 12)) * (Math.PI / 12);
+    rect.angle = angle;
+  }
+
+  editDrag.current = rect;
+  applyEditableRect(screen, rect);
+  drawOverlay();
+}
+
+function handleEditorPointerUp() {
+  if (!editDrag) return;
+  const screen = screens.find(s => s.socketId === editDrag.socketId);
+  // Only send real edits: a click just selects
+  if (screen && editDrag.current) {
+    applyEditableRect(screen, editDrag.current);
+    emitEditedScreen(screen);
+  }
+  editDrag = null;
+}
+
+function drawEditorGrid() {
+  const step = Math.max(overlayCanvas.width, overlayCanvas.height) / 20;
+  overlayCtx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+  overlayCtx.lineWidth = 1;
+  overlayCtx.beginPath();
+  for (let x = step; x < overlayCanvas.width; x += step) {
+    overlayCtx.moveTo(x, 0);
+    overlayCtx.lineTo(x, overlayCanvas.height);
+  }
+  for (let y = step; y < overlayCanvas.height; y += step) {
+    overlayCtx.moveTo(0, y);
+    overlayCtx.lineTo(overlayCanvas.width, y);
+  }
+  overlayCtx.stroke();
+}
+
+function drawEditorHandles() {
+  const selected = screens.find(s => s.socketId === editSelectedId);
+  if (!selected || !selected.position) return;
+
+  const toCanvas = p => denormalizeRectFromSquare({ x: p.x, y: p.y, width: 0, height: 0 }, overlayCanvas.width, overlayCanvas.height);
+  const rect = getEditableRect(selected);
+  const corners = rectCorners(rect).map(toCanvas);
+  const handles = getEditorHandles(rect);
+  const resize = toCanvas(handles.resize);
+  const rotate = toCanvas(handles.rotate);
+  const topMid = toCanvas(rectToWorld(rect, 0, -rect.h / 2));
+
+  overlayCtx.beginPath();
+  corners.forEach((c, i) => i === 0 ? overlayCtx.moveTo(c.x, c.y) : overlayCtx.lineTo(c.x, c.y));
+  overlayCtx.closePath();
+  overlayCtx.strokeStyle = '#ffb400';
+  overlayCtx.lineWidth = 2;
+  overlayCtx.stroke();
+
+  overlayCtx.beginPath();
+  overlayCtx.moveTo(topMid.x, topMid.y);
+  overlayCtx.lineTo(rotate.x, rotate.y);
+  overlayCtx.stroke();
+
+  overlayCtx.fillStyle = '#ffb400';
+  overlayCtx.fillRect(resize.x - 6, resize.y - 6, 12, 12);
+  overlayCtx.beginPath();
+  overlayCtx.arc(rotate.x, rotate.y, 7, 0, Math.PI * 2);
+  overlayCtx.fill();
 }
 
 // ==========================================
 // ADVANCED SCANNING ALGORITHM
 // ==========================================
 
-async function startScan() {
+// onlyWeak: rescan just the screens that were missed or detected with low confidence,
+// leaving everything that mapped well untouched
+async function startScan({ onlyWeak = false } = {}) {
   if (!webcamStream || screens.length === 0) return;
+
+  // Snapshot: screens joining mid-scan wait for the next one
+  const targets = onlyWeak ? screens.filter(needsRescan) : screens.slice();
+  if (targets.length === 0) return;
   
   isScanning = true;
   scanBtn.disabled = true;
@@ -343,10 +1117,15 @@ async function startScan() {
   if (scanProgress) scanProgress.classList.add('active');
   if (progressFill) progressFill.style.width = '0%';
   
-  // Clear previous positions
-  socket.emit('clearPositions');
+  // Nothing else may drive the screens while we flash them
+  stopAnimation();
+
+  // Clear previous positions (a weak-only rescan keeps the good ones)
+  if (!onlyWeak) socket.emit('clearPositions');
+  scanDetections = new Map();
+  scanKeptScreens = onlyWeak ? screens.filter(s => s.position && !needsRescan(s)) : [];
   
-  console.log('[SCAN] Starting advanced scan...');
+  console.log(`[SCAN] Starting ${scanMode} scan of ${targets.length} screens${onlyWeak ? ' (weak only)' : ''}...`);
   
   // Step 1: All screens to black, wait for stabilization
   socket.emit('broadcastColor', { color: { r: 0, g: 0, b: 0 } });
@@ -354,23 +1133,37 @@ async function startScan() {
   
   // Step 2: Capture multiple base frames and average them (noise reduction)
   progressText.textContent = 'Capturando referencia...';
-  const baseFrames = [];
-  for (let i = 0; i < 3; i++) {
-    baseFrames.push(captureFrame());
-    await sleep(50);
-  }
-  const baseFrame = averageFrames(baseFrames);
+  const baseFrame = await captureAveragedFrame();
   console.log('[SCAN] Base frame captured (averaged from 3 frames)');
   
-  // Step 3: Scan each screen with enhanced detection
-  for (let i = 0; i < screens.length; i++) {
-    const screen = screens[i];
+  // Step 3: Flash all screens at once with binary IDs, then retry the ones that didn't decode
+  let pending = targets;
+  if (scanMode === 'parallel' && targets.length >= CONFIG.parallelScanMinScreens) {
+    pending = await scanParallel(targets, baseFrame);
+    if (pending.length > 0) {
+      console.warn(`[SCAN] ${pending.length} screens failed to decode, falling back to sequential`);
+    }
+  }
+
+  // Step 4: Scan each remaining screen with enhanced detection
+  await scanSequential(pending, baseFrame);
+  
+  console.log('[SCAN] Scan complete');
+  finishScanReport(targets);
+  isScanning = false;
+  if (scanProgress) scanProgress.classList.remove('active');
+  updateControls();
+}
+
+async function scanSequential(targets, baseFrame) {
+  for (let i = 0; i < targets.length; i++) {
+    const screen = targets[i];
     
     // Update progress
     if (progressFill) {
-      progressFill.style.width = `${((i + 1) / screens.length) * 100}%`;
+      progressFill.style.width = `${((i + 1) / targets.length) * 100}%`;
     }
-    progressText.textContent = `Escaneando ${screen.name}... (${i + 1}/${screens.length})`;
+    progressText.textContent = `Escaneando ${screen.name}... (${i + 1}/${targets.length})`;
     
     // Flash this screen white at maximum brightness
     socket.emit('sendColor', { 
@@ -382,31 +1175,16 @@ async function startScan() {
     await sleep(CONFIG.scanFlashDuration);
     
     // Capture multiple frames for more accurate detection
-    const activeFrames = [];
-    for (let j = 0; j < 3; j++) {
-      activeFrames.push(captureFrame());
-      await sleep(30);
-    }
-    const activeFrame = averageFrames(activeFrames);
+    const activeFrame = await captureAveragedFrame();
     
     // Advanced detection with area calculation
     const detection = detectScreenArea(baseFrame, activeFrame);
     
     if (detection) {
-      console.log(`[SCAN] ${screen.name} detected:`, {
-        center: `(${(detection.center.x * 100).toFixed(1)}%, ${(detection.center.y * 100).toFixed(1)}%)`,
-        area: `${(detection.area.width * 100).toFixed(1)}% × ${(detection.area.height * 100).toFixed(1)}%`,
-        pixels: detection.pixelCount
-      });
-      
-      socket.emit('reportPosition', {
-        screenId: screen.socketId,
-        x: detection.center.x,
-        y: detection.center.y,
-        area: detection.area
-      });
+      reportDetection(screen, detection);
     } else {
       console.warn(`[SCAN] ${screen.name} not detected`);
+      socket.emit('reportMissed', { screenId: screen.socketId });
     }
     
     // Turn off this screen
@@ -417,11 +1195,183 @@ async function startScan() {
     
     await sleep(CONFIG.scanCooldown);
   }
+}
+
+// Every screen gets a Gray-coded ID and all of them flash together, one frame per bit:
+// N screens take ceil(log2(N + 1)) frames instead of N. Returns the screens that failed to decode.
+async function scanParallel(targets, baseFrame) {
+  // Code 0 never lights up and would look like background, so IDs start at 1
+  const codes = targets.map((_, i) => grayCode(i + 1));
+  const bits = Math.ceil(Math.log2(targets.length + 1));
+  const totalSteps = bits + 1;
+
+  // Reference frame with every screen on: tells us where screens are and how bright "on" is
+  progressText.textContent = `Escaneo paralelo: todas (1/${totalSteps})`;
+  const fullFrame = await captureFlashFrame(targets, () => true);
+  if (progressFill) progressFill.style.width = `${(1 / totalSteps) * 100}%`;
+
+  const bitFrames = [];
+  for (let bit = 0; bit < bits; bit++) {
+    progressText.textContent = `Escaneo paralelo: bit ${bit + 1}/${bits} (${bit + 2}/${totalSteps})`;
+    bitFrames.push(await captureFlashFrame(targets, i => (codes[i] >> bit) & 1));
+    if (progressFill) progressFill.style.width = `${((bit + 2) / totalSteps) * 100}%`;
+  }
+
+  socket.emit('broadcastColor', { color: { r: 0, g: 0, b: 0 } });
+
+  const owners = decodeScreenCodes(baseFrame, fullFrame, bitFrames, codes);
+  const failed = [];
+
+  // Run each decoded region through the regular single-screen pipeline
+  targets.forEach((screen, i) => {
+    const detection = detectScreenArea(baseFrame, isolateScreenFrame(baseFrame, fullFrame, owners, i));
+    if (detection) {
+      reportDetection(screen, detection);
+    } else {
+      failed.push(screen);
+    }
+  });
+
+  console.log(`[SCAN] Parallel scan: ${targets.length - failed.length}/${targets.length} decoded in ${totalSteps} frames`);
+  await sleep(CONFIG.scanCooldown);
+  return failed;
+}
+
+// Light the screens selected by isLit(index) white and the rest black, then capture
+async function captureFlashFrame(targets, isLit) {
+  socket.emit('sendColors', targets.map((screen, i) => ({
+    screenId: screen.socketId,
+    color: isLit(i) ? { r: 255, g: 255, b: 255 } : { r: 0, g: 0, b: 0 }
+  })));
+  await sleep(CONFIG.scanFlashDuration);
+  return captureAveragedFrame();
+}
+
+function grayCode(n) {
+  return n ^ (n >> 1);
+}
+
+// Per pixel: read one bit per frame (lit if it rose past half of its full-on brightness)
+// and map the resulting code back to a screen index. -1 = background or unknown code.
+function decodeScreenCodes(baseFrame, fullFrame, bitFrames, codes) {
+  const pixelCount = baseFrame.width * baseFrame.height;
+  const owners = new Int16Array(pixelCount).fill(-1);
+  const indexByCode = new Map(codes.map((code, i) => [code, i]));
+  const luminance = (data, i) => data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+
+  for (let p = 0; p < pixelCount; p++) {
+    const i = p * 4;
+    const base = luminance(baseFrame.data, i);
+    const range = luminance(fullFrame.data, i) - base;
+    if (range < CONFIG.brightnessThreshold) continue;
+
+    let code = 0;
+    for (let bit = 0; bit < bitFrames.length; bit++) {
+      if (luminance(bitFrames[bit].data, i) - base > range / 2) code |= 1 << bit;
+    }
+
+    const owner = indexByCode.get(code);
+    if (owner !== undefined) owners[p] = owner;
+  }
+
+  return owners;
+}
+
+// Synthetic "only this screen flashed" frame for detectScreenArea
+function isolateScreenFrame(baseFrame, fullFrame, owners, index) {
+  const result = new ImageData(new Uint8ClampedArray(baseFrame.data), baseFrame.width, baseFrame.height);
+  for (let p = 0; p < owners.length; p++) {
+    if (owners[p] !== index) continue;
+    const i = p * 4;
+    result.data[i] = fullFrame.data[i];
+    result.data[i + 1] = fullFrame.data[i + 1];
+    result.data[i + 2] = fullFrame.data[i + 2];
+  }
+  return result;
+}
+
+function reportDetection(screen, detection) {
+  scanDetections.set(screen.socketId, { screen, detection, confidence: null });
+  const confidence = scoreDetection(screen.socketId, detection);
+  scanDetections.get(screen.socketId).confidence = confidence;
+
+  console.log(`[SCAN] ${screen.name} detected:`, {
+    center: `(${(detection.center.x * 100).toFixed(1)}%, ${(detection.center.y * 100).toFixed(1)}%)`,
+    area: `${(detection.area.width * 100).toFixed(1)}% × ${(detection.area.height * 100).toFixed(1)}%`,
+    pixels: detection.pixelCount,
+    contrast: detection.contrast.toFixed(2),
+    confidence: confidence.toFixed(2)
+  });
   
-  console.log('[SCAN] Scan complete');
-  isScanning = false;
-  if (scanProgress) scanProgress.classList.remove('active');
-  updateControls();
+  emitDetection(screen, detection, confidence);
+}
+
+function emitDetection(screen, detection, confidence) {
+  socket.emit('reportPosition', {
+    screenId: screen.socketId,
+    x: detection.center.x,
+    y: detection.center.y,
+    area: detection.area,
+    quad: detection.quad,
+    confidence
+  });
+}
+
+// ==========================================
+// SCAN QUALITY
+// ==========================================
+
+function needsRescan(screen) {
+  // Layouts saved before confidence existed have none: trust them
+  return !screen.position || (screen.confidence != null && screen.confidence < CONFIG.lowConfidence);
+}
+
+// 0-1 from blob size, contrast against the adaptive threshold and overlap with other screens
+function scoreDetection(socketId, detection) {
+  const sizeScore = Math.min(1, detection.pixelCount / (CONFIG.minBlobSize * 10));
+  const contrastScore = Math.min(1, Math.max(0, (detection.contrast - 1) / 2));
+
+  const others = [
+    ...scanKeptScreens.map(s => s.area),
+    ...[...scanDetections].filter(([id]) => id !== socketId).map(([, entry]) => entry.detection.area)
+  ].filter(Boolean);
+  const overlap = others.reduce((max, area) => Math.max(max, rectOverlap(detection.area, area)), 0);
+
+  return Math.round((0.4 * sizeScore + 0.6 * contrastScore) * (1 - overlap) * 100) / 100;
+}
+
+// Fraction of rect a covered by rect b
+function rectOverlap(a, b) {
+  const w = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const h = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (w <= 0 || h <= 0) return 0;
+  return (w * h) / (a.width * a.height);
+}
+
+// Overlap is only known once every screen is in: rescore, resend what changed and summarize
+function finishScanReport(targets) {
+  scanDetections.forEach((entry, socketId) => {
+    const confidence = scoreDetection(socketId, entry.detection);
+    if (Math.abs(confidence - entry.confidence) > 0.01) {
+      entry.confidence = confidence;
+      emitDetection(entry.screen, entry.detection, confidence);
+    }
+  });
+
+  const detected = [...scanDetections.values()];
+  const weak = detected.filter(entry => entry.confidence < CONFIG.lowConfidence);
+  const missed = targets.length - detected.length;
+
+  progressText.textContent = `Escaneo: ${detected.length - weak.length} OK, ${weak.length} débiles, ${missed} sin detectar`;
+}
+
+async function captureAveragedFrame() {
+  const frames = [];
+  for (let j = 0; j < 3; j++) {
+    frames.push(captureFrame());
+    await sleep(30);
+  }
+  return averageFrames(frames);
 }
 
 function captureFrame() {
@@ -448,17 +1398,178 @@ function averageFrames(frames) {
 }
 
 // ==========================================
-// GEOMETRY HELPERS (aspect-ratio aware)
+// TRACKING - Follow screens that move during a show
 // ==========================================
 
-function normalizeRectToSquare(rect, width, height) {
-  const landscape = width >= height;
-  if (landscape) {
-    const scale = height / width;
-    const padY = (1 - scale) / 2;
-    return {
-      x: (rect.x / width),
-      y: (rect.y / height) * scale + padY,
+// Identification colors, one per screen in a batch (detected per camera channel)
+const TRACKING_COLORS = [
+  { channel: 0, color: { r: 255, g: 0, b: 0 } },
+  { channel: 1, color: { r: 0, g: 255, b: 0 } },
+  { channel: 2, color: { r: 0, g: 0, b: 255 } }
+];
+
+function setTracking(enabled) {
+  trackingEnabled = enabled;
+  if (trackingTimer) {
+    clearTimeout(trackingTimer);
+    trackingTimer = null;
+  }
+  if (enabled) {
+    trackingTimer = setTimeout(trackingTick, CONFIG.trackingInterval);
+  } else {
+    trackingTrails.clear();
+    drawOverlay();
+  }
+  console.log(`[TRACK] ${enabled ? 'Enabled' : 'Disabled'}`);
+  updateControls();
+}
+
+async function trackingTick() {
+  trackingTimer = null;
+  try {
+    const playing = isAnimating || audioBeatEnabled;
+    if (playing && webcamStream && isConnected && !isScanning && !layoutEditing) {
+      await trackNextBatch();
+    }
+  } catch (err) {
+    console.warn('[TRACK] Update failed:', err);
+  }
+  if (trackingEnabled) trackingTimer = setTimeout(trackingTick, CONFIG.trackingInterval);
+}
+
+// Round-robin over detected screens, a few at a time so the show barely notices
+async function trackNextBatch() {
+  const detected = getDetectedScreens();
+  if (detected.length === 0) return;
+
+  const batch = [];
+  const size = Math.min(TRACKING_COLORS.length, detected.length);
+  for (let i = 0; i < size; i++) {
+    batch.push(detected[(trackingCursor + i) % detected.length]);
+  }
+  trackingCursor = (trackingCursor + size) % detected.length;
+
+  // Dark reference, then each screen in its own color; both held long enough to capture
+  const holdMs = CONFIG.trackingFlashDuration;
+  socket.emit('identifyScreens', {
+    screens: batch.map(screen => ({ screenId: screen.socketId, color: { r: 0, g: 0, b: 0 } })),
+    duration: holdMs * 2
+  });
+  await sleep(holdMs);
+  const baseFrame = captureFrame();
+
+  socket.emit('identifyScreens', {
+    screens: batch.map((screen, i) => ({ screenId: screen.socketId, color: TRACKING_COLORS[i].color })),
+    duration: holdMs
+  });
+  await sleep(holdMs);
+  const activeFrame = captureFrame();
+
+  batch.forEach((screen, i) => {
+    const searchWindow = trackingSearchWindow(screen, baseFrame.width, baseFrame.height);
+    const isolated = isolateChannelFrame(baseFrame, activeFrame, TRACKING_COLORS[i].channel, searchWindow);
+    const detection = detectScreenArea(baseFrame, isolated);
+    if (detection) {
+      updateTrackedScreen(screen, detection);
+    } else {
+      console.warn(`[TRACK] ${screen.name} lost this round`);
+    }
+  });
+}
+
+// Only look near where the screen was: other screens keep animating around it
+function trackingSearchWindow(screen, width, height) {
+  const area = screen.area || { x: screen.position.x, y: screen.position.y, width: 0, height: 0 };
+  const box = denormalizeRectFromSquare(area, width, height);
+  const marginX = Math.max(box.width, width * 0.05) * CONFIG.trackingSearchMargin;
+  const marginY = Math.max(box.height, height * 0.05) * CONFIG.trackingSearchMargin;
+  return {
+    minX: Math.max(0, Math.floor(box.x - marginX)),
+    minY: Math.max(0, Math.floor(box.y - marginY)),
+    maxX: Math.min(width - 1, Math.ceil(box.x + box.width + marginX)),
+    maxY: Math.min(height - 1, Math.ceil(box.y + box.height + marginY))
+  };
+}
+
+// Synthetic frame where only pixels that rose mostly in `channel` (inside the window) light up
+function isolateChannelFrame(baseFrame, activeFrame, channel, searchWindow) {
+  const { width } = baseFrame;
+  const base = baseFrame.data;
+  const active = activeFrame.data;
+  const result = new ImageData(new Uint8ClampedArray(base), width, baseFrame.height);
+
+  for (let y = searchWindow.minY; y <= searchWindow.maxY; y++) {
+    for (let x = searchWindow.minX; x <= searchWindow.maxX; x++) {
+      const i = (y * width + x) * 4;
+      const rise = active[i + channel] - base[i + channel];
+      const otherRise = Math.max(
+        active[i + (channel + 1) % 3] - base[i + (channel + 1) % 3],
+        active[i + (channel + 2) % 3] - base[i + (channel + 2) % 3]
+      );
+      if (rise > CONFIG.brightnessThreshold && rise > otherRise * 1.5) {
+        result.data[i] = base[i] + rise;
+        result.data[i + 1] = base[i + 1] + rise;
+        result.data[i + 2] = base[i + 2] + rise;
+      }
+    }
+  }
+  return result;
+}
+
+// Blend the new detection into the old mapping so a noisy frame can't make screens jump
+function updateTrackedScreen(screen, detection) {
+  const k = CONFIG.trackingSmoothing;
+  const mix = (a, b) => a + (b - a) * k;
+  const mixRect = (a, b) => a ? {
+    x: mix(a.x, b.x),
+    y: mix(a.y, b.y),
+    width: mix(a.width, b.width),
+    height: mix(a.height, b.height)
+  } : b;
+
+  const position = { x: mix(screen.position.x, detection.center.x), y: mix(screen.position.y, detection.center.y) };
+  const area = mixRect(screen.area, detection.area);
+  const quad = screen.quad && detection.quad ? {
+    corners: screen.quad.corners.map((c, i) => ({
+      x: mix(c.x, detection.quad.corners[i].x),
+      y: mix(c.y, detection.quad.corners[i].y)
+    })),
+    rotation: detection.quad.rotation
+  } : detection.quad;
+
+  // Update locally right away (the debounced screenList catches up later)
+  screen.position = position;
+  screen.area = area;
+  screen.quad = quad;
+
+  const trail = trackingTrails.get(screen.socketId) || [];
+  trail.push({ x: position.x, y: position.y });
+  if (trail.length > CONFIG.trackingTrailLength) trail.shift();
+  trackingTrails.set(screen.socketId, trail);
+
+  socket.emit('reportPosition', {
+    screenId: screen.socketId,
+    x: position.x,
+    y: position.y,
+    area,
+    quad,
+    tracked: true
+  });
+  drawOverlay();
+}
+
+// ==========================================
+// GEOMETRY HELPERS (aspect-ratio aware)
+// ==========================================
+
+function normalizeRectToSquare(rect, width, height) {
+  const landscape = width >= height;
+  if (landscape) {
+    const scale = height / width;
+    const padY = (1 - scale) / 2;
+    return {
+      x: (rect.x / width),
+      y: (rect.y / height) * scale + padY,
       width: (rect.width / width),
       height: (rect.height / height) * scale
     };
@@ -513,14 +1624,6 @@ function denormalizeRectFromSquare(rect, width, height) {
   };
 }
 
-function clampRect(rect) {
-  const x = Math.min(Math.max(rect.x, 0), 1);
-  const y = Math.min(Math.max(rect.y, 0), 1);
-  const width = Math.min(Math.max(rect.width, CONFIG.minNormalizedArea), CONFIG.maxNormalizedArea);
-  const height = Math.min(Math.max(rect.height, CONFIG.minNormalizedArea), CONFIG.maxNormalizedArea);
-  return { x, y, width, height };
-}
-
 // ==========================================
 // ADVANCED SCREEN DETECTION
 // ==========================================
@@ -568,6 +1671,11 @@ function detectScreenArea(baseFrame, activeFrame) {
   if (!blob || blob.pixels.length < CONFIG.minBlobSize) {
     return null;
   }
+
+  // Contrast: how far the blob stands above the threshold that segmented it
+  let blobSum = 0;
+  blob.pixels.forEach(({ x, y }) => { blobSum += blurredDiff[y * width + x]; });
+  const contrast = (blobSum / blob.pixels.length) / threshold;
   
   // Step 7: Calculate precise bounding box
   let minX = width, maxX = 0, minY = height, maxY = 0;
@@ -595,7 +1703,7 @@ function detectScreenArea(baseFrame, activeFrame) {
   const centerY = totalWeight > 0 ? totalY / totalWeight : (minY + maxY) / 2;
 
   // Normalize to square space to avoid aspect distortion when mapping to animations
-  const normalizedArea = clampRect(normalizeRectToSquare({
+  const normalizedArea = ScreenMapping.clampRect(normalizeRectToSquare({
     x: refinedBox.minX,
     y: refinedBox.minY,
     width: refinedBox.maxX - refinedBox.minX,
@@ -603,6 +1711,9 @@ function detectScreenArea(baseFrame, activeFrame) {
   }, width, height));
 
   const normalizedCenter = normalizePointToSquare(centerX, centerY, width, height);
+
+  // Step 9: Fit a four-corner quadrilateral (tilted / off-axis phones)
+  const quad = fitQuadrilateral(blob.pixels);
   
   return {
     center: {
@@ -615,10 +1726,133 @@ function detectScreenArea(baseFrame, activeFrame) {
       width: normalizedArea.width,
       height: normalizedArea.height
     },
-    pixelCount: blob.pixels.length
+    quad: quad ? {
+      corners: quad.corners.map(c => normalizePointToSquare(c.x, c.y, width, height)),
+      rotation: quad.rotation
+    } : null,
+    pixelCount: blob.pixels.length,
+    contrast
+  };
+}
+
+// ==========================================
+// QUADRILATERAL FITTING
+// ==========================================
+
+// Fit a quad to a blob: convex hull → minimum-area rotated rectangle (rotation) →
+// snap each rectangle corner to the nearest hull vertex (keeps perspective skew).
+// Corners are returned clockwise starting at the top-left, in pixel coordinates.
+function fitQuadrilateral(pixels) {
+  // Only the leftmost/rightmost pixel of each row can be on the hull
+  const rows = new Map();
+  pixels.forEach(({ x, y }) => {
+    const row = rows.get(y);
+    if (!row) {
+      rows.set(y, { min: x, max: x });
+    } else {
+      if (x < row.min) row.min = x;
+      if (x > row.max) row.max = x;
+    }
+  });
+  const points = [];
+  rows.forEach((row, y) => {
+    // Pixel edges, not centers, so a 1-pixel-wide row still has area
+    points.push({ x: row.min, y }, { x: row.max + 1, y }, { x: row.min, y: y + 1 }, { x: row.max + 1, y: y + 1 });
+  });
+
+  const hull = convexHull(points);
+  if (hull.length < 3) return null;
+
+  const rect = minAreaRect(hull);
+  const corners = rect.corners.map(corner => {
+    let best = hull[0];
+    let bestDist = Infinity;
+    hull.forEach(p => {
+      const d = (p.x - corner.x) ** 2 + (p.y - corner.y) ** 2;
+      if (d < bestDist) {
+        bestDist = d;
+        best = p;
+      }
+    });
+    return { x: best.x, y: best.y };
+  });
+
+  // Two corners snapped to the same vertex (round/odd blob): keep the plain rectangle
+  const distinct = new Set(corners.map(c => `${c.x},${c.y}`)).size === 4;
+  return { corners: orderCorners(distinct ? corners : rect.corners), rotation: rect.rotation };
+}
+
+// Andrew's monotone chain
+function convexHull(points) {
+  const sorted = points.slice().sort((a, b) => (a.x - b.x) || (a.y - b.y));
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  lower.pop();
+  upper.pop();
+  return lower.concat(upper);
+}
+
+// Rotating calipers: the minimum-area enclosing rectangle has a side on a hull edge
+function minAreaRect(hull) {
+  let best = null;
+  for (let i = 0; i < hull.length; i++) {
+    const a = hull[i];
+    const b = hull[(i + 1) % hull.length];
+    const angle = Math.atan2(b.y - a.y, b.x - a.x);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+    hull.forEach(p => {
+      const u = p.x * cos + p.y * sin;
+      const v = -p.x * sin + p.y * cos;
+      minU = Math.min(minU, u);
+      maxU = Math.max(maxU, u);
+      minV = Math.min(minV, v);
+      maxV = Math.max(maxV, v);
+    });
+
+    const area = (maxU - minU) * (maxV - minV);
+    if (!best || area < best.area) {
+      best = { area, angle, cos, sin, minU, maxU, minV, maxV };
+    }
+  }
+
+  const { cos, sin, minU, maxU, minV, maxV } = best;
+  const toImage = (u, v) => ({ x: u * cos - v * sin, y: u * sin + v * cos });
+
+  // Report rotation in (-45°, 45°]: a rectangle rotated 90° is the same rectangle
+  let rotation = best.angle * 180 / Math.PI;
+  rotation = ((rotation + 45) % 90 + 90) % 90 - 45;
+
+  return {
+    corners: [toImage(minU, minV), toImage(maxU, minV), toImage(maxU, maxV), toImage(minU, maxV)],
+    rotation
   };
 }
 
+// Sort corners clockwise (y grows downward) starting from the one closest to the top-left
+function orderCorners(corners) {
+  const cx = corners.reduce((sum, c) => sum + c.x, 0) / corners.length;
+  const cy = corners.reduce((sum, c) => sum + c.y, 0) / corners.length;
+  const sorted = corners.slice().sort((a, b) => Math.atan2(a.y - cy, a.x - cx) - Math.atan2(b.y - cy, b.x - cx));
+  let start = 0;
+  sorted.forEach((c, i) => {
+    if (c.x + c.y < sorted[start].x + sorted[start].y) start = i;
+  });
+  return sorted.slice(start).concat(sorted.slice(0, start));
+}
+
 // Gaussian blur implementation
 function gaussianBlur(data, width, height, radius) {
   const kernel = createGaussianKernel(radius);
@@ -828,241 +2062,861 @@ function sleep(ms) {
 }
 
 // ==========================================
-// ANIMATION WITH AREA-BASED MAPPING
+// LAYOUTS - Save / restore scanned screen maps
 // ==========================================
 
-function startAnimation() {
-  if (isAnimating) return;
-  
-  isAnimating = true;
-  playBtn.disabled = true;
-  stopBtn.disabled = false;
-  
-  const detectedScreens = screens.filter(s => s.position);
-  if (detectedScreens.length === 0) {
-    console.warn('[ANIMATION] No screens with positions');
-    return;
+async function layoutRequest(method, path, body) {
+  return apiRequest(method, `/layouts${path}`, body);
+}
+
+// Authenticated call to this show's part of the REST API
+async function apiRequest(method, path, body, headers = {}) {
+  const query = showId ? `?show=${encodeURIComponent(showId)}` : '';
+  // Plain objects go as JSON; a File/Blob is sent as-is (headers carry its type)
+  const raw = body instanceof Blob;
+  const res = await fetch(`/api${path}${query}`, {
+    method,
+    headers: {
+      ...(body && !raw ? { 'Content-Type': 'application/json' } : {}),
+      ...(controllerToken ? { Authorization: `Bearer ${controllerToken}` } : {}),
+      // Changes are only accepted from the primary controller
+      ...(socket && socket.id ? { 'X-Controller-Id': socket.id } : {}),
+      ...headers
+    },
+    body: raw ? body : (body ? JSON.stringify(body) : undefined)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || `HTTP ${res.status}`);
   }
-  
-  console.log(`[ANIMATION] Starting: ${currentAnimation}`);
-  lastColors.clear();
-  
-  let startTime = performance.now();
-  const frameInterval = 1000 / CONFIG.animationFPS;
-  let lastFrameTime = 0;
-  
-  function animate(currentTime) {
-    if (!isAnimating) return;
-    
-    // Throttle to target FPS
-    if (currentTime - lastFrameTime < frameInterval) {
-      animationFrame = requestAnimationFrame(animate);
-      return;
-    }
-    lastFrameTime = currentTime;
-    
-    const elapsed = (currentTime - startTime) / 1000 * animationSpeed;
-    
-    // Render animation to virtual canvas
-    renderAnimation(currentAnimation, elapsed);
-    
-    // Map colors to screens with area-aware sampling
-    const colors = [];
-    detectedScreens.forEach(screen => {
-      const color = sampleAreaColor(screen);
-      
-      // Apply brightness
-      const finalColor = {
-        r: Math.round(color.r * animationBrightness),
-        g: Math.round(color.g * animationBrightness),
-        b: Math.round(color.b * animationBrightness)
-      };
-      
-      // Delta encoding - only send if color changed significantly
-      const lastColor = lastColors.get(screen.socketId);
-      if (!lastColor || colorDiff(lastColor, finalColor) > 3) {
-        colors.push({
-          screenId: screen.socketId,
-          color: finalColor
-        });
-        lastColors.set(screen.socketId, finalColor);
-      }
-    });
-    
-    // Send colors that changed
-    if (colors.length > 0) {
-      socket.emit('sendColors', colors);
-    }
-    
-    animationFrame = requestAnimationFrame(animate);
+  return data;
+}
+
+async function refreshLayouts() {
+  try {
+    layouts = await layoutRequest('GET', '');
+  } catch (err) {
+    console.error('[LAYOUT] Could not list layouts:', err);
+    layouts = [];
   }
-  
-  animationFrame = requestAnimationFrame(animate);
+  renderLayoutList();
 }
 
-// Sample color from the screen's area (not just center point)
-function sampleAreaColor(screen) {
-  const canvasSize = CONFIG.canvasSize;
-  
-  if (screen.area) {
-    const normalized = clampRect(screen.area);
-    // Sample multiple points within the screen's area and average
-    const areaX = Math.floor(normalized.x * canvasSize);
-    const areaY = Math.floor(normalized.y * canvasSize);
-    const areaW = Math.max(1, Math.floor(normalized.width * canvasSize));
-    const areaH = Math.max(1, Math.floor(normalized.height * canvasSize));
-    
-    // Get all pixels in the area
-    const imageData = virtualCtx.getImageData(areaX, areaY, areaW, areaH);
-    const data = imageData.data;
-    
-    // Calculate weighted average (center pixels weight more)
-    let totalR = 0, totalG = 0, totalB = 0, totalWeight = 0;
-    const centerX = areaW / 2;
-    const centerY = areaH / 2;
-    
-    for (let y = 0; y < areaH; y++) {
-      for (let x = 0; x < areaW; x++) {
-        const i = (y * areaW + x) * 4;
-        
-        // Gaussian weight based on distance from center
-        const dx = (x - centerX) / (areaW / 2);
-        const dy = (y - centerY) / (areaH / 2);
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        const weight = Math.exp(-dist * dist);
-        
-        totalR += data[i] * weight;
-        totalG += data[i + 1] * weight;
-        totalB += data[i + 2] * weight;
-        totalWeight += weight;
-      }
-    }
-    
-    return {
-      r: Math.round(totalR / totalWeight),
-      g: Math.round(totalG / totalWeight),
-      b: Math.round(totalB / totalWeight)
-    };
+function renderLayoutList() {
+  if (!layoutSelect) return;
+  const selected = layoutSelect.value;
+  if (layouts.length === 0) {
+    layoutSelect.innerHTML = '<option value="">Sin layouts guardados</option>';
   } else {
-    // Fallback to single point sampling
-    const pixelX = Math.floor(screen.position.x * canvasSize);
-    const pixelY = Math.floor(screen.position.y * canvasSize);
-    const pixel = virtualCtx.getImageData(pixelX, pixelY, 1, 1).data;
-    
-    return { r: pixel[0], g: pixel[1], b: pixel[2] };
+    layoutSelect.innerHTML = layouts.map(layout => {
+      const date = layout.savedAt ? new Date(layout.savedAt).toLocaleDateString() : '';
+      return `<option value="${escapeHtml(layout.name)}">${escapeHtml(layout.name)} (${layout.screens}) ${date}</option>`;
+    }).join('');
+    if (layouts.some(l => l.name === selected)) layoutSelect.value = selected;
   }
+  updateControls();
 }
 
-// Calculate color difference for delta encoding
-function colorDiff(c1, c2) {
-  return Math.abs(c1.r - c2.r) + Math.abs(c1.g - c2.g) + Math.abs(c1.b - c2.b);
+async function saveLayout() {
+  const name = layoutNameInput.value.trim() || layoutSelect.value;
+  if (!name) {
+    layoutNameInput.focus();
+    return;
+  }
+  try {
+    const saved = await layoutRequest('POST', '', { name });
+    progressText.textContent = `Layout guardado: ${saved.name} (${saved.screens})`;
+    layoutNameInput.value = '';
+    await refreshLayouts();
+    layoutSelect.value = saved.name;
+  } catch (err) {
+    console.error('[LAYOUT] Save failed:', err);
+    progressText.textContent = `Error guardando layout: ${err.message}`;
+  }
 }
 
-function stopAnimation() {
-  isAnimating = false;
-  
-  if (animationFrame) {
-    cancelAnimationFrame(animationFrame);
-    animationFrame = null;
+async function loadLayout() {
+  const name = layoutSelect.value;
+  if (!name) return;
+  try {
+    const loaded = await layoutRequest('POST', `/${encodeURIComponent(name)}/load`);
+    progressText.textContent = `Layout cargado: ${loaded.name} (${loaded.screens})`;
+  } catch (err) {
+    console.error('[LAYOUT] Load failed:', err);
+    progressText.textContent = `Error cargando layout: ${err.message}`;
   }
-  
-  playBtn.disabled = false;
-  stopBtn.disabled = true;
-  lastColors.clear();
-  
-  console.log('[ANIMATION] Stopped');
 }
 
-function setActiveAnimationButton(animationName) {
-  if (!animationGrid) return;
-  animationGrid.querySelectorAll('.control-btn').forEach(b => b.classList.remove('active'));
-  const btn = animationGrid.querySelector(`[data-animation="${animationName}"]`);
-  if (btn) btn.classList.add('active');
+async function deleteLayout() {
+  const name = layoutSelect.value;
+  if (!name || !confirm(`¿Borrar el layout "${name}"?`)) return;
+  try {
+    await layoutRequest('DELETE', `/${encodeURIComponent(name)}`);
+    await refreshLayouts();
+  } catch (err) {
+    console.error('[LAYOUT] Delete failed:', err);
+    progressText.textContent = `Error borrando layout: ${err.message}`;
+  }
 }
 
-function enableAutoLoop(startNow = true) {
-  // Exit audio mode if active
-  stopAudioBeatMode();
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
 
-  // Switch back to last selected non-audio animation
-  currentAnimation = lastLoopAnimation || 'gradient';
-  setActiveAnimationButton(currentAnimation);
+// ==========================================
+// CUE LIST - Pre-programmed shows played by the server
+// ==========================================
 
-  // Restart loop if requested
-  if (startNow) {
-    if (isAnimating) stopAnimation();
-    startAnimation();
+async function refreshCueLists() {
+  try {
+    cueLists = await apiRequest('GET', '/cuelists');
+  } catch (err) {
+    console.error('[CUE] Could not list cue lists:', err);
+    cueLists = [];
   }
-
-  if (progressText) {
-    progressText.textContent = `Loop: ${currentAnimation}`;
+  if (cueListSelect) {
+    const selected = cueListSelect.value;
+    cueListSelect.innerHTML = cueLists.length === 0
+      ? '<option value="">Sin listas guardadas</option>'
+      : cueLists.map(list => `<option value="${escapeHtml(list.name)}">${escapeHtml(list.name)} (${list.cues})</option>`).join('');
+    if (cueLists.some(l => l.name === selected)) cueListSelect.value = selected;
   }
   updateControls();
 }
 
-function triggerPulseOnce() {
-  // Manual trigger: one-shot pulse (no loop)
-  stopAudioBeatMode();
-  stopAnimation();
-  if (progressText) {
-    progressText.textContent = 'Pulso: 1 vez';
+// The server's player state; the table follows it unless there are unsaved edits
+function handleCueState(state) {
+  cueState = state;
+  if (!cueDraftDirty) {
+    cueDraft = state.list ? { ...state.list, cues: state.list.cues.slice() } : null;
+    if (cueDraft && cueListNameInput && !cueListNameInput.value) cueListNameInput.value = cueDraft.name;
+    if (cueDraft && cueLoopInput) cueLoopInput.checked = cueDraft.loop;
   }
-  runOneShot('pulse', 1200);
+  clearInterval(cueTimer);
+  cueTimer = state.running && state.duration ? setInterval(renderCueTable, 250) : null;
+  renderCueTable();
   updateControls();
 }
 
-function getDetectedScreens() {
-  return screens.filter(s => s.position);
+function renderCueTable() {
+  if (!cueTable) return;
+  if (!cueDraft || cueDraft.cues.length === 0) {
+    cueTable.innerHTML = '<div class="text-sm text-muted">Sin cues: añade algunos o carga una lista</div>';
+    return;
+  }
+  // Highlight the cue on stage only when the table shows what the server plays
+  const live = !cueDraftDirty && cueState && cueState.list ? cueState.index : -1;
+  cueTable.innerHTML = cueDraft.cues.map((cue, i) => {
+    const tint = cue.tint ? `<span class="cue-tint" style="background: ${rgbToHex(cue.tint)}"></span> ` : '';
+    const bangs = cue.bangs && cue.bangs.length ? ` · ⚡${cue.bangs.map(b => b.at).join(',')}` : '';
+    let timing = cue.duration ? `${cue.duration}s` : 'GO';
+    if (i === live && cueState.running && cueState.duration) {
+      const remaining = Math.max(0, cueState.duration - (Date.now() - cueState.cueStartedAt) / 1000);
+      timing = `${remaining.toFixed(1)}s`;
+    }
+    return `
+      <div class="cue-row ${i === live ? 'current' : ''}" data-cue="${i}">
+        <span>${i + 1}</span>
+        <span>${tint}${escapeHtml(cue.name || cue.animationType)}${cue.layers && cue.layers.length ? ` +${cue.layers.length}` : ''}${cue.fade ? ` · ↘${cue.fade}s` : ''}${bangs}</span>
+        <span>${timing}</span>
+        <button class="btn btn-sm" data-remove-cue="${i}" title="Quitar" ${isPrimaryController() ? '' : 'disabled'}>×</button>
+      </div>
+    `;
+  }).join('');
 }
 
-function sampleAndSendFrame(detectedScreens) {
-  const colors = [];
-
-  detectedScreens.forEach(screen => {
-    const color = sampleAreaColor(screen);
-
-    const tinted = applyTint(color);
-    const finalColor = {
-      r: Math.round(tinted.r * animationBrightness),
-      g: Math.round(tinted.g * animationBrightness),
-      b: Math.round(tinted.b * animationBrightness)
-    };
-
-    const lastColor = lastColors.get(screen.socketId);
-    if (!lastColor || colorDiff(lastColor, finalColor) > 3) {
-      colors.push({ screenId: screen.socketId, color: finalColor });
-      lastColors.set(screen.socketId, finalColor);
-    }
+// Parameter overrides of the effects in the current look, for a cue
+function cueEffectParams() {
+  const types = [currentAnimation === 'audioBeat' ? lastLoopAnimation : currentAnimation, ...animationLayers.map(layer => layer.animationType)];
+  const used = {};
+  types.forEach(type => {
+    if (effectParams[type] && Object.keys(effectParams[type]).length) used[type] = { ...effectParams[type] };
   });
-
-  if (colors.length > 0) {
-    socket.emit('sendColors', colors);
-  }
+  return Object.keys(used).length ? { effectParams: used } : {};
 }
 
-function applyTint(color) {
-  if (!tintColor) return color;
-  // Preserve brightness from the source color but steer hue to tintColor
-  const intensity = Math.max(color.r, color.g, color.b) / 255;
-  return {
-    r: Math.round(tintColor.r * intensity),
-    g: Math.round(tintColor.g * intensity),
-    b: Math.round(tintColor.b * intensity)
+// New cue from what is on stage right now
+function addCue() {
+  const duration = parseFloat(cueDurationInput.value);
+  const fade = parseFloat(cueFadeInput.value);
+  const bangs = cueBangsInput.value.split(',')
+    .map(value => parseFloat(value))
+    .filter(at => Number.isFinite(at) && at >= 0)
+    .map(at => ({ at }));
+  const cue = {
+    animationType: currentAnimation === 'audioBeat' ? lastLoopAnimation : currentAnimation,
+    speed: animationSpeed,
+    brightness: animationBrightness,
+    ...(tintColor && rgbToHex(tintColor) !== '#ffffff' ? { tint: tintColor } : {}),
+    ...(animationLayers.length ? { layers: animationLayers.map(layer => ({ ...layer })) } : {}),
+    ...cueEffectParams(),
+    ...(duration > 0 ? { duration } : {}),
+    ...(fade > 0 ? { fade } : {}),
+    ...(bangs.length ? { bangs } : {})
   };
+  if (!cueDraft) cueDraft = { name: cueListNameInput.value.trim(), loop: cueLoopInput.checked, cues: [] };
+  cueDraft.cues.push(cue);
+  cueDraftDirty = true;
+  renderCueTable();
+  updateControls();
 }
 
-function runOneShot(animationType, durationMs) {
-  if (oneShotRunning) return;
-  oneShotRunning = true;
+function removeCue(index) {
+  if (!cueDraft) return;
+  cueDraft.cues.splice(index, 1);
+  cueDraftDirty = true;
+  renderCueTable();
+  updateControls();
+}
 
-  const detectedScreens = getDetectedScreens();
-  if (detectedScreens.length === 0) {
+async function saveCueList() {
+  const name = cueListNameInput.value.trim();
+  if (!name) {
+    cueListNameInput.focus();
+    return;
+  }
+  try {
+    const saved = await apiRequest('POST', '/cuelists', { name, loop: cueLoopInput.checked, cues: cueDraft.cues });
+    progressText.textContent = `Cues guardados: ${saved.name} (${saved.cues})`;
+    cueDraftDirty = false;
+    await refreshCueLists();
+    cueListSelect.value = saved.name;
+    // Nothing playing: put the new version straight into the player
+    if (!cueState || !cueState.running) await loadCueList();
+  } catch (err) {
+    console.error('[CUE] Save failed:', err);
+    progressText.textContent = `Error guardando cues: ${err.message}`;
+  }
+}
+
+async function loadCueList() {
+  const name = cueListSelect.value;
+  if (!name) return;
+  try {
+    cueDraftDirty = false;
+    cueListNameInput.value = '';
+    const loaded = await apiRequest('POST', `/cuelists/${encodeURIComponent(name)}/load`);
+    progressText.textContent = `Cues cargados: ${loaded.name} (${loaded.cues}) · GO para empezar`;
+  } catch (err) {
+    console.error('[CUE] Load failed:', err);
+    progressText.textContent = `Error cargando cues: ${err.message}`;
+  }
+}
+
+async function deleteCueList() {
+  const name = cueListSelect.value;
+  if (!name || !confirm(`¿Borrar la lista de cues "${name}"?`)) return;
+  try {
+    await apiRequest('DELETE', `/cuelists/${encodeURIComponent(name)}`);
+    progressText.textContent = `Cues borrados: ${name}`;
+    await refreshCueLists();
+  } catch (err) {
+    console.error('[CUE] Delete failed:', err);
+    progressText.textContent = `Error borrando cues: ${err.message}`;
+  }
+}
+
+// ==========================================
+// EXPRESSIONS - Effects written as per-pixel formulas
+// ==========================================
+
+async function refreshExpressions() {
+  try {
+    expressions = await apiRequest('GET', '/expressions');
+  } catch (err) {
+    console.error('[EXPRESSIONS] Could not list expressions:', err);
+    expressions = [];
+  }
+  renderExpressionSelect();
+  updateControls();
+}
+
+function renderExpressionSelect() {
+  if (!exprSelect) return;
+  const selected = exprSelect.value;
+  exprSelect.innerHTML = '<option value="">Nueva expresión</option>' +
+    expressions.map(expression => `<option value="${escapeHtml(expression.name)}">${escapeHtml(expression.name)}</option>`).join('');
+  if (expressions.some(expression => expression.name === selected)) exprSelect.value = selected;
+}
+
+// Load a saved expression (or a blank one) into the editor; unsaved drafts previewed
+// on this controller go back to their saved version
+function editExpression(name) {
+  Expressions.registerAll(Animations, expressions);
+  const expression = expressions.find(e => e.name === name);
+  exprNameInput.value = expression ? expression.name : '';
+  exprSource.value = expression ? expression.source : '';
+  checkExpressionDraft();
+  updateControls();
+}
+
+// Inline syntax check while typing. A valid draft of a saved expression replaces it
+// on this controller straight away (browser mode previews it); screens get it on save.
+function checkExpressionDraft() {
+  const source = exprSource.value;
+  const problem = source.trim() ? Expressions.check(source) : null;
+  exprError.textContent = problem ? `Línea ${problem.line}, columna ${problem.column}: ${problem.message}` : '';
+  const name = exprNameInput.value.trim();
+  if (!problem && source.trim() && expressions.some(expression => expression.name === name)) {
+    Expressions.install(Animations, name, source);
+  }
+  return !problem;
+}
+
+async function saveExpression() {
+  const name = exprNameInput.value.trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9-]{0,31}$/.test(name)) {
+    exprError.textContent = 'Nombre: letras minúsculas, números y guiones (máx. 32)';
+    exprNameInput.focus();
+    return;
+  }
+  if (!exprSource.value.trim() || !checkExpressionDraft()) {
+    exprSource.focus();
+    return;
+  }
+  try {
+    const saved = await apiRequest('POST', '/expressions', { name, source: exprSource.value });
+    progressText.textContent = `Expresión guardada: ${saved.name}`;
+    exprNameInput.value = saved.name;
+    // The 'expression' broadcast fills in the list and the animation grid
+    renderExpressionSelect();
+    if (exprSelect) exprSelect.value = saved.name;
+  } catch (err) {
+    console.error('[EXPRESSIONS] Save failed:', err);
+    exprError.textContent = err.message;
+  }
+}
+
+async function deleteExpression() {
+  const name = exprSelect.value;
+  if (!name || !confirm(`¿Borrar la expresión "${name}"?`)) return;
+  try {
+    await apiRequest('DELETE', `/expressions/${encodeURIComponent(name)}`);
+    progressText.textContent = `Expresión borrada: ${name}`;
+    // Gone locally too, whether or not the 'expression' broadcast got here first
+    expressions = expressions.filter(expression => expression.name !== name);
+    Animations.unregister(Expressions.effectName(name));
+    renderExpressionSelect();
+    editExpression('');
+  } catch (err) {
+    console.error('[EXPRESSIONS] Delete failed:', err);
+    progressText.textContent = `Error borrando expresión: ${err.message}`;
+  }
+}
+
+// ==========================================
+// MEDIA - Uploaded images and videos drawn onto virtualCanvas
+// ==========================================
+//
+// Media plays from this tab (the browser decodes it): every frame is drawn onto
+// virtualCanvas and mapped to the screens with the same area sampling as the effects.
+
+async function refreshMedia() {
+  try {
+    mediaItems = await apiRequest('GET', '/media');
+  } catch (err) {
+    console.error('[MEDIA] Could not list media:', err);
+    mediaItems = [];
+  }
+  if (mediaSelect) {
+    const selected = mediaSelect.value;
+    mediaSelect.innerHTML = mediaItems.length === 0
+      ? '<option value="">Sin media subida</option>'
+      : mediaItems.map(item => `<option value="${escapeHtml(item.name)}">${escapeHtml(item.name)} (${item.kind === 'video' ? 'vídeo' : 'imagen'})</option>`).join('');
+    if (mediaItems.some(item => item.name === selected)) mediaSelect.value = selected;
+  }
+  await previewMedia();
+  updateControls();
+}
+
+function selectedMedia() {
+  return mediaSelect ? mediaItems.find(item => item.name === mediaSelect.value) || null : null;
+}
+
+// Load the selected media into the preview; resolves once it can be drawn
+async function previewMedia() {
+  const item = selectedMedia();
+  if (mediaElement && item && mediaElement.dataset.url === item.url) return;
+  stopMedia();
+  mediaElement = null;
+  if (mediaPreview) mediaPreview.innerHTML = '';
+  if (!item) return;
+
+  const element = document.createElement(item.kind === 'video' ? 'video' : 'img');
+  element.dataset.url = item.url;
+  if (item.kind === 'video') {
+    element.muted = true;
+    element.loop = true;
+    element.playsInline = true;
+  }
+  element.src = item.url;
+  if (mediaPreview) mediaPreview.appendChild(element);
+  mediaElement = element;
+  try {
+    if (item.kind === 'video') {
+      await new Promise((resolve, reject) => {
+        element.addEventListener('loadeddata', resolve, { once: true });
+        element.addEventListener('error', () => reject(new Error('video could not be decoded')), { once: true });
+      });
+    } else {
+      await element.decode();
+    }
+  } catch (err) {
+    console.warn(`[MEDIA] Could not load ${item.file}: ${err.message}`);
+    if (mediaElement === element) mediaElement = null;
+  }
+  updateControls();
+}
+
+// Draw the current frame over the whole canvas: 'fit' shows all of it (black bars),
+// 'fill' stretches it, 'crop' covers the canvas and cuts what sticks out
+function drawMediaFrame(ctx, size, element, fit) {
+  const width = element.videoWidth || element.naturalWidth;
+  const height = element.videoHeight || element.naturalHeight;
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, size, size);
+  if (!width || !height) return;
+  if (fit === 'fill') {
+    ctx.drawImage(element, 0, 0, size, size);
+    return;
+  }
+  const scale = (fit === 'crop' ? Math.max : Math.min)(size / width, size / height);
+  const w = width * scale;
+  const h = height * scale;
+  ctx.drawImage(element, (size - w) / 2, (size - h) / 2, w, h);
+}
+
+function playMedia() {
+  if (!mediaElement || !isPrimaryController()) return;
+  // Media takes over the screens: whatever was playing stops
+  stopAudioBeatMode();
+  stopAnimation();
+
+  if (!virtualCtx) {
+    virtualCanvas = document.createElement('canvas');
+    virtualCanvas.width = CONFIG.canvasSize;
+    virtualCanvas.height = CONFIG.canvasSize;
+    virtualCtx = virtualCanvas.getContext('2d');
+  }
+
+  const element = mediaElement;
+  if (element.tagName === 'VIDEO') {
+    element.currentTime = 0;
+    element.play().catch(err => console.warn('[MEDIA] Video did not start:', err));
+  }
+  mediaPlaying = true;
+  lastColors.clear();
+  lastGrids.clear();
+  progressText.textContent = `Media: ${selectedMedia().name}`;
+  console.log(`[MEDIA] Playing ${element.dataset.url} (${mediaFit})`);
+
+  const frameInterval = 1000 / CONFIG.animationFPS;
+  let lastFrameTime = 0;
+  function frame(now) {
+    if (!mediaPlaying) return;
+    if (now - lastFrameTime >= frameInterval) {
+      lastFrameTime = now;
+      drawMediaFrame(virtualCtx, CONFIG.canvasSize, element, mediaFit);
+      sampleAndSendFrame(getDetectedScreens());
+    }
+    mediaFrame = requestAnimationFrame(frame);
+  }
+  mediaFrame = requestAnimationFrame(frame);
+  updateControls();
+}
+
+function stopMedia() {
+  if (!mediaPlaying) return;
+  mediaPlaying = false;
+  if (mediaFrame) {
+    cancelAnimationFrame(mediaFrame);
+    mediaFrame = null;
+  }
+  if (mediaElement && mediaElement.tagName === 'VIDEO') mediaElement.pause();
+  lastColors.clear();
+  lastGrids.clear();
+  console.log('[MEDIA] Stopped');
+  updateControls();
+}
+
+async function uploadMedia(file) {
+  try {
+    const item = await apiRequest('POST', '/media', file, {
+      'Content-Type': file.type,
+      'X-Media-Name': encodeURIComponent(file.name)
+    });
+    progressText.textContent = `Media subida: ${item.name}`;
+    // A replaced file keeps its name but not its bytes: drop the cached element
+    if (mediaElement && mediaElement.dataset.url === item.url) {
+      stopMedia();
+      mediaElement = null;
+    }
+    await refreshMedia();
+    mediaSelect.value = item.name;
+    await previewMedia();
+  } catch (err) {
+    console.error('[MEDIA] Upload failed:', err);
+    progressText.textContent = `Error subiendo media: ${err.message}`;
+  }
+}
+
+async function deleteMedia() {
+  const item = selectedMedia();
+  if (!item || !confirm(`¿Borrar "${item.name}"?`)) return;
+  try {
+    stopMedia();
+    await apiRequest('DELETE', `/media/${encodeURIComponent(item.name)}`);
+    progressText.textContent = `Media borrada: ${item.name}`;
+    await refreshMedia();
+  } catch (err) {
+    console.error('[MEDIA] Delete failed:', err);
+    progressText.textContent = `Error borrando media: ${err.message}`;
+  }
+}
+
+function cueGo() {
+  if (!isPrimaryController() || !cueState || !cueState.list) return;
+  // Cues play on the server engine; a browser-rendered loop would fight it
+  if (renderMode === 'browser' && isAnimating) stopAnimation();
+  stopMedia();
+  socket.emit('cueGo');
+}
+
+// ==========================================
+// ANIMATION WITH AREA-BASED MAPPING
+// ==========================================
+
+function startAnimation() {
+  if (isAnimating) return;
+  stopMedia();
+  
+  isAnimating = true;
+  playBtn.disabled = true;
+  stopBtn.disabled = false;
+  
+  const detectedScreens = screens.filter(s => s.position);
+  if (detectedScreens.length === 0) {
+    console.warn('[ANIMATION] No screens with positions');
+    return;
+  }
+  
+  console.log(`[ANIMATION] Starting: ${currentAnimation} (${renderMode})`);
+  lastColors.clear();
+  lastGrids.clear();
+
+  if (renderMode !== 'browser') {
+    socket.emit('startAnimation', {
+      animationType: currentAnimation,
+      params: getAnimationParams(),
+      mode: renderMode
+    });
+    return;
+  }
+  
+  let startTime = performance.now();
+  browserModulator.resetClock();
+  const frameInterval = 1000 / CONFIG.animationFPS;
+  let lastFrameTime = 0;
+  
+  function animate(currentTime) {
+    if (!isAnimating) return;
+    
+    // Throttle to target FPS
+    if (currentTime - lastFrameTime < frameInterval) {
+      animationFrame = requestAnimationFrame(animate);
+      return;
+    }
+    lastFrameTime = currentTime;
+    
+    // The look as the audio modulates it this frame
+    const look = browserModulator.apply(
+      { speed: animationSpeed, brightness: animationBrightness, tint: null, effectParams },
+      modulations,
+      AudioAnalysis.inputsAt(audioLive, currentTime),
+      currentTime
+    );
+
+    // On the beat grid the tempo is the clock (see AudioAnalysis.syncedTime);
+    // a modulated speed is integrated frame by frame
+    const synced = tempoSync ? AudioAnalysis.syncedTime(audioLive.tempo, currentTime, animationSpeed) : null;
+    let elapsed = synced ?? (currentTime - startTime) / 1000 * animationSpeed;
+    if (synced === null && Modulation.targets(modulations, 'speed')) {
+      elapsed = browserModulator.time(elapsed, look.speed, currentTime);
+    } else {
+      browserModulator.resetClock();
+    }
+    
+    // Render the animation and its layers to the virtual canvas
+    // (unless the effect can color each screen directly)
+    const direct = directSampler(elapsed, look.effectParams);
+    if (!direct) renderLook(elapsed, look.effectParams);
+    
+    // Map colors to screens with area-aware sampling
+    // (re-read every frame: a screen that reconnects comes back with a new socket id)
+    if (pixelGrid > 1) {
+      sendScreenGrids(getDetectedScreens(), look.tint, direct, look.brightness);
+      animationFrame = requestAnimationFrame(animate);
+      return;
+    }
+    const colors = [];
+    getDetectedScreens().forEach(screen => {
+      const color = ScreenMapping.applyTint(
+        direct ? direct(screen) : ScreenMapping.sampleAreaColor(virtualCtx, CONFIG.canvasSize, screen),
+        look.tint
+      );
+      
+      // Apply brightness
+      const finalColor = {
+        r: Math.round(color.r * look.brightness),
+        g: Math.round(color.g * look.brightness),
+        b: Math.round(color.b * look.brightness)
+      };
+      
+      // Delta encoding - only send if color changed significantly
+      const lastColor = lastColors.get(screen.socketId);
+      if (!lastColor || ScreenMapping.colorDiff(lastColor, finalColor) > 3) {
+        colors.push({
+          screenId: screen.socketId,
+          color: finalColor
+        });
+        lastColors.set(screen.socketId, finalColor);
+      }
+    });
+    
+    // Send colors that changed
+    if (colors.length > 0) {
+      socket.emit('sendColors', colors);
+    }
+    
+    animationFrame = requestAnimationFrame(animate);
+  }
+  
+  animationFrame = requestAnimationFrame(animate);
+}
+
+function stopAnimation() {
+  isAnimating = false;
+  
+  if (animationFrame) {
+    cancelAnimationFrame(animationFrame);
+    animationFrame = null;
+  }
+
+  // Always tell the server: its engine may be running from an earlier session
+  if (socket && isConnected) {
+    socket.emit('stopAnimation');
+  }
+  
+  playBtn.disabled = false;
+  stopBtn.disabled = true;
+  lastColors.clear();
+  lastGrids.clear();
+  
+  console.log('[ANIMATION] Stopped');
+}
+
+function getAnimationParams() {
+  return {
+    speed: animationSpeed,
+    brightness: animationBrightness,
+    layers: animationLayers,
+    effectParams,
+    pixelGrid,
+    tempoSync,
+    modulations
+  };
+}
+
+// Push live changes to the server (engine or screen scene) while it plays
+function syncAnimationParams(extra = {}) {
+  if (renderMode === 'browser' || !isAnimating || !socket) return;
+  socket.emit('setAnimationParams', { ...getAnimationParams(), ...extra });
+}
+
+function setRenderMode(mode) {
+  if (mode === renderMode) return;
+  const wasAnimating = isAnimating;
+  if (wasAnimating) stopAnimation();
+  renderMode = mode;
+  localStorage.setItem('renderMode', mode);
+  console.log(`[ANIMATION] Render mode: ${mode}`);
+  if (wasAnimating) startAnimation();
+  updateControls();
+}
+
+// One button per registered effect, grouped by category; effect modules from the
+// server show up once loaded (see loadEffectModules)
+function renderAnimationGrid() {
+  if (!animationGrid) return;
+  const categories = new Map();
+  Animations.list().forEach(effect => {
+    if (!categories.has(effect.category)) categories.set(effect.category, []);
+    categories.get(effect.category).push(effect);
+  });
+  const disabled = isPrimaryController() ? '' : 'disabled';
+  animationGrid.innerHTML = [...categories].map(([category, effects]) => `
+    <div class="anim-category text-sm text-muted">${escapeHtml(category)}</div>
+    ${effects.map(effect => `
+      <button class="control-btn" data-animation="${effect.name}" ${disabled}>
+        <span class="mini-preview" style="background: ${escapeHtml(effect.preview || '#222')};"></span>${escapeHtml(effect.label)}
+      </button>
+    `).join('')}
+  `).join('');
+  setActiveAnimationButton(currentAnimation);
+}
+
+async function loadEffectModules() {
+  try {
+    const { plugins = [], expressions = [] } = await Animations.loadPlugins();
+    Expressions.registerAll(Animations, expressions);
+    if (plugins.length === 0 && expressions.length === 0) return;
+    if (plugins.length > 0) console.log(`[ANIMATION] Effect modules: ${plugins.map(plugin => plugin.file).join(', ')}`);
+    renderAnimationGrid();
+    renderLayerList();
+    renderEffectParams();
+    renderModulationList();
+  } catch (err) {
+    console.warn('[ANIMATION] Could not load effect modules:', err);
+  }
+}
+
+function setActiveAnimationButton(animationName) {
+  if (!animationGrid) return;
+  animationGrid.querySelectorAll('.control-btn').forEach(b => b.classList.remove('active'));
+  const btn = animationGrid.querySelector(`[data-animation="${animationName}"]`);
+  if (btn) btn.classList.add('active');
+}
+
+function enableAutoLoop(startNow = true) {
+  // Exit audio mode if active
+  stopAudioBeatMode();
+
+  // Switch back to last selected non-audio animation
+  currentAnimation = lastLoopAnimation || 'gradient';
+  setActiveAnimationButton(currentAnimation);
+
+  // Restart loop if requested
+  if (startNow) {
+    if (isAnimating) stopAnimation();
+    startAnimation();
+  }
+
+  if (progressText) {
+    progressText.textContent = `Loop: ${currentAnimation}`;
+  }
+  updateControls();
+}
+
+function triggerPulseOnce() {
+  // Manual trigger: one-shot pulse (no loop)
+  stopAudioBeatMode();
+  stopAnimation();
+  if (progressText) {
+    progressText.textContent = 'Pulso: 1 vez';
+  }
+  runOneShot('pulse', 1200);
+  updateControls();
+}
+
+function getDetectedScreens() {
+  return screens.filter(s => s.position);
+}
+
+function sampleAndSendFrame(detectedScreens) {
+  if (pixelGrid > 1) {
+    sendScreenGrids(detectedScreens, tintColor);
+    return;
+  }
+  const colors = [];
+
+  detectedScreens.forEach(screen => {
+    const color = ScreenMapping.sampleAreaColor(virtualCtx, CONFIG.canvasSize, screen);
+
+    const tinted = ScreenMapping.applyTint(color, tintColor);
+    const finalColor = {
+      r: Math.round(tinted.r * animationBrightness),
+      g: Math.round(tinted.g * animationBrightness),
+      b: Math.round(tinted.b * animationBrightness)
+    };
+
+    const lastColor = lastColors.get(screen.socketId);
+    if (!lastColor || ScreenMapping.colorDiff(lastColor, finalColor) > 3) {
+      colors.push({ screenId: screen.socketId, color: finalColor });
+      lastColors.set(screen.socketId, finalColor);
+    }
+  });
+
+  if (colors.length > 0) {
+    socket.emit('sendColors', colors);
+  }
+}
+
+// pixelGrid > 1: every screen gets its crop of virtualCanvas as a small picture
+// (see ScreenMapping.sampleAreaGrid); direct colors each cell from the effect instead
+function sendScreenGrids(detectedScreens, tint = null, direct = null, brightness = animationBrightness) {
+  const n = pixelGrid;
+  const pixels = direct ? null : virtualCtx.getImageData(0, 0, CONFIG.canvasSize, CONFIG.canvasSize);
+  const frames = [];
+
+  detectedScreens.forEach(screen => {
+    let grid;
+    if (direct) {
+      grid = new Uint8ClampedArray(n * n * 3);
+      for (let row = 0; row < n; row++) {
+        for (let col = 0; col < n; col++) {
+          const color = direct(screen, ScreenMapping.areaPoint(screen, (col + 0.5) / n, (row + 0.5) / n));
+          grid.set([color.r, color.g, color.b], (row * n + col) * 3);
+        }
+      }
+    } else {
+      grid = ScreenMapping.sampleAreaGrid(pixels, CONFIG.canvasSize, screen, n, n);
+    }
+    for (let p = 0; p < grid.length; p += 3) {
+      const color = ScreenMapping.applyTint({ r: grid[p], g: grid[p + 1], b: grid[p + 2] }, tint);
+      grid[p] = color.r * brightness;
+      grid[p + 1] = color.g * brightness;
+      grid[p + 2] = color.b * brightness;
+    }
+
+    const lastGrid = lastGrids.get(screen.socketId);
+    if (!lastGrid || ScreenMapping.gridDiff(lastGrid, grid) > 3) {
+      frames.push({ screenId: screen.socketId, w: n, h: n, data: grid });
+      lastGrids.set(screen.socketId, grid);
+    }
+  });
+
+  if (frames.length > 0) {
+    socket.emit('sendPixels', frames);
+  }
+}
+
+function runOneShot(animationType, durationMs) {
+  if (oneShotRunning) return;
+  oneShotRunning = true;
+  stopMedia();
+
+  const detectedScreens = getDetectedScreens();
+  if (detectedScreens.length === 0) {
     // Fallback: single global flash if there's no mapping
     triggerBang({ r: 255, g: 255, b: 255 });
     oneShotRunning = false;
     return;
   }
 
+  if (renderMode !== 'browser') {
+    // Streamed by the server engine in both server and screens modes;
+    // the server ignores a one-shot while another is still playing
+    socket.emit('runOneShot', {
+      animationType,
+      durationMs,
+      params: { ...getAnimationParams(), tint: tintColor }
+    });
+    oneShotRunning = false;
+    return;
+  }
+
   if (!virtualCtx) {
     // If webcam hasn't been started yet, we still can render to a virtual canvas.
     virtualCanvas = document.createElement('canvas');
@@ -1072,6 +2926,7 @@ function runOneShot(animationType, durationMs) {
   }
 
   lastColors.clear();
+  lastGrids.clear();
   const start = performance.now();
   const frameInterval = 1000 / CONFIG.animationFPS;
   let lastFrameTime = 0;
@@ -1098,90 +2953,93 @@ function runOneShot(animationType, durationMs) {
   requestAnimationFrame(frame);
 }
 
-async function startAudioBeatMode() {
-  if (audioBeatEnabled) return;
-  audioBeatEnabled = true;
-  oneShotRunning = false;
-  audioModeRequested = true;
+const AUDIO_BAND_LABELS = { low: 'graves', mid: 'medios', high: 'agudos' };
 
-  stopAnimation();
-  updateControls();
+// Open the microphone and analyse it every frame (shared by the Micrófono toggle and
+// audio reactive mode); resolves false without permission
+function startAudioInput() {
+  if (audioStream) return Promise.resolve(true);
+  if (!audioOpening) audioOpening = openAudioInput().finally(() => { audioOpening = null; });
+  return audioOpening;
+}
 
+async function openAudioInput() {
+  let stream;
   try {
-    audioStream = await navigator.mediaDevices.getUserMedia({
+    stream = await navigator.mediaDevices.getUserMedia({
       audio: {
         echoCancellation: true,
         noiseSuppression: true,
         autoGainControl: true
       }
     });
+  } catch (err) {
+    console.error('[AUDIO] Could not open the microphone:', err);
+    if (progressText) progressText.textContent = 'Audio: sin permiso de micrófono';
+    return false;
+  }
+  // Switched off again while the browser was asking
+  if (!micRequested && !audioBeatEnabled) {
+    stream.getTracks().forEach(t => t.stop());
+    return false;
+  }
 
-    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-    audioSource = audioCtx.createMediaStreamSource(audioStream);
-    audioAnalyser = audioCtx.createAnalyser();
-    audioAnalyser.fftSize = 2048;
-    audioAnalyser.smoothingTimeConstant = 0.75;
-    audioSource.connect(audioAnalyser);
-
-    audioData = new Uint8Array(audioAnalyser.frequencyBinCount);
-    audioBaseline = 0;
-    lastBeatAt = 0;
-
-    if (progressText) progressText.textContent = 'AudioRítmico: escuchando graves...';
-
-    const minHz = 40;
-    const maxHz = 140;
-    const cooldownMs = 280;
-    const thresholdFactor = 1.75;
-    const minEnergy = 28;
-
-    const tick = () => {
-      if (!audioBeatEnabled || !audioAnalyser) return;
-
-      audioAnalyser.getByteFrequencyData(audioData);
-
-      const nyquist = audioCtx.sampleRate / 2;
-      const minBin = Math.max(0, Math.floor((minHz / nyquist) * audioData.length));
-      const maxBin = Math.min(audioData.length - 1, Math.ceil((maxHz / nyquist) * audioData.length));
-
-      let sum = 0;
-      let count = 0;
-      for (let i = minBin; i <= maxBin; i++) {
-        sum += audioData[i];
-        count++;
-      }
-      const energy = count ? sum / count : 0;
-
-      // Exponential moving average baseline
-      audioBaseline = audioBaseline ? (audioBaseline * 0.92 + energy * 0.08) : energy;
-
-      const now = performance.now();
-      const boom = energy > Math.max(minEnergy, audioBaseline * thresholdFactor);
+  audioStream = stream;
+  audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+  audioSource = audioCtx.createMediaStreamSource(audioStream);
+  audioAnalyser = audioCtx.createAnalyser();
+  audioAnalyser.fftSize = 2048;
+  // Less smoothing than the analyser's default keeps hits sharp enough for onsets
+  audioAnalyser.smoothingTimeConstant = 0.5;
+  audioSource.connect(audioAnalyser);
+
+  audioData = new Uint8Array(audioAnalyser.frequencyBinCount);
+  audioAnalysis = AudioAnalysis.createAnalyzer();
+  audioHitAt = {};
+  audioRaf = requestAnimationFrame(audioTick);
+  updateControls();
+  return true;
+}
 
-      if (boom && now - lastBeatAt > cooldownMs) {
-        lastBeatAt = now;
-        // One-shot sequence: a single pulse (no loop) per boom
-        const animForBeat = lastLoopAnimation || currentAnimation || 'pulse';
-        runOneShot(animForBeat, 1200);
-      }
+function audioTick() {
+  if (!audioAnalyser) return;
+  audioAnalyser.getByteFrequencyData(audioData);
+
+  const now = performance.now();
+  const features = audioAnalysis.update(audioData, audioCtx.sampleRate, now);
+  const tempo = features.bpm > 0 ? { bpm: features.bpm, beat: features.beat, at: now } : null;
+  const { low, mid, high, loudness, centroid } = features;
+  audioLive = { audio: low, low, mid, high, loudness, centroid, tempo };
+
+  if (isPrimaryController() && now - audioLevelSentAt >= AUDIO_LEVEL_INTERVAL_MS) {
+    audioLevelSentAt = now;
+    socket.emit('audioLevel', {
+      level: low,
+      low,
+      mid,
+      high,
+      loudness,
+      centroid,
+      ...(tempo && { bpm: tempo.bpm, beat: tempo.beat })
+    });
+  }
 
-      audioRaf = requestAnimationFrame(tick);
-    };
+  Object.keys(features.onsets).forEach(band => {
+    if (features.onsets[band]) audioHitAt[band] = now;
+  });
+  renderAudioMeters(features, now);
 
-    audioRaf = requestAnimationFrame(tick);
-  } catch (err) {
-    console.error('[AUDIO] Could not start audio mode:', err);
-    audioBeatEnabled = false;
-    if (progressText) progressText.textContent = 'AudioRítmico: sin permiso de micrófono';
-    updateControls();
+  if (audioBeatEnabled && features.onsets[audioTriggerBand]) {
+    // One-shot sequence: a single pulse (no loop) per hit
+    const animForBeat = lastLoopAnimation || currentAnimation || 'pulse';
+    runOneShot(animForBeat, 1200);
   }
-}
 
-function stopAudioBeatMode() {
-  if (!audioBeatEnabled) return;
-  audioBeatEnabled = false;
-  oneShotRunning = false;
+  audioRaf = requestAnimationFrame(audioTick);
+}
 
+function stopAudioInput() {
+  const wasListening = audioStream !== null;
   if (audioRaf) {
     cancelAnimationFrame(audioRaf);
     audioRaf = null;
@@ -1199,6 +3057,63 @@ function stopAudioBeatMode() {
   audioSource = null;
   audioAnalyser = null;
   audioData = null;
+  audioAnalysis = null;
+  audioLive = { audio: 0 };
+  renderAudioMeters(null);
+  if (wasListening && isPrimaryController()) socket.emit('audioLevel', { level: 0 });
+  updateControls();
+}
+
+// Band bars (lit for a moment on every hit) and the tempo with the beat in the bar
+function renderAudioMeters(features, now = 0) {
+  audioBands.forEach(el => {
+    const band = el.dataset.band;
+    el.querySelector('.audio-meter div').style.width = `${Math.round((features ? features[band] : 0) * 100)}%`;
+    el.classList.toggle('hit', !!features && now - (audioHitAt[band] ?? -Infinity) < 120);
+  });
+  if (bpmVal) {
+    bpmVal.textContent = features && features.bpm > 0
+      ? `${Math.round(features.bpm)} BPM · ${Math.floor(features.beat) % AudioAnalysis.BEATS_PER_BAR + 1}/${AudioAnalysis.BEATS_PER_BAR}`
+      : '-- BPM';
+  }
+}
+
+function setMicRequested(enabled) {
+  micRequested = enabled;
+  if (enabled) {
+    startAudioInput().then(ok => {
+      if (!ok) micRequested = false;
+      updateControls();
+    });
+  } else if (!audioBeatEnabled) {
+    stopAudioInput();
+  }
+  updateControls();
+}
+
+async function startAudioBeatMode() {
+  if (audioBeatEnabled) return;
+  audioBeatEnabled = true;
+  oneShotRunning = false;
+  audioModeRequested = true;
+  stopMedia();
+
+  stopAnimation();
+  updateControls();
+
+  if (progressText) progressText.textContent = `AudioRítmico: escuchando ${AUDIO_BAND_LABELS[audioTriggerBand]}...`;
+  if (!(await startAudioInput()) && audioBeatEnabled) {
+    audioBeatEnabled = false;
+    updateControls();
+  }
+}
+
+function stopAudioBeatMode() {
+  if (!audioBeatEnabled) return;
+  audioBeatEnabled = false;
+  oneShotRunning = false;
+  // The Micrófono toggle keeps the analysis going for the effects
+  if (!micRequested) stopAudioInput();
 
   if (progressText) {
     progressText.textContent = 'Idle';
@@ -1239,65 +3154,334 @@ function triggerBang(color) {
 // ANIMATION RENDERING (uses animations.js)
 // ==========================================
 
-function renderAnimation(type, time) {
-  if (!virtualCtx) return;
-  
-  switch (type) {
-    case 'audioBeat':
-      // Fallback rendering: use pulse (audio mode triggers one-shots separately)
-      Animations.pulse(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'gradient':
-      Animations.gradient(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'radial':
-      Animations.radial(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'rainbow':
-      Animations.rainbow(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'bounce':
-      Animations.bounce(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'pulse':
-      Animations.pulse(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'matrix':
-      Animations.matrix(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'sweep':
-      Animations.sweep(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'circleSweep':
-      Animations.circleSweep(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'ring':
-      Animations.ring(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'sweepV':
-      Animations.sweepV(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'diag':
-      Animations.diag(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'checker':
-      Animations.checker(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'sparkle':
-      Animations.sparkle(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'spiral':
-      Animations.spiral(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'crossSweep':
-      Animations.crossSweep(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    case 'ripple':
-      Animations.ripple(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
-      break;
-    default:
-      Animations.gradient(virtualCtx, CONFIG.canvasSize, CONFIG.canvasSize, time);
+// values: parameter overrides for this effect (see Animations.register)
+function renderAnimation(type, time, ctx = virtualCtx, values = effectParams[type]) {
+  if (!ctx) return;
+  // 'audioBeat' falls back to pulse (audio mode triggers one-shots separately)
+  const name = type === 'audioBeat' ? 'pulse' : type;
+  Animations.render(name, ctx, CONFIG.canvasSize, CONFIG.canvasSize, time, values, { ...AudioAnalysis.inputsAt(audioLive, performance.now()), i: 0 });
+}
+
+// Per-screen color straight from the selected effect (each screen gets its own index),
+// or null when the look needs the canvas (layers, crossfades, effects without colorAt).
+// point: where on the wall (0-1), the middle of the screen unless given.
+function directSampler(time, params = effectParams) {
+  if (animationLayers.length > 0 || browserFade || !Animations.hasColorAt(currentAnimation)) return null;
+  const values = params[currentAnimation];
+  return (screen, point = ScreenMapping.areaCenter(screen)) =>
+    Animations.colorAt(currentAnimation, point.x, point.y, time, values, { ...AudioAnalysis.inputsAt(audioLive, performance.now()), i: screen.index || 0 });
+}
+
+// Selected animation plus its layers (and the previous one while crossfading) into virtualCtx
+function renderLook(time, params = effectParams) {
+  let layers = Compositor.stack(currentAnimation, time, animationLayers, params);
+  if (browserFade) {
+    const t = (performance.now() - browserFade.startedAt) / browserFade.durationMs;
+    if (t >= 1) {
+      browserFade = null;
+    } else {
+      const outgoing = { animationType: browserFade.animationType, time, mix: 1, blend: 'normal', params: browserFade.params };
+      layers = [outgoing, { ...layers[0], mix: t * t * (3 - 2 * t) }, ...layers.slice(1)];
+    }
+  }
+  Compositor.compose(virtualCtx, CONFIG.canvasSize, layers, (ctx, type, t, values) => renderAnimation(type, t, ctx, values), layerContext);
+}
+
+function layerContext(index) {
+  if (!layerCtxs[index]) {
+    const canvas = document.createElement('canvas');
+    canvas.width = CONFIG.canvasSize;
+    canvas.height = CONFIG.canvasSize;
+    layerCtxs[index] = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  return layerCtxs[index];
+}
+
+// ==========================================
+// LAYERS - Effects blended over the selected animation
+// ==========================================
+
+function renderLayerList() {
+  if (!layerList) return;
+  if (animationLayers.length === 0) {
+    layerList.innerHTML = '<div class="text-sm text-muted">Sin capas: la animación se ve sola</div>';
+    return;
+  }
+  const disabled = isPrimaryController() ? '' : 'disabled';
+  const effects = Animations.list().map(effect => ({ value: effect.name, label: effect.label }));
+  layerList.innerHTML = animationLayers.map((layer, i) => `
+    <div class="layer-row" data-layer="${i}">
+      <select class="input" data-field="animationType" aria-label="Efecto" ${disabled}>
+        ${effects.map(e => `<option value="${e.value}" ${e.value === layer.animationType ? 'selected' : ''}>${escapeHtml(e.label)}</option>`).join('')}
+      </select>
+      <select class="input" data-field="blend" aria-label="Modo" ${disabled}>
+        ${Compositor.BLEND_MODES.map(mode => `<option value="${mode}" ${mode === layer.blend ? 'selected' : ''}>${mode}</option>`).join('')}
+      </select>
+      <input type="range" data-field="mix" min="0" max="1" step="0.05" value="${layer.mix}" aria-label="Mezcla" ${disabled}>
+      <button class="btn btn-sm" data-remove-layer="${i}" title="Quitar" ${disabled}>×</button>
+    </div>
+  `).join('');
+}
+
+// Layers changed: update whoever renders and the mirrors
+function applyLayers() {
+  renderModulationList();
+  syncAnimationParams();
+  publishShowState();
+  updateControls();
+}
+
+function addLayer() {
+  if (animationLayers.length >= CONFIG.maxLayers) return;
+  animationLayers = [...animationLayers, { animationType: 'sparkle', mix: 0.5, blend: 'add' }];
+  renderLayerList();
+  applyLayers();
+}
+
+function setCrossfadeTime(seconds) {
+  crossfadeTime = seconds;
+  if (crossfadeSlider) crossfadeSlider.value = seconds;
+  if (crossfadeVal) crossfadeVal.textContent = `${seconds.toFixed(1)}s`;
+}
+
+// ==========================================
+// MODULATION - Audio driving brightness, speed, tint and parameters
+// ==========================================
+
+const MODULATION_SOURCES = { low: 'Graves', mid: 'Medios', high: 'Agudos', loudness: 'Volumen', centroid: 'Brillo espectral' };
+const MODULATION_CURVES = { linear: 'Lineal', exp: 'Exponencial', log: 'Logarítmica', smooth: 'Suave' };
+
+// Targets a row can pick: the look's settings plus every number parameter of the
+// effect and its layers, as { value, label, min, max, step }
+function modulationTargets() {
+  const targets = [
+    { value: 'brightness', label: 'Brillo', min: 0, max: 1, step: 0.05 },
+    { value: 'speed', label: 'Velocidad', min: 0, max: 3, step: 0.1 },
+    { value: 'hue', label: 'Tono (tinte)', min: 0, max: 360, step: 1 }
+  ];
+  const effects = [...new Set([currentAnimation, ...animationLayers.map(layer => layer.animationType)])];
+  effects.forEach(name => {
+    const effect = Animations.effects.get(name);
+    if (!effect) return;
+    Animations.paramSchema(name).filter(field => field.type === 'number').forEach(field => {
+      targets.push({ value: `param:${name}:${field.name}`, label: `${effect.label} · ${field.label}`, min: field.min, max: field.max, step: field.step || 0.01 });
+    });
+  });
+  return targets;
+}
+
+function modulationTargetValue(mod) {
+  return mod.target === 'param' ? `param:${mod.effect}:${mod.param}` : mod.target;
+}
+
+function renderModulationList() {
+  if (!modulationList) return;
+  if (modulations.length === 0) {
+    modulationList.innerHTML = '<div class="text-sm text-muted">Sin modulaciones: el audio no toca el loop</div>';
+    return;
+  }
+  const disabled = isPrimaryController() ? '' : 'disabled';
+  const targets = modulationTargets();
+  const options = (entries, selected) => entries
+    .map(([value, label]) => `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+    .join('');
+  modulationList.innerHTML = modulations.map((mod, i) => {
+    const target = modulationTargetValue(mod);
+    const entries = targets.map(t => [t.value, t.label]);
+    // A parameter of an effect that is no longer on stage stays listed
+    if (!targets.some(t => t.value === target)) entries.push([target, `${mod.effect} · ${mod.param}`]);
+    const step = (targets.find(t => t.value === target) || {}).step || 0.01;
+    return `
+      <div class="modulation-row" data-modulation="${i}">
+        <select class="input" data-field="source" aria-label="Fuente" ${disabled}>${options(Object.entries(MODULATION_SOURCES), mod.source)}</select>
+        <select class="input" data-field="target" aria-label="Destino" ${disabled}>${options(entries, target)}</select>
+        <button class="btn btn-sm" data-remove-modulation="${i}" title="Quitar" ${disabled}>×</button>
+        <input class="input" type="number" data-field="min" value="${mod.min}" step="${step}" aria-label="Mínimo" ${disabled}>
+        <input class="input" type="number" data-field="max" value="${mod.max}" step="${step}" aria-label="Máximo" ${disabled}>
+        <select class="input" data-field="curve" aria-label="Curva" ${disabled}>${options(Object.entries(MODULATION_CURVES), mod.curve)}</select>
+        <input class="input" type="number" data-field="smoothing" value="${mod.smoothing}" min="0" max="10" step="0.05" aria-label="Suavizado (s)" title="Suavizado (s)" ${disabled}>
+      </div>
+    `;
+  }).join('');
+}
+
+// Modulations changed: update whoever renders and the mirrors
+function applyModulations() {
+  syncAnimationParams();
+  publishShowState();
+  updateControls();
+}
+
+function addModulation() {
+  if (modulations.length >= Modulation.MAX) return;
+  modulations = [...modulations, { source: 'low', target: 'brightness', min: 0.2, max: 1, curve: 'linear', smoothing: 0.2 }];
+  renderModulationList();
+  applyModulations();
+}
+
+// A new target starts over its whole range
+function setModulationTarget(mod, value) {
+  const target = modulationTargets().find(t => t.value === value);
+  if (!target) return mod;
+  const [kind, effect, param] = value.split(':');
+  const { effect: droppedEffect, param: droppedParam, ...rest } = mod;
+  return kind === 'param'
+    ? { ...rest, target: 'param', effect, param, min: target.min, max: target.max }
+    : { ...rest, target: kind, min: target.min, max: target.max };
+}
+
+// ==========================================
+// EFFECT PARAMETERS - Controls built from the selected effect's schema
+// ==========================================
+
+function formatParam(field, value) {
+  if (field.type !== 'number') return '';
+  return field.step >= 1 ? String(Math.round(value)) : String(value);
+}
+
+function renderEffectParams() {
+  if (!effectParamList) return;
+  const schema = Animations.paramSchema(currentAnimation);
+  if (resetParamsBtn) resetParamsBtn.disabled = !isPrimaryController() || schema.length === 0;
+  renderTextPreview();
+  if (schema.length === 0) {
+    effectParamList.innerHTML = '<div class="text-sm text-muted">Este efecto no tiene parámetros</div>';
+    return;
+  }
+  const values = Animations.resolveParams(currentAnimation, effectParams[currentAnimation]);
+  const disabled = isPrimaryController() ? '' : 'disabled';
+  effectParamList.innerHTML = schema.map(field => {
+    const value = values[field.name];
+    let input;
+    if (field.type === 'number') {
+      input = `<input type="range" data-param="${field.name}" min="${field.min}" max="${field.max}" step="${field.step}" value="${value}" ${disabled}>`;
+    } else if (field.type === 'color') {
+      input = `<input type="color" data-param="${field.name}" value="${value}" ${disabled}>`;
+    } else if (field.type === 'text') {
+      input = `<input type="text" class="input" data-param="${field.name}" maxlength="${field.maxLength}" value="${escapeHtml(value)}" ${disabled}>`;
+    } else if (field.type === 'select') {
+      const options = field.options.map(option =>
+        `<option value="${escapeHtml(option.value)}" ${option.value === value ? 'selected' : ''}>${escapeHtml(option.label)}</option>`).join('');
+      input = `<select class="input" data-param="${field.name}" ${disabled}>${options}</select>`;
+    } else {
+      input = `<input type="checkbox" data-param="${field.name}" ${value ? 'checked' : ''} ${disabled}>`;
+    }
+    return `
+      <label class="param-row">
+        <span class="text-sm text-muted">${escapeHtml(field.label)}</span>
+        ${input}
+        <span class="text-mono text-sm" data-param-value="${field.name}">${formatParam(field, value)}</span>
+      </label>
+    `;
+  }).join('');
+}
+
+// One control moved: keep the override and push it to whoever renders
+function setEffectParam(name, value) {
+  const field = Animations.paramSchema(currentAnimation).find(f => f.name === name);
+  if (!field) return;
+  effectParams = { ...effectParams, [currentAnimation]: { ...effectParams[currentAnimation], [name]: value } };
+  const label = effectParamList.querySelector(`[data-param-value="${name}"]`);
+  if (label) label.textContent = formatParam(field, value);
+  renderTextPreview();
+  syncAnimationParams();
+  publishShowState();
+}
+
+// ==========================================
+// TEXT PREVIEW - The text effect as the scanned screens would show it
+// ==========================================
+//
+// Each screen is drawn with the color it would get (area sampling, as when playing) and
+// the font's pixel size is compared with the spacing between screens: a letter reads
+// once every pixel of it lands on at least one phone.
+
+let textPreviewCtx = null; // Offscreen canvas the still text is rendered to
+
+// Typical distance between neighbouring screens (0-1 units): the median nearest neighbour
+function screenPitch(detected) {
+  const centers = detected.map(screen => ScreenMapping.areaCenter(screen));
+  const nearest = centers.map((c, i) => Math.min(...centers
+    .filter((other, j) => j !== i)
+    .map(other => Math.hypot(other.x - c.x, other.y - c.y))));
+  nearest.sort((a, b) => a - b);
+  return nearest[Math.floor(nearest.length / 2)];
+}
+
+function renderTextPreview() {
+  if (!textPreview) return;
+  const visible = currentAnimation === 'text';
+  textPreview.classList.toggle('hidden', !visible);
+  if (!visible) return;
+
+  const size = CONFIG.canvasSize;
+  if (!textPreviewCtx) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    textPreviewCtx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  // Still and centered, so the whole word is judged
+  const values = Animations.resolveParams('text', effectParams.text);
+  Animations.render('text', textPreviewCtx, size, size, 0, { ...values, direction: 'none' });
+
+  const ctx = textPreviewCanvas.getContext('2d');
+  const scale = textPreviewCanvas.width;
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, scale, scale);
+
+  const detected = getDetectedScreens();
+  if (detected.length < 2) {
+    // Nothing to judge against yet: show the text as rendered
+    ctx.globalAlpha = 0.4;
+    ctx.drawImage(textPreviewCtx.canvas, 0, 0, scale, scale);
+    ctx.globalAlpha = 1;
+    textLegibility.textContent = 'Escanea al menos 2 pantallas para ver cómo se lee';
+    return;
   }
+
+  // (screens stacked on the same spot would make it 0)
+  const pitch = Math.max(screenPitch(detected), 0.001);
+  detected.forEach(screen => {
+    const color = ScreenMapping.sampleAreaColor(textPreviewCtx, size, screen);
+    ctx.fillStyle = `rgb(${color.r}, ${color.g}, ${color.b})`;
+    ctx.strokeStyle = '#333';
+    ctx.beginPath();
+    if (screen.quad && screen.quad.corners && screen.quad.corners.length === 4) {
+      const [first, ...rest] = screen.quad.corners;
+      ctx.moveTo(first.x * scale, first.y * scale);
+      rest.forEach(c => ctx.lineTo(c.x * scale, c.y * scale));
+      ctx.closePath();
+    } else if (screen.area) {
+      ctx.rect(screen.area.x * scale, screen.area.y * scale, screen.area.width * scale, screen.area.height * scale);
+    } else {
+      const half = (pitch * scale) / 3;
+      ctx.rect(screen.position.x * scale - half, screen.position.y * scale - half, half * 2, half * 2);
+    }
+    ctx.fill();
+    ctx.stroke();
+  });
+
+  // Font pixel in wall units vs screen spacing
+  const font = Animations.TEXT_FONT;
+  const fontPixel = values.size / font.rows;
+  const perPixel = fontPixel / pitch;
+  const glyphColumns = font.columns[values.font] || font.columns.regular;
+  const lettersAcross = Math.floor(1 / ((glyphColumns + 1) * fontPixel));
+  const verdict = perPixel >= 1 ? 'legible' : perPixel >= 0.5 ? 'justo, se adivina' : 'ilegible';
+  const minSize = font.rows * pitch;
+  const hint = perPixel >= 1 ? ''
+    : minSize <= 1 ? ` · sube el tamaño a ${minSize.toFixed(2)}` : ' · hacen falta más pantallas juntas';
+  textLegibility.textContent =
+    `${perPixel.toFixed(1)} pantallas por píxel de letra: ${verdict}${hint} · caben ~${lettersAcross} letras a la vez`;
+}
+
+function resetEffectParams() {
+  const { [currentAnimation]: dropped, ...rest } = effectParams;
+  effectParams = rest;
+  renderEffectParams();
+  syncAnimationParams();
+  publishShowState();
 }
 
 // ==========================================
@@ -1308,29 +3492,88 @@ function updateControls() {
   const hasWebcam = !!webcamStream;
   const hasScreens = screens.length > 0;
   const hasDetectedScreens = screens.some(s => s.position);
-  
-  scanBtn.disabled = !hasWebcam || !hasScreens || isScanning;
+  const canControl = isPrimaryController();
+  
+  scanBtn.disabled = !canControl || !hasWebcam || !hasScreens || isScanning;
+  if (rescanBtn) rescanBtn.disabled = !canControl || !hasWebcam || isScanning || !screens.some(needsRescan);
+  if (scanModeSelect) scanModeSelect.disabled = isScanning;
+  if (editLayoutBtn) {
+    editLayoutBtn.disabled = !canControl || !hasScreens || isScanning;
+    editLayoutBtn.classList.toggle('active', layoutEditing);
+  }
+  if (trackBtn) {
+    trackBtn.disabled = !canControl || !hasWebcam || !hasDetectedScreens;
+    trackBtn.classList.toggle('active', trackingEnabled);
+  }
   // Playback buttons
   // - In audio mode: Play switches back to loop; Stop stops audio mode.
   // - In loop mode: Play/Stop control the loop.
   if (audioBeatEnabled) {
-    playBtn.disabled = !hasDetectedScreens;
-    stopBtn.disabled = false;
+    playBtn.disabled = !canControl || !hasDetectedScreens;
+    stopBtn.disabled = !canControl;
   } else {
-    playBtn.disabled = !hasDetectedScreens || isAnimating;
-    stopBtn.disabled = !isAnimating;
+    playBtn.disabled = !canControl || !hasDetectedScreens || isAnimating;
+    stopBtn.disabled = !canControl || !isAnimating;
   }
 
   if (autoLoopBtn) {
-    autoLoopBtn.disabled = !hasDetectedScreens;
+    autoLoopBtn.disabled = !canControl || !hasDetectedScreens;
   }
   if (pulseOnceBtn) {
-    pulseOnceBtn.disabled = !isConnected || !hasScreens;
+    pulseOnceBtn.disabled = !canControl || !hasScreens;
   }
   if (audioModeBtn) {
-    audioModeBtn.disabled = !hasDetectedScreens;
+    audioModeBtn.disabled = !canControl || !hasDetectedScreens;
     audioModeBtn.classList.toggle('active', audioBeatEnabled);
   }
+  if (micBtn) micBtn.classList.toggle('active', micRequested);
+  if (downbeatBtn) downbeatBtn.disabled = !audioStream;
+  if (tempoSyncInput) tempoSyncInput.disabled = !canControl;
+  blackoutBtn.disabled = !canControl;
+  if (renderModeSelect) renderModeSelect.disabled = !canControl;
+  if (pixelGridSelect) pixelGridSelect.disabled = !canControl;
+
+  // Observers and backups see the show mirrored but can't touch it
+  animationGrid.querySelectorAll('.control-btn').forEach(btn => { btn.disabled = !canControl; });
+  colorButtons.forEach(btn => { btn.disabled = !canControl; });
+  bangButtons.forEach(btn => { btn.disabled = !canControl; });
+  if (bangRandomBtn) bangRandomBtn.disabled = !canControl;
+  if (bangWhiteBtn) bangWhiteBtn.disabled = !canControl;
+  sliderInputs.forEach(input => { input.disabled = !canControl; });
+  if (addLayerBtn) addLayerBtn.disabled = !canControl || animationLayers.length >= CONFIG.maxLayers;
+  if (addModulationBtn) addModulationBtn.disabled = !canControl || modulations.length >= Modulation.MAX;
+
+  // Roles
+  if (takeoverBtn) takeoverBtn.disabled = !isConnected || controllerRole === 'primary';
+  if (roleSelect) roleSelect.disabled = !isConnected || controllerRole === 'primary';
+
+  // Layouts
+  const hasLayouts = layouts.length > 0;
+  if (saveLayoutBtn) saveLayoutBtn.disabled = !canControl || !hasDetectedScreens || isScanning;
+  if (loadLayoutBtn) loadLayoutBtn.disabled = !canControl || !hasLayouts || isScanning;
+  if (deleteLayoutBtn) deleteLayoutBtn.disabled = !canControl || !hasLayouts;
+
+  // Cues
+  const hasCueLists = cueLists.length > 0;
+  const cuesLoaded = !!(cueState && cueState.list);
+  if (loadCuesBtn) loadCuesBtn.disabled = !canControl || !hasCueLists;
+  if (deleteCuesBtn) deleteCuesBtn.disabled = !canControl || !hasCueLists;
+  if (cueGoBtn) cueGoBtn.disabled = !canControl || !cuesLoaded;
+  if (cueStopBtn) cueStopBtn.disabled = !canControl || !(cueState && cueState.running);
+  if (addCueBtn) addCueBtn.disabled = !canControl;
+  if (saveCuesBtn) saveCuesBtn.disabled = !canControl || !cueDraft || cueDraft.cues.length === 0;
+
+  // Media
+  if (mediaFileInput) mediaFileInput.disabled = !canControl;
+  if (playMediaBtn) playMediaBtn.disabled = !canControl || !hasDetectedScreens || !mediaElement || mediaPlaying;
+  if (stopMediaBtn) stopMediaBtn.disabled = !mediaPlaying;
+  if (deleteMediaBtn) deleteMediaBtn.disabled = !canControl || !selectedMedia();
+
+  // Expressions
+  if (saveExprBtn) saveExprBtn.disabled = !canControl || !exprSource.value.trim();
+  if (deleteExprBtn) deleteExprBtn.disabled = !canControl || !exprSelect.value;
+
+  publishShowState();
 }
 
 // Animation selection
@@ -1345,23 +3588,124 @@ animationGrid.addEventListener('click', (e) => {
   const next = btn.dataset.animation;
 
   stopAudioBeatMode();
+  // Browser render blends here; the server and the screens get the fade time
+  if (renderMode === 'browser' && isAnimating && crossfadeTime > 0 && next !== currentAnimation) {
+    browserFade = {
+      animationType: currentAnimation,
+      params: effectParams[currentAnimation],
+      startedAt: performance.now(),
+      durationMs: crossfadeTime * 1000
+    };
+  }
   currentAnimation = next;
   lastLoopAnimation = next;
+  renderEffectParams();
+  renderModulationList(); // Its parameter targets follow the effect
+  syncAnimationParams({ animationType: next, fade: crossfadeTime });
+  publishShowState();
   console.log(`[ANIMATION] Selected: ${currentAnimation}`);
 });
 
 // Sliders
 speedSlider.addEventListener('input', (e) => {
   animationSpeed = parseFloat(e.target.value);
+  syncAnimationParams();
+  publishShowState();
 });
 
 brightnessSlider.addEventListener('input', (e) => {
   animationBrightness = parseFloat(e.target.value);
+  syncAnimationParams();
+  publishShowState();
+});
+
+if (pixelGridSelect) {
+  pixelGridSelect.value = String(pixelGrid);
+  pixelGridSelect.addEventListener('change', (e) => {
+    pixelGrid = parseInt(e.target.value, 10) || 1;
+    localStorage.setItem('pixelGrid', String(pixelGrid));
+    lastColors.clear();
+    lastGrids.clear();
+    syncAnimationParams();
+    publishShowState();
+  });
+}
+if (renderModeSelect) {
+  renderModeSelect.value = renderMode;
+  renderModeSelect.addEventListener('change', (e) => setRenderMode(e.target.value));
+}
+
+if (trackBtn) {
+  trackBtn.addEventListener('click', () => setTracking(!trackingEnabled));
+}
+
+// Join QR code
+if (qrBtn) qrBtn.addEventListener('click', () => setQrVisible(true));
+if (qrCloseBtn) qrCloseBtn.addEventListener('click', () => setQrVisible(false));
+if (qrOverlay) {
+  qrOverlay.addEventListener('click', (e) => {
+    if (e.target === qrOverlay) setQrVisible(false);
+  });
+}
+
+// Login
+loginForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  login(pinInput.value.trim());
+});
+
+// Roles
+if (takeoverBtn) takeoverBtn.addEventListener('click', requestTakeover);
+if (acceptTakeoverBtn) acceptTakeoverBtn.addEventListener('click', () => answerTakeover(true));
+if (denyTakeoverBtn) denyTakeoverBtn.addEventListener('click', () => answerTakeover(false));
+if (roleSelect) {
+  roleSelect.value = localStorage.getItem('controllerRole') || 'backup';
+  roleSelect.addEventListener('change', (e) => {
+    localStorage.setItem('controllerRole', e.target.value);
+    if (socket && isConnected) socket.emit('setRole', { role: e.target.value });
+  });
+}
+if (controllerList) {
+  controllerList.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-handoff]');
+    if (btn && isPrimaryController()) socket.emit('handOff', { to: btn.dataset.handoff });
+  });
+}
+
+// Layout editor
+if (editLayoutBtn) {
+  editLayoutBtn.addEventListener('click', () => setLayoutEditing(!layoutEditing));
+}
+overlayCanvas.addEventListener('pointerdown', handleEditorPointerDown);
+overlayCanvas.addEventListener('pointermove', handleEditorPointerMove);
+overlayCanvas.addEventListener('pointerup', handleEditorPointerUp);
+overlayCanvas.addEventListener('pointercancel', handleEditorPointerUp);
+
+// Rename a screen (the phone shows its new name), or pick one to place by hand
+screenList.addEventListener('click', (e) => {
+  const renameBtn = e.target.closest('[data-rename]');
+  if (renameBtn) {
+    renameScreen(renameBtn.dataset.rename);
+    return;
+  }
+  const item = e.target.closest('.screen-item');
+  if (!layoutEditing || !item) return;
+  editSelectedId = item.dataset.id;
+  renderScreenList();
 });
 
+if (scanModeSelect) {
+  scanModeSelect.value = scanMode;
+  scanModeSelect.addEventListener('change', (e) => {
+    scanMode = e.target.value;
+    localStorage.setItem('scanMode', scanMode);
+  });
+}
+
 // Buttons
 startWebcamBtn.addEventListener('click', startWebcam);
-scanBtn.addEventListener('click', startScan);
+scanBtn.addEventListener('click', () => startScan());
+if (rescanBtn) rescanBtn.addEventListener('click', () => startScan({ onlyWeak: true }));
 playBtn.addEventListener('click', () => {
   if (audioBeatEnabled) {
     enableAutoLoop(true);
@@ -1374,6 +3718,7 @@ stopBtn.addEventListener('click', () => {
     stopAudioBeatMode();
     return;
   }
+  stopMedia();
   stopAnimation();
 });
 if (autoLoopBtn) {
@@ -1391,6 +3736,30 @@ if (audioModeBtn) {
     }
   });
 }
+if (micBtn) {
+  micBtn.addEventListener('click', () => setMicRequested(!micRequested));
+}
+if (audioTriggerSelect) {
+  audioTriggerSelect.value = audioTriggerBand;
+  audioTriggerSelect.addEventListener('change', (e) => {
+    audioTriggerBand = e.target.value;
+    localStorage.setItem('audioTriggerBand', audioTriggerBand);
+  });
+}
+if (tempoSyncInput) {
+  tempoSyncInput.checked = tempoSync;
+  tempoSyncInput.addEventListener('change', (e) => {
+    tempoSync = e.target.checked;
+    localStorage.setItem('tempoSync', String(tempoSync));
+    syncAnimationParams();
+    publishShowState();
+  });
+}
+if (downbeatBtn) {
+  downbeatBtn.addEventListener('click', () => {
+    if (audioAnalysis) audioAnalysis.markDownbeat();
+  });
+}
 if (colorButtons && colorButtons.length) {
   colorButtons.forEach(btn => {
     btn.addEventListener('click', () => {
@@ -1398,11 +3767,21 @@ if (colorButtons && colorButtons.length) {
       btn.classList.add('active');
       const [r, g, b] = btn.dataset.color.split(',').map(Number);
       tintColor = { r, g, b };
+      publishShowState();
     });
   });
 }
 blackoutBtn.addEventListener('click', blackout);
 
+if (saveLayoutBtn) saveLayoutBtn.addEventListener('click', saveLayout);
+if (loadLayoutBtn) loadLayoutBtn.addEventListener('click', loadLayout);
+if (deleteLayoutBtn) deleteLayoutBtn.addEventListener('click', deleteLayout);
+if (layoutNameInput) {
+  layoutNameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveLayout();
+  });
+}
+
 bangButtons.forEach(btn => {
   btn.addEventListener('click', () => {
     const [r, g, b] = btn.dataset.bangColor.split(',').map(Number);
@@ -1424,6 +3803,139 @@ if (bangWhiteBtn) {
   });
 }
 
+// Layers
+if (addLayerBtn) addLayerBtn.addEventListener('click', addLayer);
+if (layerList) {
+  // Rows are not redrawn while editing so a dragged slider keeps its grip
+  layerList.addEventListener('input', (e) => {
+    const row = e.target.closest('[data-layer]');
+    const field = e.target.dataset.field;
+    if (!row || !field || !isPrimaryController()) return;
+    const index = Number(row.dataset.layer);
+    const value = field === 'mix' ? parseFloat(e.target.value) : e.target.value;
+    animationLayers = animationLayers.map((layer, i) => (i === index ? { ...layer, [field]: value } : layer));
+    applyLayers();
+  });
+  layerList.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('[data-remove-layer]');
+    if (!removeBtn || !isPrimaryController()) return;
+    const index = Number(removeBtn.dataset.removeLayer);
+    animationLayers = animationLayers.filter((layer, i) => i !== index);
+    renderLayerList();
+    applyLayers();
+  });
+}
+
+// Modulation
+if (addModulationBtn) addModulationBtn.addEventListener('click', addModulation);
+if (modulationList) {
+  // Rows are redrawn only when the target changes (its range comes with it)
+  modulationList.addEventListener('input', (e) => {
+    const row = e.target.closest('[data-modulation]');
+    const field = e.target.dataset.field;
+    if (!row || !field || !isPrimaryController()) return;
+    const index = Number(row.dataset.modulation);
+    if (field === 'target') {
+      modulations = modulations.map((mod, i) => (i === index ? setModulationTarget(mod, e.target.value) : mod));
+      renderModulationList();
+    } else {
+      const numeric = ['min', 'max', 'smoothing'].includes(field);
+      const value = numeric ? parseFloat(e.target.value) : e.target.value;
+      if (numeric && !Number.isFinite(value)) return;
+      modulations = modulations.map((mod, i) => (i === index ? { ...mod, [field]: value } : mod));
+    }
+    applyModulations();
+  });
+  modulationList.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('[data-remove-modulation]');
+    if (!removeBtn || !isPrimaryController()) return;
+    const index = Number(removeBtn.dataset.removeModulation);
+    modulations = modulations.filter((mod, i) => i !== index);
+    renderModulationList();
+    applyModulations();
+  });
+}
+if (crossfadeSlider) {
+  crossfadeSlider.addEventListener('input', (e) => {
+    setCrossfadeTime(parseFloat(e.target.value));
+    publishShowState();
+  });
+}
+
+// Effect parameters (controls are not redrawn while dragging, same as the layers)
+if (effectParamList) {
+  effectParamList.addEventListener('input', (e) => {
+    const name = e.target.dataset.param;
+    if (!name || !isPrimaryController()) return;
+    const value = e.target.type === 'checkbox' ? e.target.checked
+      : e.target.type === 'range' ? parseFloat(e.target.value)
+        : e.target.value;
+    setEffectParam(name, value);
+  });
+}
+if (resetParamsBtn) resetParamsBtn.addEventListener('click', resetEffectParams);
+
+// Media
+if (mediaSelect) mediaSelect.addEventListener('change', previewMedia);
+if (mediaFitSelect) {
+  mediaFitSelect.value = mediaFit;
+  mediaFitSelect.addEventListener('change', () => {
+    mediaFit = mediaFitSelect.value;
+    localStorage.setItem('mediaFit', mediaFit);
+  });
+}
+if (mediaFileInput) {
+  mediaFileInput.addEventListener('change', () => {
+    const file = mediaFileInput.files[0];
+    mediaFileInput.value = '';
+    if (file) uploadMedia(file);
+  });
+}
+if (playMediaBtn) playMediaBtn.addEventListener('click', playMedia);
+if (stopMediaBtn) stopMediaBtn.addEventListener('click', stopMedia);
+if (deleteMediaBtn) deleteMediaBtn.addEventListener('click', deleteMedia);
+
+// Expressions
+if (exprSelect) exprSelect.addEventListener('change', () => editExpression(exprSelect.value));
+if (exprSource) {
+  exprSource.addEventListener('input', () => {
+    checkExpressionDraft();
+    updateControls();
+  });
+}
+if (saveExprBtn) saveExprBtn.addEventListener('click', saveExpression);
+if (deleteExprBtn) deleteExprBtn.addEventListener('click', deleteExpression);
+
+// Cues
+if (loadCuesBtn) loadCuesBtn.addEventListener('click', loadCueList);
+if (deleteCuesBtn) deleteCuesBtn.addEventListener('click', deleteCueList);
+if (cueGoBtn) cueGoBtn.addEventListener('click', cueGo);
+if (cueStopBtn) cueStopBtn.addEventListener('click', () => socket.emit('cueStop'));
+if (addCueBtn) addCueBtn.addEventListener('click', addCue);
+if (saveCuesBtn) saveCuesBtn.addEventListener('click', saveCueList);
+if (cueTable) {
+  cueTable.addEventListener('click', (e) => {
+    if (!isPrimaryController()) return;
+    const removeBtn = e.target.closest('[data-remove-cue]');
+    if (removeBtn) {
+      removeCue(Number(removeBtn.dataset.removeCue));
+      return;
+    }
+    // Jump to a cue (only when the table shows the list the server has)
+    const row = e.target.closest('[data-cue]');
+    if (row && !cueDraftDirty && cueState && cueState.list) {
+      socket.emit('cueGoTo', { index: Number(row.dataset.cue) });
+    }
+  });
+}
+
+// Space bar = GO (outside text fields)
+document.addEventListener('keydown', (e) => {
+  if (e.code !== 'Space' || e.repeat || e.target.closest('input, select, textarea, button')) return;
+  e.preventDefault();
+  cueGo();
+});
+
 // ==========================================
 // INITIALIZATION
 // ==========================================
@@ -1431,6 +3943,11 @@ if (bangWhiteBtn) {
 function init() {
   console.log('[CONTROLLER] Initializing with advanced detection...');
   connectSocket();
+  renderAnimationGrid();
+  renderLayerList();
+  renderEffectParams();
+  renderModulationList();
+  loadEffectModules();
   updateControls();
 }
 
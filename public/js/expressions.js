@@ -0,0 +1,405 @@
+// ==========================================
+// EXPRESSIONS - Effects written as per-pixel formulas
+// ==========================================
+//
+// A tiny language for designers: a few assignments, one per line (or split with ';'):
+//
+//   v = sin(x * 10 + t)
+//   r = v * 255
+//   b = (1 - v) * 255 * audio
+//   g = beat % 1 < 0.2 ? 255 : 0
+//
+// Inputs: x, y (0-1 across the canvas), t (seconds), i (screen index, 0 when drawn on a
+// canvas), audio (bass, 0-1), low, mid, high (band levels, 0-1), bpm and beat (beats
+// counted on the controller's tempo: beat % 1 is the phase, beat % 4 the bar; both 0
+// without one). Outputs: r, g, b (0-255, default 0). Any other name is a local.
+// Operators: + - * / % ^ (power), comparisons and && || ! (1 or 0), cond ? a : b.
+// Constants: PI, TAU. Functions: see FUNCTIONS below.
+//
+// Source is parsed into a tree of closures; nothing is ever eval'd, so the server can
+// run what a controller typed. Shared by the controller, the screens and the server.
+
+const own = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+class ExpressionError extends Error {
+  constructor(message, source, index) {
+    const { line, column } = ExpressionError.locate(source, index);
+    super(message);
+    this.name = 'ExpressionError';
+    this.line = line;
+    this.column = column;
+  }
+
+  // 1-based line and column of a character offset
+  static locate(source, index) {
+    const before = source.slice(0, Math.max(0, index));
+    const lines = before.split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+  }
+}
+
+const Expressions = {
+  MAX_SOURCE: 2000,
+  MAX_DEPTH: 48,
+  // Cells per side when drawn on a canvas (each cell is one evaluation)
+  GRID: 32,
+
+  INPUTS: ['x', 'y', 't', 'i', 'audio', 'low', 'mid', 'high', 'bpm', 'beat'],
+  OUTPUTS: ['r', 'g', 'b'],
+  CONSTANTS: { PI: Math.PI, TAU: Math.PI * 2 },
+
+  // name -> [arity, implementation]
+  FUNCTIONS: {
+    sin: [1, Math.sin],
+    cos: [1, Math.cos],
+    tan: [1, Math.tan],
+    asin: [1, Math.asin],
+    acos: [1, Math.acos],
+    atan: [1, Math.atan],
+    atan2: [2, Math.atan2],
+    abs: [1, Math.abs],
+    sign: [1, Math.sign],
+    floor: [1, Math.floor],
+    ceil: [1, Math.ceil],
+    round: [1, Math.round],
+    fract: [1, (a) => a - Math.floor(a)],
+    sqrt: [1, Math.sqrt],
+    exp: [1, Math.exp],
+    log: [1, Math.log],
+    pow: [2, Math.pow],
+    mod: [2, (a, b) => a - b * Math.floor(a / b)],
+    min: [2, Math.min],
+    max: [2, Math.max],
+    hypot: [2, Math.hypot],
+    clamp: [3, (a, lo, hi) => Math.min(hi, Math.max(lo, a))],
+    mix: [3, (a, b, k) => a + (b - a) * k],
+    step: [2, (edge, a) => (a < edge ? 0 : 1)],
+    smoothstep: [3, (lo, hi, a) => {
+      const k = Math.min(1, Math.max(0, (a - lo) / (hi - lo)));
+      return k * k * (3 - 2 * k);
+    }],
+    // Repeatable pseudo-random 0-1 from two numbers (same value on every screen)
+    hash: [2, (a, b) => {
+      const n = Math.sin(a * 12.9898 + b * 78.233) * 43758.5453;
+      return n - Math.floor(n);
+    }]
+  },
+
+  tokenize(source) {
+    const tokens = [];
+    const pattern = /[ \t\r]*(?:(\n)|(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_]\w*)|(&&|\|\||==|!=|<=|>=|[-+*/%^()<>!?:,;=]))/gy;
+    let index = 0;
+    while (index < source.length) {
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+      if (!match) {
+        // Trailing spaces, or a character the language doesn't know
+        const rest = source.slice(index);
+        if (/^\s*$/.test(rest)) break;
+        const at = index + (rest.length - rest.trimStart().length);
+        throw new ExpressionError(`Unexpected character "${source[at]}"`, source, at);
+      }
+      const at = match.index + match[0].length - (match[1] || match[2] || match[3] || match[4]).length;
+      if (match[1]) tokens.push({ type: 'end', at });
+      else if (match[2]) tokens.push({ type: 'number', value: parseFloat(match[2]), at });
+      else if (match[3]) tokens.push({ type: 'name', value: match[3], at });
+      else tokens.push({ type: match[4] === ';' ? 'end' : 'op', value: match[4], at });
+      index = pattern.lastIndex;
+    }
+    tokens.push({ type: 'eof', at: source.length });
+    return tokens;
+  },
+
+  // Source -> program tree: [{ name, expr, at }]
+  parse(source) {
+    if (typeof source !== 'string') throw new ExpressionError('Expression must be text', '', 0);
+    if (source.length > this.MAX_SOURCE) {
+      throw new ExpressionError(`Expression is longer than ${this.MAX_SOURCE} characters`, source, this.MAX_SOURCE);
+    }
+    const tokens = this.tokenize(source);
+    let pos = 0;
+    let depth = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const fail = (message, token = peek()) => {
+      throw new ExpressionError(message, source, token.at);
+    };
+    const isOp = (value) => peek().type === 'op' && peek().value === value;
+    const expect = (value) => {
+      if (!isOp(value)) fail(peek().type === 'eof' ? `Expected "${value}" at the end` : `Expected "${value}"`);
+      return next();
+    };
+
+    // Binding power of each binary operator (higher binds tighter)
+    const BINARY = {
+      '||': 1, '&&': 2,
+      '==': 3, '!=': 3,
+      '<': 4, '>': 4, '<=': 4, '>=': 4,
+      '+': 5, '-': 5,
+      '*': 6, '/': 6, '%': 6,
+      '^': 8
+    };
+
+    const primary = () => {
+      const token = next();
+      if (token.type === 'number') return { type: 'number', value: token.value, at: token.at };
+      if (token.type === 'name') {
+        if (isOp('(')) {
+          next();
+          const args = [];
+          if (!isOp(')')) {
+            do {
+              args.push(expression(0));
+            } while (isOp(',') && next());
+          }
+          expect(')');
+          return { type: 'call', name: token.value, args, at: token.at };
+        }
+        return { type: 'name', name: token.value, at: token.at };
+      }
+      if (token.type === 'op' && token.value === '(') {
+        const inner = expression(0);
+        expect(')');
+        return inner;
+      }
+      if (token.type === 'op' && (token.value === '-' || token.value === '+' || token.value === '!')) {
+        // Unary binds tighter than everything but ^ (so -x^2 is -(x^2))
+        return { type: 'unary', op: token.value, arg: expression(7), at: token.at };
+      }
+      pos--;
+      fail(token.type === 'eof' || token.type === 'end' ? 'Expression ends too early' : `Unexpected "${token.value}"`);
+    };
+
+    const expression = (minPower) => {
+      if (++depth > this.MAX_DEPTH) fail('Expression is nested too deeply');
+      let left = primary();
+      for (;;) {
+        const token = peek();
+        if (token.type !== 'op') break;
+        if (token.value === '?' && minPower === 0) {
+          next();
+          const then = expression(0);
+          expect(':');
+          const otherwise = expression(0);
+          left = { type: 'if', cond: left, then, otherwise, at: token.at };
+          continue;
+        }
+        const power = BINARY[token.value];
+        if (!power || power <= minPower) break;
+        next();
+        // ^ is right associative: 2^3^2 is 2^(3^2)
+        const right = expression(token.value === '^' ? power - 1 : power);
+        left = { type: 'binary', op: token.value, left, right, at: token.at };
+      }
+      depth--;
+      return left;
+    };
+
+    const statements = [];
+    while (peek().type !== 'eof') {
+      if (peek().type === 'end') {
+        next();
+        continue;
+      }
+      const target = next();
+      if (target.type !== 'name') fail('Each line must be an assignment like r = ...', target);
+      if (this.INPUTS.includes(target.value) || own(this.CONSTANTS, target.value)) {
+        fail(`"${target.value}" is an input and can't be assigned`, target);
+      }
+      if (own(this.FUNCTIONS, target.value)) fail(`"${target.value}" is a function and can't be assigned`, target);
+      expect('=');
+      statements.push({ name: target.value, expr: expression(0), at: target.at });
+      if (peek().type !== 'end' && peek().type !== 'eof') fail(`Unexpected "${peek().value}"`);
+    }
+    if (!statements.some(statement => this.OUTPUTS.includes(statement.name))) {
+      throw new ExpressionError('Assign at least one of r, g or b', source, 0);
+    }
+    return statements;
+  },
+
+  // Source -> (inputs { x, y, t, i, audio, ... }) => { r, g, b }; throws ExpressionError
+  compile(source) {
+    const statements = this.parse(source);
+    const slots = new Map(); // name -> index into the frame array
+    [...this.INPUTS, ...this.OUTPUTS].forEach(name => slots.set(name, slots.size));
+    const assigned = new Set([...this.INPUTS, ...this.OUTPUTS]);
+
+    const build = (node) => {
+      switch (node.type) {
+        case 'number': {
+          const value = node.value;
+          return () => value;
+        }
+        case 'name': {
+          if (own(this.CONSTANTS, node.name)) {
+            const value = this.CONSTANTS[node.name];
+            return () => value;
+          }
+          if (!assigned.has(node.name)) {
+            throw new ExpressionError(`Unknown name "${node.name}"`, source, node.at);
+          }
+          const slot = slots.get(node.name);
+          return (frame) => frame[slot];
+        }
+        case 'call': {
+          const fn = own(this.FUNCTIONS, node.name) ? this.FUNCTIONS[node.name] : null;
+          if (!fn) throw new ExpressionError(`Unknown function "${node.name}"`, source, node.at);
+          const [arity, impl] = fn;
+          if (node.args.length !== arity) {
+            throw new ExpressionError(`${node.name}() takes ${arity} argument${arity === 1 ? '' : 's'}`, source, node.at);
+          }
+          const args = node.args.map(build);
+          if (arity === 1) {
+            const [a] = args;
+            return (frame) => impl(a(frame));
+          }
+          if (arity === 2) {
+            const [a, b] = args;
+            return (frame) => impl(a(frame), b(frame));
+          }
+          const [a, b, c] = args;
+          return (frame) => impl(a(frame), b(frame), c(frame));
+        }
+        case 'unary': {
+          const arg = build(node.arg);
+          if (node.op === '-') return (frame) => -arg(frame);
+          if (node.op === '!') return (frame) => (arg(frame) ? 0 : 1);
+          return arg;
+        }
+        case 'if': {
+          const cond = build(node.cond);
+          const then = build(node.then);
+          const otherwise = build(node.otherwise);
+          return (frame) => (cond(frame) ? then(frame) : otherwise(frame));
+        }
+        case 'binary': {
+          const a = build(node.left);
+          const b = build(node.right);
+          switch (node.op) {
+            case '+': return (frame) => a(frame) + b(frame);
+            case '-': return (frame) => a(frame) - b(frame);
+            case '*': return (frame) => a(frame) * b(frame);
+            case '/': return (frame) => a(frame) / b(frame);
+            case '%': return (frame) => a(frame) % b(frame);
+            case '^': return (frame) => Math.pow(a(frame), b(frame));
+            case '<': return (frame) => (a(frame) < b(frame) ? 1 : 0);
+            case '>': return (frame) => (a(frame) > b(frame) ? 1 : 0);
+            case '<=': return (frame) => (a(frame) <= b(frame) ? 1 : 0);
+            case '>=': return (frame) => (a(frame) >= b(frame) ? 1 : 0);
+            case '==': return (frame) => (a(frame) === b(frame) ? 1 : 0);
+            case '!=': return (frame) => (a(frame) !== b(frame) ? 1 : 0);
+            case '&&': return (frame) => (a(frame) && b(frame) ? 1 : 0);
+            case '||': return (frame) => (a(frame) || b(frame) ? 1 : 0);
+          }
+        }
+      }
+      throw new ExpressionError('Unsupported expression', source, node.at);
+    };
+
+    // Locals must be assigned before they are read, so typos show up as errors
+    const steps = statements.map(statement => {
+      const expr = build(statement.expr);
+      if (!slots.has(statement.name)) slots.set(statement.name, slots.size);
+      assigned.add(statement.name);
+      const slot = slots.get(statement.name);
+      return (frame) => { frame[slot] = expr(frame); };
+    });
+
+    const frame = new Float64Array(slots.size);
+    const channel = (value) => (Number.isFinite(value) ? Math.round(Math.min(255, Math.max(0, value))) : 0);
+    const names = this.INPUTS;
+    const [r, g, b] = this.OUTPUTS.map(name => slots.get(name));
+    return (inputs) => {
+      frame.fill(0);
+      for (let k = 0; k < names.length; k++) frame[k] = inputs[names[k]] || 0;
+      for (let s = 0; s < steps.length; s++) steps[s](frame);
+      return { r: channel(frame[r]), g: channel(frame[g]), b: channel(frame[b]) };
+    };
+  },
+
+  // null when the source is fine, else { message, line, column }
+  check(source) {
+    try {
+      this.compile(source);
+      return null;
+    } catch (err) {
+      if (!(err instanceof ExpressionError)) throw err;
+      return { message: err.message, line: err.line, column: err.column };
+    }
+  },
+
+  // Effect name for a saved expression
+  effectName(name) {
+    return `expr-${name}`;
+  },
+
+  // Animations.register definition for a compiled expression. On a canvas it is drawn on
+  // a coarse grid; colorAt gives one screen its color directly (with its own index).
+  toEffect(name, source) {
+    const evaluate = this.compile(source);
+    const grid = this.GRID;
+    return {
+      label: `ƒ ${name}`,
+      category: 'Expresiones',
+      preview: 'linear-gradient(135deg, #222, #555)',
+      params: [],
+      render(ctx, width, height, time, params, inputs = {}) {
+        const image = ctx.createImageData(width, height);
+        const data = image.data;
+        const cellW = width / grid;
+        const cellH = height / grid;
+        const at = { ...inputs, x: 0, y: 0, t: time, i: 0 };
+        for (let gy = 0; gy < grid; gy++) {
+          at.y = (gy + 0.5) / grid;
+          const y0 = Math.floor(gy * cellH);
+          const y1 = Math.floor((gy + 1) * cellH);
+          for (let gx = 0; gx < grid; gx++) {
+            at.x = (gx + 0.5) / grid;
+            const color = evaluate(at);
+            const x0 = Math.floor(gx * cellW);
+            const x1 = Math.floor((gx + 1) * cellW);
+            for (let py = y0; py < y1; py++) {
+              for (let px = x0; px < x1; px++) {
+                const p = (py * width + px) * 4;
+                data[p] = color.r;
+                data[p + 1] = color.g;
+                data[p + 2] = color.b;
+                data[p + 3] = 255;
+              }
+            }
+          }
+        }
+        ctx.putImageData(image, 0, 0);
+      },
+      colorAt(x, y, time, params, inputs = {}) {
+        return evaluate({ ...inputs, x, y, t: time });
+      }
+    };
+  },
+
+  // Register (or replace) one expression as an effect; throws ExpressionError
+  install(animations, name, source) {
+    const effect = this.toEffect(name, source);
+    animations.unregister(this.effectName(name));
+    animations.register(this.effectName(name), effect);
+  },
+
+  // Register saved expressions [{ name, source }]; broken ones are skipped
+  registerAll(animations, expressions) {
+    expressions.forEach(({ name, source }) => {
+      try {
+        this.install(animations, name, source);
+      } catch (err) {
+        console.warn(`[EXPRESSIONS] Skipping ${name}: ${err.message}`);
+      }
+    });
+  }
+};
+
+Expressions.ExpressionError = ExpressionError;
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Expressions;
+}
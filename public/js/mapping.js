@@ -0,0 +1,231 @@
+// ==========================================
+// SCREEN MAPPING - Multi-Screen Sync
+// Shared by the controller (browser) and the server animation engine
+// ==========================================
+
+const ScreenMapping = {
+  minNormalizedArea: 0.02,      // clamp area so very large detections are reduced
+  maxNormalizedArea: 0.65,      // clamp area so oversize detections are limited
+
+  clampRect(rect) {
+    const x = Math.min(Math.max(rect.x, 0), 1);
+    const y = Math.min(Math.max(rect.y, 0), 1);
+    const width = Math.min(Math.max(rect.width, this.minNormalizedArea), this.maxNormalizedArea);
+    const height = Math.min(Math.max(rect.height, this.minNormalizedArea), this.maxNormalizedArea);
+    return { x, y, width, height };
+  },
+
+  // Sample color from the screen's area (not just center point)
+  sampleAreaColor(ctx, canvasSize, screen) {
+    if (screen.quad && screen.quad.corners && screen.quad.corners.length === 4) {
+      return this.sampleQuadColor(ctx, canvasSize, screen.quad.corners);
+    }
+
+    if (screen.area) {
+      const normalized = this.clampRect(screen.area);
+      // Sample multiple points within the screen's area and average
+      const areaX = Math.floor(normalized.x * canvasSize);
+      const areaY = Math.floor(normalized.y * canvasSize);
+      const areaW = Math.max(1, Math.floor(normalized.width * canvasSize));
+      const areaH = Math.max(1, Math.floor(normalized.height * canvasSize));
+
+      // Get all pixels in the area
+      const imageData = ctx.getImageData(areaX, areaY, areaW, areaH);
+      const data = imageData.data;
+
+      // Calculate weighted average (center pixels weight more)
+      let totalR = 0, totalG = 0, totalB = 0, totalWeight = 0;
+      const centerX = areaW / 2;
+      const centerY = areaH / 2;
+
+      for (let y = 0; y < areaH; y++) {
+        for (let x = 0; x < areaW; x++) {
+          const i = (y * areaW + x) * 4;
+
+          // Gaussian weight based on distance from center
+          const dx = (x - centerX) / (areaW / 2);
+          const dy = (y - centerY) / (areaH / 2);
+          const dist = Math.sqrt(dx * dx + dy * dy);
+          const weight = Math.exp(-dist * dist);
+
+          totalR += data[i] * weight;
+          totalG += data[i + 1] * weight;
+          totalB += data[i + 2] * weight;
+          totalWeight += weight;
+        }
+      }
+
+      return {
+        r: Math.round(totalR / totalWeight),
+        g: Math.round(totalG / totalWeight),
+        b: Math.round(totalB / totalWeight)
+      };
+    }
+
+    // Fallback to single point sampling
+    const pixelX = Math.min(canvasSize - 1, Math.floor(screen.position.x * canvasSize));
+    const pixelY = Math.min(canvasSize - 1, Math.floor(screen.position.y * canvasSize));
+    const pixel = ctx.getImageData(pixelX, pixelY, 1, 1).data;
+
+    return { r: pixel[0], g: pixel[1], b: pixel[2] };
+  },
+
+  // Middle of the screen (0-1), from the same shape sampleAreaColor reads
+  areaCenter(screen) {
+    if (screen.quad && screen.quad.corners && screen.quad.corners.length === 4) {
+      const corners = screen.quad.corners;
+      return {
+        x: corners.reduce((sum, c) => sum + c.x, 0) / 4,
+        y: corners.reduce((sum, c) => sum + c.y, 0) / 4
+      };
+    }
+    if (screen.area) {
+      const normalized = this.clampRect(screen.area);
+      return { x: normalized.x + normalized.width / 2, y: normalized.y + normalized.height / 2 };
+    }
+    return { x: screen.position.x, y: screen.position.y };
+  },
+
+  // Point (0-1) at (u, v) across the screen's surface, (0, 0) being its top-left corner:
+  // bilinear over the quad, else the clamped area; screens with only a position get it everywhere
+  areaPoint(screen, u, v) {
+    if (screen.quad && screen.quad.corners && screen.quad.corners.length === 4) {
+      const [tl, tr, br, bl] = screen.quad.corners; // clockwise from top-left
+      const top = { x: tl.x + (tr.x - tl.x) * u, y: tl.y + (tr.y - tl.y) * u };
+      const bottom = { x: bl.x + (br.x - bl.x) * u, y: bl.y + (br.y - bl.y) * u };
+      return { x: top.x + (bottom.x - top.x) * v, y: top.y + (bottom.y - top.y) * v };
+    }
+    if (screen.area) {
+      const normalized = this.clampRect(screen.area);
+      return { x: normalized.x + normalized.width * u, y: normalized.y + normalized.height * v };
+    }
+    return { x: screen.position.x, y: screen.position.y };
+  },
+
+  // The screen's crop of the canvas as cols x rows RGB bytes, row by row, for screens
+  // that show the picture itself instead of one color. pixels is the whole canvas'
+  // ImageData (read once per frame for every screen); cells are sampled at their centers
+  // with bilinear filtering so motion glides across the phone.
+  sampleAreaGrid(pixels, canvasSize, screen, cols, rows) {
+    const grid = new Uint8ClampedArray(cols * rows * 3);
+    const data = pixels.data;
+    const max = canvasSize - 1;
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const point = this.areaPoint(screen, (col + 0.5) / cols, (row + 0.5) / rows);
+        const x = Math.min(Math.max(point.x * canvasSize - 0.5, 0), max);
+        const y = Math.min(Math.max(point.y * canvasSize - 0.5, 0), max);
+        const x0 = Math.floor(x), y0 = Math.floor(y);
+        const x1 = Math.min(x0 + 1, max), y1 = Math.min(y0 + 1, max);
+        const fx = x - x0, fy = y - y0;
+        const out = (row * cols + col) * 3;
+        for (let c = 0; c < 3; c++) {
+          const top = data[(y0 * canvasSize + x0) * 4 + c] * (1 - fx) + data[(y0 * canvasSize + x1) * 4 + c] * fx;
+          const bottom = data[(y1 * canvasSize + x0) * 4 + c] * (1 - fx) + data[(y1 * canvasSize + x1) * 4 + c] * fx;
+          grid[out + c] = Math.round(top * (1 - fy) + bottom * fy);
+        }
+      }
+    }
+    return grid;
+  },
+
+  // Largest per-channel difference between two grids (delta encoding for pixel frames)
+  gridDiff(a, b) {
+    if (a.length !== b.length) return Infinity;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff = Math.max(diff, Math.abs(a[i] - b[i]));
+    return diff;
+  },
+
+  // Average only the pixels inside the detected quadrilateral, so neighbours don't bleed in
+  sampleQuadColor(ctx, canvasSize, corners) {
+    const points = corners.map(c => ({
+      x: Math.min(Math.max(c.x, 0), 1) * canvasSize,
+      y: Math.min(Math.max(c.y, 0), 1) * canvasSize
+    }));
+    const cx = points.reduce((sum, p) => sum + p.x, 0) / 4;
+    const cy = points.reduce((sum, p) => sum + p.y, 0) / 4;
+    const reach = Math.max(1, ...points.map(p => Math.hypot(p.x - cx, p.y - cy)));
+
+    const minX = Math.max(0, Math.floor(Math.min(...points.map(p => p.x))));
+    const minY = Math.max(0, Math.floor(Math.min(...points.map(p => p.y))));
+    const maxX = Math.min(canvasSize, Math.ceil(Math.max(...points.map(p => p.x))));
+    const maxY = Math.min(canvasSize, Math.ceil(Math.max(...points.map(p => p.y))));
+    const areaW = Math.max(1, maxX - minX);
+    const areaH = Math.max(1, maxY - minY);
+
+    const data = ctx.getImageData(minX, minY, areaW, areaH).data;
+    let totalR = 0, totalG = 0, totalB = 0, totalWeight = 0;
+
+    for (let y = 0; y < areaH; y++) {
+      for (let x = 0; x < areaW; x++) {
+        const px = minX + x + 0.5;
+        const py = minY + y + 0.5;
+        if (!this.pointInPolygon(px, py, points)) continue;
+
+        // Gaussian weight based on distance from the quad's center
+        const dist = Math.hypot(px - cx, py - cy) / reach;
+        const weight = Math.exp(-dist * dist);
+        const i = (y * areaW + x) * 4;
+        totalR += data[i] * weight;
+        totalG += data[i + 1] * weight;
+        totalB += data[i + 2] * weight;
+        totalWeight += weight;
+      }
+    }
+
+    if (totalWeight === 0) {
+      // Quad smaller than a pixel: use its center
+      const pixel = ctx.getImageData(Math.min(canvasSize - 1, Math.floor(cx)), Math.min(canvasSize - 1, Math.floor(cy)), 1, 1).data;
+      return { r: pixel[0], g: pixel[1], b: pixel[2] };
+    }
+
+    return {
+      r: Math.round(totalR / totalWeight),
+      g: Math.round(totalG / totalWeight),
+      b: Math.round(totalB / totalWeight)
+    };
+  },
+
+  // Even-odd ray casting
+  pointInPolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  },
+
+  applyBrightness(color, brightness) {
+    return {
+      r: Math.round(color.r * brightness),
+      g: Math.round(color.g * brightness),
+      b: Math.round(color.b * brightness)
+    };
+  },
+
+  applyTint(color, tint) {
+    if (!tint) return color;
+    // Preserve brightness from the source color but steer hue to the tint
+    const intensity = Math.max(color.r, color.g, color.b) / 255;
+    return {
+      r: Math.round(tint.r * intensity),
+      g: Math.round(tint.g * intensity),
+      b: Math.round(tint.b * intensity)
+    };
+  },
+
+  // Calculate color difference for delta encoding
+  colorDiff(c1, c2) {
+    return Math.abs(c1.r - c2.r) + Math.abs(c1.g - c2.g) + Math.abs(c1.b - c2.b);
+  }
+};
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScreenMapping;
+}
@@ -0,0 +1,129 @@
+// ==========================================
+// MODULATION - Audio driving the look
+// ==========================================
+//
+// A modulation maps one live audio input onto one setting of a looping look:
+//
+//   { source: 'low',          // Input 0-1 (see SOURCES and AudioAnalysis.inputsAt)
+//     target: 'brightness',   // 'brightness' | 'speed' | 'hue' | 'param'
+//     effect, param,          // For 'param': which effect and which of its number params
+//     min, max,               // Output range in the target's units (hue in degrees)
+//     curve: 'linear',        // How the input bends before it is scaled (see CURVES)
+//     smoothing: 0.3 }        // Seconds to follow the input (0 = instant)
+//
+// The show carries the list; every renderer (controller, server engine, screens) keeps
+// a modulator and applies it to its look each frame from the audio inputs it already
+// gets, so the whole wall breathes with the music whoever draws it.
+
+const Modulation = {
+  SOURCES: ['low', 'mid', 'high', 'loudness', 'centroid'],
+  TARGETS: ['brightness', 'speed', 'hue', 'param'],
+  MAX: 8,
+
+  CURVES: {
+    linear: (x) => x,
+    exp: (x) => x * x,                         // Quiet passages stay low, peaks stand out
+    log: (x) => Math.log1p(9 * x) / Math.LN10, // Small signals already move it
+    smooth: (x) => x * x * (3 - 2 * x)
+  },
+
+  // Whether any modulation drives this target
+  targets(modulations, target) {
+    return Array.isArray(modulations) && modulations.some(mod => mod.target === target);
+  },
+
+  createModulator() {
+    let values = [];   // Smoothed input per modulation
+    let lastAt = null;
+    let clock = null;  // { time, at } while the speed is modulated (see time)
+
+    return {
+      // look: { speed, brightness, tint, effectParams, ... }; returns a modulated copy,
+      // or look itself when there is nothing to modulate. now in ms.
+      apply(look, modulations, inputs, now) {
+        if (!Array.isArray(modulations) || modulations.length === 0) {
+          values = [];
+          lastAt = null;
+          return look;
+        }
+        const dt = lastAt === null ? 0 : Math.max(0, now - lastAt) / 1000;
+        lastAt = now;
+
+        const next = { ...look, effectParams: { ...look.effectParams } };
+        modulations.forEach((mod, i) => {
+          const input = Math.min(1, Math.max(0, inputs[mod.source] || 0));
+          const follow = mod.smoothing > 0 ? 1 - Math.exp(-dt / mod.smoothing) : 1;
+          values[i] = values[i] === undefined ? input : values[i] + (input - values[i]) * follow;
+          const curve = Modulation.CURVES[mod.curve] || Modulation.CURVES.linear;
+          Modulation.setTarget(next, mod, mod.min + (mod.max - mod.min) * curve(values[i]));
+        });
+        values.length = modulations.length;
+        return next;
+      },
+
+      // Animation time under a modulated speed: integrated frame by frame, starting
+      // from the plain clock (plainTime) so switching it on doesn't jump
+      time(plainTime, speed, now) {
+        if (clock === null) {
+          clock = { time: plainTime, at: now };
+        } else {
+          clock.time += (Math.max(0, now - clock.at) / 1000) * speed;
+          clock.at = now;
+        }
+        return clock.time;
+      },
+
+      // Back to the plain clock (speed no longer modulated, or a new scene)
+      resetClock() {
+        clock = null;
+      }
+    };
+  },
+
+  setTarget(look, mod, value) {
+    switch (mod.target) {
+      case 'brightness':
+        look.brightness = Math.min(1, Math.max(0, value));
+        break;
+      case 'speed':
+        look.speed = Math.max(0, value);
+        break;
+      case 'hue':
+        look.tint = Modulation.hueTint(value, look.tint);
+        break;
+      case 'param':
+        // Out-of-range values are clamped to the effect's schema when it resolves them
+        if (mod.effect && mod.param) {
+          look.effectParams[mod.effect] = { ...look.effectParams[mod.effect], [mod.param]: value };
+        }
+        break;
+    }
+  },
+
+  // Tint of `hue` degrees with the saturation and value of the current tint
+  // (fully saturated without one, or when it is a grey)
+  hueTint(hue, tint) {
+    let s = 1;
+    let v = 1;
+    if (tint) {
+      const max = Math.max(tint.r, tint.g, tint.b);
+      const min = Math.min(tint.r, tint.g, tint.b);
+      if (max > min) {
+        s = (max - min) / max;
+        v = max / 255;
+      }
+    }
+    const h = (((hue % 360) + 360) % 360) / 60;
+    const c = v * s;
+    const x = c * (1 - Math.abs((h % 2) - 1));
+    const [r, g, b] = h < 1 ? [c, x, 0] : h < 2 ? [x, c, 0] : h < 3 ? [0, c, x]
+      : h < 4 ? [0, x, c] : h < 5 ? [x, 0, c] : [c, 0, x];
+    const m = v - c;
+    return { r: Math.round((r + m) * 255), g: Math.round((g + m) * 255), b: Math.round((b + m) * 255) };
+  }
+};
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Modulation;
+}
@@ -6,21 +6,67 @@
 const CONFIG = {
   reconnectInterval: 3000,
   vibrateDuration: 100,
-  hideStatusBarDelay: 5000
+  hideStatusBarDelay: 5000,
+  timeSyncSamples: 8,           // handshakes per sync burst
+  timeSyncSpacing: 120,         // ms between handshakes in a burst
+  timeSyncInterval: 15000,      // ms between bursts
+  timeSyncWindow: 24,           // recent samples kept for offset/jitter estimation
+  maxScheduleAhead: 2000,       // frames scheduled further out than this are applied immediately
+  sceneFPS: 30,                 // local rendering rate in scene mode
+  sceneCanvasSize: 200          // must match the controller/server canvas so effects look the same
 };
 
 // State
 let socket = null;
 let deviceId = null;
+let deviceToken = null;
 let deviceName = null;
 let wakeLock = null;
 let isConnected = false;
 let statusBarTimeout = null;
 let hasUserInteracted = false;
 let didVibrate = false;
+let effectsLoaded = false; // Plugin effects and expressions registered (see loadEffects)
+
+// Clock sync (server time = local time + clockOffset)
+let clockOffset = 0;
+let clockSynced = false;
+let clockSamples = [];
+let timeSyncTimer = null;
+
+// Scheduled color frames waiting for their target time, sorted by due time
+let frameQueue = [];
+let frameTimer = null;
+
+// Flash hold: frames that arrive meanwhile are kept in heldColor and shown afterwards
+let flashStartTimer = null;
+let holdTimer = null;
+let heldColor = null;
+let shownColor = null;
+
+// Local rendering (scene mode): the server sends the effect and our area once
+let scene = null;
+let pendingScene = null;
+let sceneCtx = null;
+let sceneLayerCtxs = []; // One canvas per layer so effects with trails keep their own
+let sceneRaf = null;
+let sceneLastFrameAt = 0;
+let sceneLastColor = null;
+let sceneLastGrid = null;
+// Microphone analysis from the controller, the effects' audio inputs: { audio, low, mid,
+// high, loudness, centroid (0-1), tempo: { bpm, beat, at (server time) } or null }
+let sceneAudio = { audio: 0 };
+// The scene's modulations (audio driving brightness, speed, tint, parameters)
+const sceneModulator = typeof Modulation !== 'undefined' ? Modulation.createModulator() : null;
+// The server's reading of the scene clock while the speed is modulated:
+// { timeBase (s), at (server time), speed } or null
+let sceneClock = null;
 
 // DOM Elements
 const colorDisplay = document.getElementById('colorDisplay');
+// Pixel frames: one canvas pixel per cell, stretched over the display by CSS
+const pixelDisplay = document.getElementById('pixelDisplay');
+let pixelCtx = null;
 
 // Current screen.html uses these IDs
 const statusText = document.getElementById('statusText');
@@ -33,6 +79,9 @@ const connectionStatus = document.getElementById('connectionStatus');
 const deviceNameEl = document.getElementById('deviceName');
 const centerInfo = document.getElementById('centerInfo');
 const fullscreenBtn = document.getElementById('fullscreenBtn');
+const joinForm = document.getElementById('joinForm');
+const joinCodeInput = document.getElementById('joinCodeInput');
+const joinError = document.getElementById('joinError');
 
 function tryVibrateOnce() {
   if (didVibrate) return;
@@ -60,15 +109,10 @@ function connectSocket() {
     isConnected = true;
     updateConnectionStatus(true);
     
-    // Generate or retrieve device name
-    deviceName = localStorage.getItem('screenName') || `Screen-${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
-    localStorage.setItem('screenName', deviceName);
+    // Persistent token so the server recognizes this phone after a reconnect
+    deviceToken = getDeviceToken();
     
-    // Register as screen
-    socket.emit('register', {
-      type: 'screen',
-      name: deviceName
-    });
+    registerScreen();
     
     // Vibrate only after a user interaction (avoids browser intervention warnings)
     tryVibrateOnce();
@@ -76,17 +120,44 @@ function connectSocket() {
 
   socket.on('registered', (data) => {
     deviceId = data.id;
-    if (deviceNameEl) deviceNameEl.textContent = data.name;
-    if (idText) idText.textContent = data.name;
+    // The server names screens (next seat, or the name it remembers for this device)
+    showDeviceName(data.name);
     console.log(`[SCREEN] Registered as: ${data.name} (${data.id})`);
+    if (joinForm) joinForm.classList.add('hidden');
+    startTimeSync();
+  });
+
+  // Renamed from the controller
+  socket.on('renamed', ({ name }) => {
+    console.log(`[SCREEN] Renamed to ${name}`);
+    showDeviceName(name);
+  });
+
+  // Missing or wrong join code: ask for it (the usual link already carries it)
+  socket.on('authError', ({ reason }) => {
+    console.warn(`[SCREEN] Not admitted: ${reason}`);
+    if (statusText) statusText.textContent = 'Código requerido';
+    if (!joinForm) return;
+    joinForm.classList.remove('hidden');
+    if (joinError) {
+      joinError.textContent = reason === 'locked'
+        ? 'Demasiados intentos, espera un momento'
+        : (getJoinCode() ? 'Código incorrecto' : '');
+    }
+    if (joinCodeInput) joinCodeInput.focus();
   });
 
   socket.on('disconnect', () => {
     console.log('[SCREEN] Disconnected from server');
     isConnected = false;
     updateConnectionStatus(false);
+    stopTimeSync();
+    // The server resends the scene on register if it is still playing
+    stopScene();
   });
 
+  socket.on('timeSyncReply', handleTimeSyncReply);
+
   socket.on('connect_error', (error) => {
     console.error('[SCREEN] Connection error:', error);
     isConnected = false;
@@ -98,25 +169,388 @@ function connectSocket() {
   // ==========================================
 
   socket.on('flash', (data) => {
-    const { color, duration } = data;
-    console.log(`[SCREEN] Flash: ${color} for ${duration}ms`);
+    const { color, duration, at } = data;
+    console.log(`[SCREEN] Flash: ${JSON.stringify(color)} for ${duration}ms`);
     
-    // Set color immediately
-    setBackgroundColor(color);
-    if (centerInfo) centerInfo.classList.add('active');
+    // Hold the color for `duration` ms starting at `at` (server time), or right away
+    const delay = at && clockSynced ? Math.max(0, at - clockOffset - Date.now()) : 0;
+    if (flashStartTimer) clearTimeout(flashStartTimer);
+    flashStartTimer = setTimeout(() => {
+      flashStartTimer = null;
+      startHold(color, duration);
+    }, Math.min(delay, CONFIG.maxScheduleAhead));
   });
 
   socket.on('setColor', (color) => {
-    setBackgroundColor(color);
-    if (centerInfo) centerInfo.classList.add('active');
+    scheduleColor(color);
+  });
+
+  // Our crop of the big picture: { w, h, data (RGB bytes, row by row), at }
+  socket.on('setPixels', (frame) => {
+    scheduleColor({ ...frame, data: new Uint8Array(frame.data) });
+  });
+
+  socket.on('playScene', playScene);
+  socket.on('stopScene', stopScene);
+  socket.on('audioLevel', ({ level, low, mid, high, loudness, centroid, tempo, clock }) => {
+    sceneAudio = { audio: level, low, mid, high, loudness, centroid, tempo };
+    sceneClock = clock || null;
+  });
+
+  // Expression effects saved (or deleted) on the server
+  socket.on('expression', ({ name, source }) => {
+    if (typeof Expressions === 'undefined') return;
+    if (source === null) {
+      Animations.unregister(Expressions.effectName(name));
+      return;
+    }
+    try {
+      Expressions.install(Animations, name, source);
+    } catch (err) {
+      console.warn(`[SCREEN] Expression ${name}: ${err.message}`);
+    }
   });
 }
 
+// ==========================================
+// CLOCK SYNC
+// ==========================================
+
+function startTimeSync() {
+  stopTimeSync();
+  clockSamples = [];
+  clockSynced = false;
+  runTimeSyncBurst();
+  timeSyncTimer = setInterval(runTimeSyncBurst, CONFIG.timeSyncInterval);
+}
+
+function stopTimeSync() {
+  if (timeSyncTimer) {
+    clearInterval(timeSyncTimer);
+    timeSyncTimer = null;
+  }
+}
+
+function runTimeSyncBurst() {
+  for (let i = 0; i < CONFIG.timeSyncSamples; i++) {
+    setTimeout(() => {
+      if (socket && isConnected) socket.emit('timeSync', { t0: Date.now() });
+    }, i * CONFIG.timeSyncSpacing);
+  }
+  // Report once the burst has had time to come back
+  setTimeout(reportClock, CONFIG.timeSyncSamples * CONFIG.timeSyncSpacing + 500);
+}
+
+function handleTimeSyncReply({ t0, serverTime }) {
+  const t3 = Date.now();
+  const rtt = t3 - t0;
+  if (rtt < 0) return;
+  // Assume symmetric paths: the server stamped serverTime halfway through the round trip
+  clockSamples.push({ rtt, offset: serverTime - (t0 + t3) / 2 });
+  if (clockSamples.length > CONFIG.timeSyncWindow) clockSamples.shift();
+
+  // The sample with the smallest round trip has the least queuing error
+  const best = clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  clockOffset = best.offset;
+  clockSynced = true;
+}
+
+function getClockStats() {
+  if (clockSamples.length === 0) return null;
+  const mean = clockSamples.reduce((sum, s) => sum + s.rtt, 0) / clockSamples.length;
+  const variance = clockSamples.reduce((sum, s) => sum + (s.rtt - mean) * (s.rtt - mean), 0) / clockSamples.length;
+  const best = clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  return {
+    offset: Math.round(clockOffset),
+    rtt: best.rtt,
+    jitter: Math.round(Math.sqrt(variance))
+  };
+}
+
+function reportClock() {
+  const stats = getClockStats();
+  if (!stats || !socket || !isConnected) return;
+  socket.emit('clockReport', stats);
+  console.log(`[SCREEN] Clock offset ${stats.offset}ms, rtt ${stats.rtt}ms, jitter ${stats.jitter}ms`);
+}
+
+// ==========================================
+// SCHEDULED FRAMES
+// ==========================================
+
+// Frames (a color or a pixel grid) carry `at` (server time). Hold each one until
+// that moment in local time.
+function scheduleColor(color) {
+  const at = color && typeof color === 'object' ? color.at : null;
+  const delay = at && clockSynced ? at - clockOffset - Date.now() : 0;
+
+  if (delay <= 0 || delay > CONFIG.maxScheduleAhead) {
+    applyColor(color);
+    return;
+  }
+
+  const due = Date.now() + delay;
+  let index = frameQueue.length;
+  while (index > 0 && frameQueue[index - 1].due > due) index--;
+  frameQueue.splice(index, 0, { due, color });
+  armFrameTimer();
+}
+
+function armFrameTimer() {
+  if (frameTimer) clearTimeout(frameTimer);
+  frameTimer = null;
+  if (frameQueue.length === 0) return;
+  frameTimer = setTimeout(flushDueFrames, Math.max(0, frameQueue[0].due - Date.now()));
+}
+
+function flushDueFrames() {
+  const now = Date.now();
+  let latest = null;
+  while (frameQueue.length && frameQueue[0].due <= now) {
+    latest = frameQueue.shift().color;
+  }
+  // Only the newest due frame is visible, skip the ones it replaces
+  if (latest) applyColor(latest);
+  armFrameTimer();
+}
+
+function applyColor(color) {
+  // While a flash holds the screen, remember what we should show once it ends
+  if (holdTimer) {
+    heldColor = color;
+    return;
+  }
+  shownColor = color;
+  if (color && color.data) drawPixels(color);
+  else setBackgroundColor(color);
+  if (centerInfo) centerInfo.classList.add('active');
+}
+
+function startHold(color, duration) {
+  if (holdTimer) clearTimeout(holdTimer);
+  else heldColor = shownColor;
+  setBackgroundColor(color);
+  if (centerInfo) centerInfo.classList.add('active');
+  holdTimer = setTimeout(() => {
+    holdTimer = null;
+    if (heldColor) applyColor(heldColor);
+    heldColor = null;
+  }, duration || 300);
+}
+
+function showDeviceName(name) {
+  deviceName = name;
+  if (deviceNameEl) deviceNameEl.textContent = name;
+  if (idText) idText.textContent = name;
+}
+
+function registerScreen() {
+  socket.emit('register', {
+    type: 'screen',
+    deviceId: deviceToken,
+    canRender: effectsLoaded && canRenderLocally(),
+    joinCode: getJoinCode(),
+    // Show (room) from the link (?show=main); the server's default show when missing
+    show: new URLSearchParams(window.location.search).get('show') || undefined
+  });
+}
+
+// From the link (?join=1234), remembered so reloads and reconnects keep working
+function getJoinCode() {
+  const fromUrl = new URLSearchParams(window.location.search).get('join');
+  if (fromUrl) localStorage.setItem('joinCode', fromUrl);
+  return fromUrl || localStorage.getItem('joinCode') || '';
+}
+
+function getDeviceToken() {
+  let token = localStorage.getItem('screenToken');
+  if (!token) {
+    token = (window.crypto && crypto.randomUUID)
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 10)}`;
+    localStorage.setItem('screenToken', token);
+  }
+  return token;
+}
+
+// ==========================================
+// LOCAL SCENE RENDERING
+// ==========================================
+
+function canRenderLocally() {
+  if (typeof Animations === 'undefined' || typeof ScreenMapping === 'undefined' || typeof Compositor === 'undefined') return false;
+  const canvas = document.createElement('canvas');
+  return !!(canvas.getContext && canvas.getContext('2d'));
+}
+
+// Extra effects from the server, so scenes using them render here too. false when they
+// could not be loaded: the server then sends this screen its colors instead.
+async function loadEffects() {
+  try {
+    const listing = await Animations.loadPlugins();
+    if (typeof Expressions !== 'undefined') Expressions.registerAll(Animations, listing.expressions || []);
+    return true;
+  } catch (err) {
+    console.warn('[SCREEN] Could not load effect modules:', err);
+    return false;
+  }
+}
+
+function serverNow() {
+  return Date.now() + clockOffset;
+}
+
+// A new scene takes over at its startedAt (server time) so parameter changes stay continuous
+function playScene(next) {
+  if (!sceneCtx) {
+    const canvas = document.createElement('canvas');
+    canvas.width = CONFIG.sceneCanvasSize;
+    canvas.height = CONFIG.sceneCanvasSize;
+    sceneCtx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  if (scene && next.startedAt > serverNow()) {
+    pendingScene = next;
+  } else {
+    scene = next;
+    pendingScene = null;
+  }
+  sceneClock = next.clock || null;
+  sceneLastColor = null;
+  sceneLastGrid = null;
+  if (!sceneRaf) sceneRaf = requestAnimationFrame(renderSceneFrame);
+}
+
+function sceneInputs() {
+  return { ...AudioAnalysis.inputsAt(sceneAudio, serverNow()), i: scene && scene.screenIndex > 0 ? scene.screenIndex : 0 };
+}
+
+function renderEffect(ctx, animationType, time, values) {
+  const size = CONFIG.sceneCanvasSize;
+  Animations.render(animationType, ctx, size, size, time, values, sceneInputs());
+}
+
+// The scene's effect can color points itself (no layers, no fade, has colorAt)
+function sceneIsDirect(now) {
+  const alone = !(scene.layers && scene.layers.length)
+    && !(scene.fade && now - scene.startedAt < scene.fade.durationMs);
+  return alone && Animations.hasColorAt(scene.animationType);
+}
+
+// look: the scene as modulated for this frame
+function sceneColorAt(look, point, time) {
+  const values = (look.effectParams || {})[look.animationType];
+  return Animations.colorAt(look.animationType, point.x, point.y, time, values, sceneInputs());
+}
+
+// This screen's color for the frame: straight from the effect when it can give one
+// (with our own screen index), else drawn and sampled from our area like everywhere else
+function sceneColor(look, time, now) {
+  if (sceneIsDirect(now)) return sceneColorAt(look, ScreenMapping.areaCenter(scene), time);
+  const size = CONFIG.sceneCanvasSize;
+  Compositor.compose(sceneCtx, size, sceneLayers(look, time, now), renderEffect, sceneLayerContext);
+  return ScreenMapping.sampleAreaColor(sceneCtx, size, scene);
+}
+
+// Same for pixelGrid > 1: our area as n x n RGB cells (see ScreenMapping.sampleAreaGrid)
+function sceneGrid(look, time, now) {
+  const n = scene.pixelGrid;
+  if (sceneIsDirect(now)) {
+    const grid = new Uint8ClampedArray(n * n * 3);
+    for (let row = 0; row < n; row++) {
+      for (let col = 0; col < n; col++) {
+        const color = sceneColorAt(look, ScreenMapping.areaPoint(scene, (col + 0.5) / n, (row + 0.5) / n), time);
+        grid.set([color.r, color.g, color.b], (row * n + col) * 3);
+      }
+    }
+    return grid;
+  }
+  const size = CONFIG.sceneCanvasSize;
+  Compositor.compose(sceneCtx, size, sceneLayers(look, time, now), renderEffect, sceneLayerContext);
+  return ScreenMapping.sampleAreaGrid(sceneCtx.getImageData(0, 0, size, size), size, scene, n, n);
+}
+
+// The scene's effect and overlays; while it fades in, the previous effect sits underneath
+function sceneLayers(current, time, now) {
+  const layers = Compositor.stack(current.animationType, time, current.layers || [], current.effectParams);
+  const fade = current.fade;
+  const t = fade ? (now - current.startedAt) / fade.durationMs : 1;
+  if (t >= 1) return layers;
+  const eased = t * t * (3 - 2 * t);
+  const outgoing = Compositor.stack(fade.animationType, time, fade.layers || [], fade.effectParams);
+  return [outgoing[0], { ...layers[0], mix: eased }, ...layers.slice(1)];
+}
+
+function sceneLayerContext(index) {
+  if (!sceneLayerCtxs[index]) {
+    const canvas = document.createElement('canvas');
+    canvas.width = CONFIG.sceneCanvasSize;
+    canvas.height = CONFIG.sceneCanvasSize;
+    sceneLayerCtxs[index] = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  return sceneLayerCtxs[index];
+}
+
+function stopScene() {
+  scene = null;
+  pendingScene = null;
+  sceneClock = null;
+  if (sceneRaf) {
+    cancelAnimationFrame(sceneRaf);
+    sceneRaf = null;
+  }
+}
+
+function renderSceneFrame(frameTime) {
+  sceneRaf = requestAnimationFrame(renderSceneFrame);
+
+  // Throttle to target FPS
+  if (frameTime - sceneLastFrameAt < 1000 / CONFIG.sceneFPS) return;
+  sceneLastFrameAt = frameTime;
+
+  const now = serverNow();
+  if (pendingScene && now >= pendingScene.startedAt) {
+    scene = pendingScene;
+    pendingScene = null;
+  }
+  if (!scene || now < scene.startedAt) return;
+
+  const look = sceneModulator
+    ? sceneModulator.apply(scene, scene.modulations, sceneInputs(), now)
+    : scene;
+  // On the beat grid every screen derives the same time from the shared tempo; under a
+  // modulated speed the server keeps the clock (sceneClock), otherwise it's the scene's
+  const synced = scene.tempoSync ? AudioAnalysis.syncedTime(sceneAudio.tempo, now, scene.speed) : null;
+  const clock = sceneClock || { timeBase: scene.timeBase, at: scene.startedAt, speed: scene.speed };
+  const time = synced ?? clock.timeBase + (now - clock.at) / 1000 * clock.speed;
+  if (scene.pixelGrid > 1) {
+    const grid = sceneGrid(look, time, now);
+    for (let p = 0; p < grid.length; p += 3) {
+      const color = ScreenMapping.applyTint({ r: grid[p], g: grid[p + 1], b: grid[p + 2] }, look.tint);
+      grid[p] = color.r * look.brightness;
+      grid[p + 1] = color.g * look.brightness;
+      grid[p + 2] = color.b * look.brightness;
+    }
+    if (!sceneLastGrid || ScreenMapping.gridDiff(sceneLastGrid, grid) > 0) {
+      sceneLastGrid = grid;
+      applyColor({ w: scene.pixelGrid, h: scene.pixelGrid, data: grid });
+    }
+    return;
+  }
+  const color = ScreenMapping.applyBrightness(ScreenMapping.applyTint(sceneColor(look, time, now), look.tint), look.brightness);
+  if (!sceneLastColor || ScreenMapping.colorDiff(sceneLastColor, color) > 0) {
+    sceneLastColor = color;
+    applyColor(color);
+  }
+}
+
 // ==========================================
 // COLOR HANDLING
 // ==========================================
 
 function setBackgroundColor(color) {
+  // A plain color (including flashes) covers any pixel frame
+  if (pixelDisplay) pixelDisplay.classList.add('hidden');
   const apply = (cssColor) => {
     if (colorDisplay) {
       colorDisplay.style.backgroundColor = cssColor;
@@ -143,6 +577,25 @@ function setBackgroundColor(color) {
   }
 }
 
+// Pixel frame: the cells go 1:1 into pixelDisplay, which CSS stretches (smoothly) over the screen
+function drawPixels({ w, h, data }) {
+  if (!pixelDisplay) return;
+  if (!pixelCtx || pixelDisplay.width !== w || pixelDisplay.height !== h) {
+    pixelDisplay.width = w;
+    pixelDisplay.height = h;
+    pixelCtx = pixelDisplay.getContext('2d');
+  }
+  const image = pixelCtx.createImageData(w, h);
+  for (let cell = 0; cell < w * h; cell++) {
+    image.data[cell * 4] = data[cell * 3];
+    image.data[cell * 4 + 1] = data[cell * 3 + 1];
+    image.data[cell * 4 + 2] = data[cell * 3 + 2];
+    image.data[cell * 4 + 3] = 255;
+  }
+  pixelCtx.putImageData(image, 0, 0);
+  pixelDisplay.classList.remove('hidden');
+}
+
 // ==========================================
 // UI UPDATES
 // ==========================================
@@ -246,6 +699,21 @@ window.addEventListener('pointerdown', () => {
   tryVibrateOnce();
 }, { once: true });
 
+if (joinForm) {
+  joinForm.addEventListener('click', (e) => e.stopPropagation());
+  joinForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    localStorage.setItem('joinCode', joinCodeInput.value.trim());
+    // Drop a stale code from the address bar so the typed one is used (keep the show)
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('join')) {
+      params.delete('join');
+      history.replaceState(null, '', `${window.location.pathname}${params.toString() ? `?${params}` : ''}`);
+    }
+    if (socket && isConnected) registerScreen();
+  });
+}
+
 // Fullscreen button (optional)
 if (fullscreenBtn) {
   fullscreenBtn.addEventListener('click', (e) => {
@@ -277,6 +745,9 @@ async function init() {
   // Request wake lock
   await requestWakeLock();
   
+  // Extra effects first: the screen only offers to render scenes once it has them all
+  if (canRenderLocally()) effectsLoaded = await loadEffects();
+
   // Connect to server
   connectSocket();
   
@@ -4,6 +4,16 @@ import { Server } from 'socket.io';
 import cors from 'cors';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { networkInterfaces } from 'os';
+import { readdirSync } from 'fs';
+import QRCode from 'qrcode';
+import { createJsonStore } from './lib/json-store.js';
+import { createMediaStore, MEDIA_TYPES } from './lib/media-store.js';
+import { createAnimationEngine, loadBrowserScript } from './lib/animation-engine.js';
+import { createCuePlayer } from './lib/cue-player.js';
+import { createSessionStore, createLoginThrottle, generateCode, safeEqual } from './lib/auth.js';
+import { v, validate } from './lib/validation.js';
+import { createRateLimiter } from './lib/rate-limit.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -19,38 +29,307 @@ const io = new Server(server, {
 
 const PORT = process.env.PORT || 3000;
 const DEBUG = process.env.DEBUG === 'true';
+// How long a disconnected screen keeps its identity (position, area, name, color)
+const SCREEN_GRACE_PERIOD = parseInt(process.env.SCREEN_GRACE_PERIOD, 10) || 5 * 60 * 1000;
+// Color frames are stamped this far in the future so every screen applies them at the same moment
+const SYNC_PLAYOUT_DELAY = parseInt(process.env.SYNC_PLAYOUT_DELAY, 10) || 150;
+// How long the primary controller has to answer a takeover request before it is granted
+const TAKEOVER_TIMEOUT = parseInt(process.env.TAKEOVER_TIMEOUT, 10) || 10000;
+// Controllers log in with this PIN (a random one is printed at startup if unset)
+const CONTROLLER_PIN = process.env.CONTROLLER_PIN || generateCode(6);
+// Screens join with this code, usually carried in the link (?join=...). 'off' lets any screen in
+const SCREEN_JOIN_CODE = process.env.SCREEN_JOIN_CODE === 'off' ? null : (process.env.SCREEN_JOIN_CODE || generateCode(4));
+// Saved layouts and other persisted data live here
+const DATA_DIR = process.env.DATA_DIR || join(__dirname, 'data');
+// Extra effect modules (see public/js/animations.js), served to the browsers at /effects
+const EFFECTS_DIR = process.env.EFFECTS_DIR || join(DATA_DIR, 'effects');
+// Uploaded images and videos, served at /media and played by the controller
+const MEDIA_DIR = process.env.MEDIA_DIR || join(DATA_DIR, 'media');
+const MEDIA_MAX_MB = parseInt(process.env.MEDIA_MAX_MB, 10) || 50;
+// Shows (rooms) on this server: ?show=<id> on both pages, 'main' when omitted
+const DEFAULT_SHOW = 'main';
+const SHOW_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const MAX_SHOWS = parseInt(process.env.MAX_SHOWS, 10) || 20;
+// New screens are named by seat in join order: A1..A10, B1... (this many seats per row)
+const SEATS_PER_ROW = parseInt(process.env.SEATS_PER_ROW, 10) || 10;
+// Address phones use to reach the server (QR code, join link); the LAN IP when unset
+const PUBLIC_URL = process.env.PUBLIC_URL || null;
 
-// Persist simple state so new screens inherit the last order even if controller is closed
-const lastState = {
-  broadcastColor: null
-};
+const controllerSessions = createSessionStore();
+const loginThrottle = createLoginThrottle();
+
+// Same effects and area sampling the controller uses in the browser
+const Animations = loadBrowserScript(join(__dirname, 'public', 'js', 'animations.js'));
+const ScreenMapping = loadBrowserScript(join(__dirname, 'public', 'js', 'mapping.js'));
+const Compositor = loadBrowserScript(join(__dirname, 'public', 'js', 'compositor.js'));
+const Expressions = loadBrowserScript(join(__dirname, 'public', 'js', 'expressions.js'));
+const AudioAnalysis = loadBrowserScript(join(__dirname, 'public', 'js', 'audio.js'));
+const Modulation = loadBrowserScript(join(__dirname, 'public', 'js', 'modulation.js'));
+const effectPlugins = loadEffectPlugins(); // [{ file, url, effects }]
+
+// Effects written as expressions from the controller, shared by every show and
+// registered as 'expr-<name>' (see public/js/expressions.js)
+const EXPRESSION_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const expressionStore = createJsonStore(join(DATA_DIR, 'expressions'));
+const expressions = new Map(); // name -> { name, source, savedAt }
+expressionStore.list()
+  .then(saved => {
+    saved.forEach(expression => expressions.set(expression.name, expression));
+    Expressions.registerAll(Animations, saved);
+    if (saved.length > 0) console.log(`[EXPRESSIONS] Loaded ${saved.length}`);
+  })
+  .catch(err => console.error('[EXPRESSIONS] Could not load saved expressions:', err));
+
+// Run every .js file in EFFECTS_DIR once so its effects register here too (the server
+// engine renders them); controllers and screens load the same files (see /api/effects)
+function loadEffectPlugins() {
+  let files;
+  try {
+    files = readdirSync(EFFECTS_DIR).filter(file => file.endsWith('.js')).sort();
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`[EFFECTS] Cannot read ${EFFECTS_DIR}: ${err.message}`);
+    return [];
+  }
+  const plugins = [];
+  files.forEach(file => {
+    const before = new Set(Animations.list());
+    try {
+      loadBrowserScript(join(EFFECTS_DIR, file), { Animations });
+    } catch (err) {
+      console.warn(`[EFFECTS] Skipping ${file}: ${err.message}`);
+      return;
+    }
+    const effects = Animations.list().filter(effect => !before.has(effect)).map(effect => effect.name);
+    plugins.push({ file, url: `/effects/${encodeURIComponent(file)}`, effects });
+    console.log(`[EFFECTS] ${file}: ${effects.join(', ') || 'no effects registered'}`);
+  });
+  return plugins;
+}
 
 // Middleware
 app.use(cors());
+app.use(express.json());
 app.use(express.static(join(__dirname, 'public')));
+app.use('/effects', express.static(EFFECTS_DIR));
+app.use('/media', express.static(MEDIA_DIR));
 
 // ==========================================
 // DATA STRUCTURES
 // ==========================================
 
-// Map of all connected devices: socketId → { id, type, name, position }
-const connectedDevices = new Map();
+// Every show (room) is independent: its own screens, controllers, playback and saved
+// layouts. Devices pick one with ?show=<id>; the default show always exists, the
+// others are created on first join and dropped once nobody (not even a screen in its
+// grace period) is left.
+const shows = new Map(); // showId → show
+
+function createShow(id) {
+  const show = {
+    id,
+    // Map of all connected devices: socketId → { id, deviceId, type, name, position }
+    devices: new Map(),
+    // Screens known by their persistent device token: deviceId → { name, position, area, color, socketId, forgetTimer }
+    // Survives reconnects so a phone that drops off Wi-Fi comes back with its scanned position
+    knownScreens: new Map(),
+    // Persist simple state so new screens inherit the last order even if controller is closed
+    lastState: { broadcastColor: null },
+    // What the primary is showing (effect, tint, speed, brightness...), mirrored to every controller
+    showState: null,
+    // { from: socketId, timer } while a takeover request waits for the primary's answer
+    pendingTakeover: null,
+    // 'server': the engine streams colors to every mapped screen
+    // 'screens': screens render their own area from a shared scene; the engine
+    //            only streams to mapped screens that cannot render locally
+    playbackMode: 'server',
+    // Scene shared with locally rendering screens:
+    // { animationType, speed, brightness, layers, effectParams, fade, startedAt (server ms),
+    //   timeBase (animation s at startedAt) }
+    localScene: null,
+    screenListTimer: null,
+    // Seats handed out so far (see nextScreenName)
+    seatCount: 0,
+    // The default show keeps the original data/layouts folder
+    layoutStore: createJsonStore(id === DEFAULT_SHOW ? join(DATA_DIR, 'layouts') : join(DATA_DIR, 'shows', id, 'layouts')),
+    cueStore: createJsonStore(id === DEFAULT_SHOW ? join(DATA_DIR, 'cuelists') : join(DATA_DIR, 'shows', id, 'cuelists'))
+  };
+  show.engine = createAnimationEngine({
+    animations: Animations,
+    mapping: ScreenMapping,
+    compositor: Compositor,
+    audio: AudioAnalysis,
+    modulation: Modulation,
+    getScreens: () => getScreens(show).filter(screen => screen.position && !rendersLocally(show, screen)),
+    sendColors: (colors) => applyColors(show, colors),
+    sendPixels: (frames) => applyPixels(show, frames),
+    onStateChange: () => broadcastAnimationState(show)
+  });
+  show.cuePlayer = createCuePlayer({
+    onCue: (cue, index) => runCue(show, cue, index),
+    onBang: (bang) => show.engine.bang(bang.color || { r: 255, g: 255, b: 255 }),
+    onStateChange: (state) => broadcastCueState(show, state)
+  });
+  return show;
+}
+
+// Show ids come from URLs: short, lowercase, safe as a folder name
+function normalizeShowId(id) {
+  if (id === undefined || id === null || id === '') return DEFAULT_SHOW;
+  const normalized = String(id).trim().toLowerCase();
+  return SHOW_ID_PATTERN.test(normalized) ? normalized : null;
+}
+
+// Existing show, or a new one while there is room for it
+function joinShow(id) {
+  let show = shows.get(id);
+  if (!show && shows.size < MAX_SHOWS) {
+    show = createShow(id);
+    shows.set(id, show);
+    console.log(`[SHOW] Created "${id}"`);
+  }
+  return show || null;
+}
+
+// Drop an empty show (its saved layouts stay on disk)
+function releaseShow(show) {
+  if (show.id === DEFAULT_SHOW || show.devices.size > 0 || show.knownScreens.size > 0) return;
+  show.cuePlayer.stop();
+  show.engine.stop();
+  clearTimeout(show.screenListTimer);
+  clearPendingTakeover(show);
+  shows.delete(show.id);
+  console.log(`[SHOW] Closed "${show.id}"`);
+}
+
+shows.set(DEFAULT_SHOW, createShow(DEFAULT_SHOW));
+
+// Copy the restorable fields of a live screen into its persistent record
+function rememberScreen(show, device) {
+  if (!device.deviceId) return;
+  const record = show.knownScreens.get(device.deviceId) || {};
+  record.name = device.name;
+  record.position = device.position;
+  record.area = device.area || null;
+  record.quad = device.quad || null;
+  record.confidence = device.confidence ?? null;
+  record.color = device.color;
+  record.socketId = device.id;
+  show.knownScreens.set(device.deviceId, record);
+}
+
+// Snapshot of the current mapping, keyed by persistent device token
+function captureLayout(show, name) {
+  const layoutScreens = [];
+  show.knownScreens.forEach((record, deviceId) => {
+    if (record.position) {
+      layoutScreens.push({
+        deviceId,
+        name: record.name,
+        position: record.position,
+        area: record.area || null,
+        quad: record.quad || null,
+        confidence: record.confidence ?? null
+      });
+    }
+  });
+  return { name, savedAt: new Date().toISOString(), screens: layoutScreens };
+}
+
+// Replace the current mapping with a saved layout. Screens that are not connected yet
+// keep their entry and pick it up when they register.
+function applyLayout(show, layout) {
+  const entries = new Map(layout.screens.map(entry => [entry.deviceId, entry]));
+
+  show.knownScreens.forEach((record, deviceId) => {
+    if (!entries.has(deviceId)) {
+      record.position = null;
+      record.area = null;
+      record.quad = null;
+      record.confidence = null;
+    }
+  });
+
+  entries.forEach((entry, deviceId) => {
+    const record = show.knownScreens.get(deviceId) || { socketId: null };
+    record.name = entry.name || record.name;
+    record.position = entry.position || null;
+    record.area = entry.area || null;
+    record.quad = entry.quad || null;
+    record.confidence = entry.confidence ?? null;
+    show.knownScreens.set(deviceId, record);
+  });
+
+  show.devices.forEach((device) => {
+    if (device.type !== 'screen') return;
+    const record = device.deviceId ? show.knownScreens.get(device.deviceId) : null;
+    device.position = record ? record.position : null;
+    device.area = record ? record.area : null;
+    device.quad = record ? record.quad : null;
+    device.confidence = record ? record.confidence : null;
+    if (record && record.name) device.name = record.name;
+  });
+
+  if (show.localScene) broadcastScene(show);
+  broadcastScreenList(show);
+}
+
+// Start the grace period for a disconnected screen; it is forgotten if it doesn't come back
+function scheduleForgetScreen(show, deviceId) {
+  const record = show.knownScreens.get(deviceId);
+  if (!record) return;
+  record.socketId = null;
+  clearTimeout(record.forgetTimer);
+  record.forgetTimer = setTimeout(() => {
+    show.knownScreens.delete(deviceId);
+    if (DEBUG) console.log(`[FORGET] ${record.name} (${deviceId}) did not reconnect`);
+    releaseShow(show);
+  }, SCREEN_GRACE_PERIOD);
+}
+
+// Row label for a 0-based index: A..Z, AA, AB...
+function rowLabel(index) {
+  let label = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+  }
+  return label;
+}
+
+function isScreenNameTaken(show, name, exceptSocketId = null) {
+  for (const [socketId, device] of show.devices) {
+    if (device.type === 'screen' && socketId !== exceptSocketId && device.name === name) return true;
+  }
+  for (const record of show.knownScreens.values()) {
+    if (record.name === name && !(exceptSocketId && record.socketId === exceptSocketId)) return true;
+  }
+  return false;
+}
+
+// Next seat in join order (A1, A2 ... B1), skipping names already in use (renamed or from a layout)
+function nextScreenName(show) {
+  let name;
+  do {
+    const seat = show.seatCount++;
+    name = `${rowLabel(Math.floor(seat / SEATS_PER_ROW))}${(seat % SEATS_PER_ROW) + 1}`;
+  } while (isScreenNameTaken(show, name));
+  return name;
+}
 
 // Helper to get all screens
-function getScreens() {
+function getScreens(show) {
   const screens = [];
-  connectedDevices.forEach((device, socketId) => {
+  show.devices.forEach((device, socketId) => {
     if (device.type === 'screen') {
-      screens.push({ ...device, socketId });
+      // index: join order, the screen index effects see (e.g. i in expressions)
+      screens.push({ ...device, socketId, index: screens.length });
     }
   });
   return screens;
 }
 
-// Helper to get controller socket
-function getController() {
-  for (const [socketId, device] of connectedDevices) {
-    if (device.type === 'controller') {
+// Helper to get the controller in charge (primary)
+function getController(show) {
+  for (const [socketId, device] of show.devices) {
+    if (device.type === 'controller' && device.role === 'primary') {
       return { ...device, socketId };
     }
   }
@@ -58,9 +337,9 @@ function getController() {
 }
 
 // Broadcast screen list to all controllers
-function broadcastScreenList() {
-  const screens = getScreens();
-  connectedDevices.forEach((device, socketId) => {
+function broadcastScreenList(show) {
+  const screens = getScreens(show);
+  show.devices.forEach((device, socketId) => {
     if (device.type === 'controller') {
       io.to(socketId).emit('screenList', screens);
     }
@@ -68,134 +347,960 @@ function broadcastScreenList() {
   if (DEBUG) console.log(`[BROADCAST] Screen list updated: ${screens.length} screens`);
 }
 
+// Add the target server time at which screens should show a color
+function scheduleFrame(color, at = Date.now() + SYNC_PLAYOUT_DELAY) {
+  return typeof color === 'object' && color !== null ? { ...color, at } : { hex: color, at };
+}
+
+// Send a batch of per-screen colors: array of { screenId, color }
+function applyColors(show, colors) {
+  const at = Date.now() + SYNC_PLAYOUT_DELAY; // one target time for the whole frame
+  colors.forEach(({ screenId, color }) => {
+    const device = show.devices.get(screenId);
+    if (!device || device.type !== 'screen') return;
+    device.color = color;
+    io.to(screenId).emit('setColor', scheduleFrame(color, at));
+  });
+}
+
+// Send a batch of per-screen pixel grids (pixelGrid > 1): array of
+// { screenId, w, h, data } with data as w * h RGB bytes, row by row
+function applyPixels(show, frames) {
+  const at = Date.now() + SYNC_PLAYOUT_DELAY;
+  frames.forEach(({ screenId, w, h, data }) => {
+    const device = show.devices.get(screenId);
+    if (!device || device.type !== 'screen' || data.length !== w * h * 3) return;
+    device.color = gridAverage(data); // What the screen list shows for it
+    io.to(screenId).emit('setPixels', { w, h, data: Buffer.from(data.buffer, data.byteOffset, data.byteLength), at });
+  });
+}
+
+function gridAverage(data) {
+  const sum = [0, 0, 0];
+  for (let p = 0; p < data.length; p += 3) {
+    sum[0] += data[p];
+    sum[1] += data[p + 1];
+    sum[2] += data[p + 2];
+  }
+  const cells = data.length / 3;
+  return { r: Math.round(sum[0] / cells), g: Math.round(sum[1] / cells), b: Math.round(sum[2] / cells) };
+}
+
+// Clock reports arrive from every screen; coalesce the resulting list updates
+function scheduleScreenListBroadcast(show) {
+  if (show.screenListTimer) return;
+  show.screenListTimer = setTimeout(() => {
+    show.screenListTimer = null;
+    broadcastScreenList(show);
+  }, 1000);
+}
+
+// Tell every controller what the server is playing
+function broadcastAnimationState(show) {
+  const state = getPlaybackState(show);
+  show.devices.forEach((device, socketId) => {
+    if (device.type === 'controller') {
+      io.to(socketId).emit('animationState', state);
+    }
+  });
+}
+
+// ==========================================
+// CONTROLLER ROLES
+// ==========================================
+
+// Only the primary controller drives the show. Backups take over automatically when
+// the primary leaves (oldest first); observers only watch. Anyone can ask to take over.
+// Roles are per show: each show has its own primary.
+
+function getControllers(show) {
+  const controllers = [];
+  show.devices.forEach((device, socketId) => {
+    if (device.type === 'controller') {
+      controllers.push({ socketId, name: device.name, role: device.role, joinedAt: device.joinedAt });
+    }
+  });
+  return controllers.sort((a, b) => a.joinedAt - b.joinedAt);
+}
+
+function isPrimary(show, socketId) {
+  const device = show.devices.get(socketId);
+  return !!device && device.type === 'controller' && device.role === 'primary';
+}
+
+// Wrap a socket handler so only the primary controller (of the socket's show) can run it
+function primaryOnly(socket, event, handler) {
+  return (...args) => {
+    if (!isPrimary(socket.data.show, socket.id)) {
+      if (DEBUG) console.log(`[ROLES] Rejected ${event} from ${socket.id}`);
+      socket.emit('commandRejected', { event, reason: 'not-primary' });
+      return;
+    }
+    handler(...args);
+  };
+}
+
+function setPrimary(show, socketId, reason) {
+  const next = show.devices.get(socketId);
+  if (!next || next.type !== 'controller') return;
+  const current = getController(show);
+  if (current && current.socketId !== socketId) {
+    show.devices.get(current.socketId).role = 'backup';
+  }
+  next.role = 'primary';
+  clearPendingTakeover(show);
+  console.log(`[ROLES] ${next.name} (${socketId}) is now primary (${reason})`);
+  broadcastControllers(show);
+}
+
+// Primary left: a waiting takeover wins, otherwise the oldest backup
+function promoteBackup(show) {
+  if (show.pendingTakeover && show.devices.has(show.pendingTakeover.from)) {
+    setPrimary(show, show.pendingTakeover.from, 'takeover, primary left');
+    return;
+  }
+  const backup = getControllers(show).find(c => c.role === 'backup');
+  if (backup) {
+    setPrimary(show, backup.socketId, 'primary left');
+  } else {
+    clearPendingTakeover(show);
+    broadcastControllers(show);
+  }
+}
+
+function clearPendingTakeover(show) {
+  if (!show.pendingTakeover) return;
+  clearTimeout(show.pendingTakeover.timer);
+  show.pendingTakeover = null;
+}
+
+// Every controller gets the roster and its own role; the primary also sees a pending takeover
+function broadcastControllers(show) {
+  const controllers = getControllers(show);
+  const primary = controllers.find(c => c.role === 'primary') || null;
+  const requester = show.pendingTakeover ? show.devices.get(show.pendingTakeover.from) : null;
+  controllers.forEach(({ socketId, role }) => {
+    io.to(socketId).emit('controllerRoles', {
+      role,
+      primary: primary ? { socketId: primary.socketId, name: primary.name } : null,
+      controllers: controllers.map(({ socketId: id, name, role: r }) => ({ socketId: id, name, role: r })),
+      takeoverRequest: role === 'primary' && requester
+        ? { from: show.pendingTakeover.from, name: requester.name, timeoutMs: TAKEOVER_TIMEOUT }
+        : null
+    });
+  });
+}
+
+// ==========================================
+// SERVER-SIDE ANIMATION ENGINE
+// ==========================================
+
+function rendersLocally(show, screen) {
+  return show.playbackMode === 'screens' && show.localScene !== null && screen.canRender;
+}
+
+function getPlaybackState(show) {
+  return { ...show.engine.getState(), mode: show.playbackMode };
+}
+
+// Animation time of the local scene at a given server time
+function sceneTimeAt(scene, serverTime) {
+  return scene.timeBase + Math.max(0, serverTime - scene.startedAt) / 1000 * scene.speed;
+}
+
+// Under a modulated speed the engine's clock is the scene's: { timeBase, at, speed },
+// refreshed with every audio update. Screens integrating the speed themselves would
+// drift apart. null otherwise (the scene's own timeBase and speed are the clock).
+function sceneClock(show) {
+  return Modulation.targets(show.localScene.modulations, 'speed') ? show.engine.clock() : null;
+}
+
+// Send the scene (plus the screen's own area) to one screen, or stop it if unmapped
+function sendScene(show, device) {
+  if (!rendersLocally(show, device) || !device.position) {
+    io.to(device.id).emit('stopScene');
+    return;
+  }
+  io.to(device.id).emit('playScene', {
+    ...show.localScene,
+    clock: sceneClock(show),
+    position: device.position,
+    area: device.area || null,
+    quad: device.quad || null,
+    screenIndex: getScreens(show).findIndex(screen => screen.socketId === device.id)
+  });
+}
+
+function broadcastScene(show) {
+  show.devices.forEach((device) => {
+    if (device.type === 'screen') sendScene(show, device);
+  });
+}
+
+// Start or update the local scene. Changes take effect SYNC_PLAYOUT_DELAY from now,
+// continuing from the current animation time so nothing jumps. A new effect with
+// fadeMs crossfades from the previous one (screens blend both from the shared clock).
+function updateLocalScene(show, changes, fadeMs = 0) {
+  const startAt = Date.now() + SYNC_PLAYOUT_DELAY;
+  const previous = show.localScene;
+  const timeBase = previous ? sceneTimeAt(previous, startAt) : 0;
+  const switching = previous && changes.animationType && changes.animationType !== previous.animationType;
+  show.localScene = {
+    animationType: 'gradient',
+    speed: 1,
+    brightness: 1,
+    layers: [],
+    effectParams: {},
+    pixelGrid: 1,
+    tempoSync: false,
+    modulations: [],
+    ...previous,
+    ...changes,
+    fade: switching && fadeMs > 0
+      ? { animationType: previous.animationType, layers: previous.layers, effectParams: previous.effectParams, durationMs: fadeMs }
+      : null,
+    startedAt: startAt,
+    timeBase
+  };
+  broadcastScene(show);
+}
+
+function stopLocalScene(show) {
+  if (!show.localScene) return;
+  show.localScene = null;
+  show.devices.forEach((device) => {
+    if (device.type === 'screen') io.to(device.id).emit('stopScene');
+  });
+}
+
+function sceneChanges(animationType, params = {}) {
+  const changes = {};
+  if (typeof animationType === 'string') changes.animationType = animationType;
+  if (Number.isFinite(params.speed)) changes.speed = params.speed;
+  if (Number.isFinite(params.brightness)) changes.brightness = params.brightness;
+  if (Array.isArray(params.layers)) changes.layers = params.layers;
+  if (params.effectParams) changes.effectParams = params.effectParams;
+  if (Number.isInteger(params.pixelGrid)) changes.pixelGrid = params.pixelGrid;
+  if (typeof params.tempoSync === 'boolean') changes.tempoSync = params.tempoSync;
+  if (Array.isArray(params.modulations)) changes.modulations = params.modulations;
+  return changes;
+}
+
+// ==========================================
+// CUE LISTS
+// ==========================================
+
+// Cues always play on the server engine: it is the only renderer that can crossfade
+function runCue(show, cue, index) {
+  console.log(`[CUE] ${index + 1}${cue.name ? ` "${cue.name}"` : ''}: ${cue.animationType}${cue.fade ? ` (fade ${cue.fade}s)` : ''}`);
+  stopLocalScene(show);
+  show.playbackMode = 'server';
+  show.engine.crossfade(cue.animationType, {
+    speed: cue.speed ?? 1,
+    brightness: cue.brightness ?? 1,
+    tint: cue.tint || null,
+    layers: cue.layers || [],
+    effectParams: cue.effectParams || {}
+  }, (cue.fade || 0) * 1000);
+}
+
+function broadcastCueState(show, state = show.cuePlayer.getState()) {
+  show.devices.forEach((device, socketId) => {
+    if (device.type === 'controller') {
+      io.to(socketId).emit('cueState', state);
+    }
+  });
+}
+
+// Manual playback (play, stop, one-shots) takes over from a running cue list
+function stopCuesForManualControl(show) {
+  if (!show.cuePlayer.getState().running) return;
+  console.log('[CUE] Stopped: manual control');
+  show.cuePlayer.stop();
+}
+
 // ==========================================
 // SOCKET.IO EVENTS
 // ==========================================
 
+// Payload pieces shared by several events
+const socketId = v.string({ maxLength: 64 });
+const animationName = v.string({ maxLength: 64, pattern: /^[\w-]+$/ });
+const point = v.object({ x: v.unit(), y: v.unit() });
+// Tints go straight to ScreenMapping.applyTint, which only reads { r, g, b }
+const rgbColor = v.object({
+  r: v.number({ min: 0, max: 255, clamp: true, integer: true }),
+  g: v.number({ min: 0, max: 255, clamp: true, integer: true }),
+  b: v.number({ min: 0, max: 255, clamp: true, integer: true })
+});
+// Overlays blended on top of the effect (see public/js/compositor.js)
+const animationLayers = v.array(v.object({
+  animationType: animationName,
+  mix: v.number({ min: 0, max: 1, clamp: true }),
+  blend: v.oneOf(Compositor.BLEND_MODES)
+}), { max: 4 });
+// Per-effect parameter overrides, checked against each registered effect's schema
+// (effect modules have registered theirs by now, see loadEffectPlugins)
+function effectParamField(field) {
+  if (field.type === 'number') return v.number({ min: field.min, max: field.max, clamp: true });
+  if (field.type === 'boolean') return v.boolean();
+  if (field.type === 'text') return v.string({ maxLength: field.maxLength });
+  if (field.type === 'select') return v.oneOf(field.options.map(option => option.value));
+  return v.string({ maxLength: 7, pattern: /^#[0-9a-f]{6}$/i });
+}
+const effectParams = v.object(Object.fromEntries(
+  Animations.list().map(effect => [
+    effect.name,
+    v.optional(v.object(Object.fromEntries(effect.params.map(field => [field.name, v.optional(effectParamField(field))]))))
+  ])
+));
+// Cells per side of the picture each screen can get (see ScreenMapping.sampleAreaGrid)
+const MAX_PIXEL_GRID = 16;
+const pixelGrid = v.number({ min: 1, max: MAX_PIXEL_GRID, clamp: true, integer: true });
+// Audio inputs driving the look (see public/js/modulation.js)
+const modulations = v.array(v.object({
+  source: v.oneOf(Modulation.SOURCES),
+  target: v.oneOf(Modulation.TARGETS),
+  effect: v.optional(animationName),
+  param: v.optional(v.string({ maxLength: 64, pattern: /^\w+$/ })),
+  min: v.number({ min: -10000, max: 10000 }),
+  max: v.number({ min: -10000, max: 10000 }),
+  curve: v.oneOf(Object.keys(Modulation.CURVES)),
+  smoothing: v.number({ min: 0, max: 10, clamp: true })
+}), { max: Modulation.MAX });
+const animationParams = v.object({
+  speed: v.optional(v.number({ min: 0, max: 10, clamp: true })),
+  brightness: v.optional(v.number({ min: 0, max: 1, clamp: true })),
+  tint: v.optional(rgbColor),
+  animationType: v.optional(animationName),
+  layers: v.optional(animationLayers),
+  effectParams: v.optional(effectParams),
+  pixelGrid: v.optional(pixelGrid),
+  tempoSync: v.optional(v.boolean()),
+  modulations: v.optional(modulations),
+  fade: v.optional(v.number({ min: 0, max: 30, clamp: true })) // seconds to crossfade into a new animationType
+});
+const MAX_SCREENS = 1000;
+
+// Every event a socket may send: who may send it ('none' = not registered yet), the shape
+// of its payload (null = no payload) and how often ([count, per ms], per socket).
+// Anything missing from this table is dropped.
+const EVENT_RULES = {
+  register: {
+    from: ['none'],
+    rate: [5, 10000],
+    schema: v.object({
+      type: v.oneOf(['screen', 'controller']),
+      name: v.optional(v.string({ maxLength: 64 })),
+      deviceId: v.optional(v.string({ maxLength: 128 })),
+      canRender: v.optional(v.boolean()),
+      role: v.optional(v.oneOf(['backup', 'observer'])),
+      token: v.optional(v.string({ maxLength: 128 })),
+      joinCode: v.optional(v.string({ maxLength: 32 })),
+      show: v.optional(v.string({ maxLength: 32 }))
+    })
+  },
+  timeSync: { from: ['screen', 'controller'], rate: [30, 1000], schema: v.object({ t0: v.number() }) },
+  clockReport: {
+    from: ['screen'],
+    rate: [5, 1000],
+    schema: v.object({
+      offset: v.number({ min: -1e9, max: 1e9 }),
+      rtt: v.number({ min: 0, max: 60000 }),
+      jitter: v.number({ min: 0, max: 60000 })
+    })
+  },
+  requestFlash: {
+    from: ['controller'],
+    rate: [30, 1000],
+    schema: v.object({
+      screenId: socketId,
+      color: v.optional(v.color()),
+      duration: v.optional(v.number({ min: 0, max: 10000, clamp: true }))
+    })
+  },
+  identifyScreens: {
+    from: ['controller'],
+    rate: [10, 1000],
+    schema: v.object({
+      screens: v.array(v.object({ screenId: socketId, color: v.color() }), { max: 16 }),
+      duration: v.optional(v.number({ min: 0, max: 5000, clamp: true }))
+    })
+  },
+  reportPosition: {
+    from: ['controller'],
+    rate: [200, 1000],
+    schema: v.object({
+      screenId: socketId,
+      x: v.unit(),
+      y: v.unit(),
+      area: v.optional(v.object({ x: v.unit(), y: v.unit(), width: v.unit(), height: v.unit() })),
+      quad: v.optional(v.object({
+        corners: v.array(point, { min: 4, max: 4 }),
+        rotation: v.number({ min: -360, max: 360, clamp: true })
+      })),
+      confidence: v.optional(v.number({ min: 0, max: 1, clamp: true })),
+      tracked: v.optional(v.boolean())
+    })
+  },
+  reportMissed: { from: ['controller'], rate: [200, 1000], schema: v.object({ screenId: socketId }) },
+  renameScreen: {
+    from: ['controller'],
+    rate: [10, 1000],
+    schema: v.object({ screenId: socketId, name: v.string({ maxLength: 32 }) })
+  },
+  sendColor: { from: ['controller'], rate: [120, 1000], schema: v.object({ screenId: socketId, color: v.color() }) },
+  sendColors: {
+    from: ['controller'],
+    rate: [120, 1000],
+    schema: v.array(v.object({ screenId: socketId, color: v.color() }), { max: MAX_SCREENS })
+  },
+  sendPixels: {
+    from: ['controller'],
+    rate: [120, 1000],
+    schema: v.array(v.object({
+      screenId: socketId,
+      w: pixelGrid,
+      h: pixelGrid,
+      data: v.bytes({ maxLength: MAX_PIXEL_GRID * MAX_PIXEL_GRID * 3 })
+    }), { max: MAX_SCREENS })
+  },
+  broadcastColor: { from: ['controller'], rate: [60, 1000], schema: v.object({ color: v.color() }) },
+  startAnimation: {
+    from: ['controller'],
+    rate: [10, 1000],
+    schema: v.object({
+      animationType: animationName,
+      params: v.optional(animationParams),
+      mode: v.optional(v.oneOf(['server', 'screens']))
+    })
+  },
+  stopAnimation: { from: ['controller'], rate: [10, 1000], schema: null },
+  setAnimationParams: { from: ['controller'], rate: [60, 1000], schema: animationParams },
+  runOneShot: {
+    from: ['controller'],
+    rate: [20, 1000],
+    schema: v.object({
+      animationType: animationName,
+      durationMs: v.optional(v.number({ min: 50, max: 60000, clamp: true })),
+      params: v.optional(animationParams)
+    })
+  },
+  clearPositions: { from: ['controller'], rate: [5, 1000], schema: null },
+  cueGo: { from: ['controller'], rate: [10, 1000], schema: null },
+  cueGoTo: { from: ['controller'], rate: [10, 1000], schema: v.object({ index: v.number({ min: 0, max: 10000, integer: true }) }) },
+  cueStop: { from: ['controller'], rate: [10, 1000], schema: null },
+  audioLevel: {
+    from: ['controller'],
+    rate: [40, 1000],
+    schema: v.object({
+      level: v.unit(),
+      low: v.optional(v.unit()),
+      mid: v.optional(v.unit()),
+      high: v.optional(v.unit()),
+      loudness: v.optional(v.unit()),
+      centroid: v.optional(v.unit()),
+      bpm: v.optional(v.number({ min: 0, max: 300 })),
+      beat: v.optional(v.number({ min: 0, max: 1e7 }))
+    })
+  },
+  requestTakeover: { from: ['controller'], rate: [2, 1000], schema: null },
+  answerTakeover: { from: ['controller'], rate: [5, 1000], schema: v.object({ accept: v.boolean() }) },
+  handOff: { from: ['controller'], rate: [5, 1000], schema: v.object({ to: socketId }) },
+  setRole: { from: ['controller'], rate: [5, 1000], schema: v.object({ role: v.oneOf(['backup', 'observer']) }) },
+  updateShowState: {
+    from: ['controller'],
+    rate: [60, 1000],
+    schema: v.object({
+      animationType: v.optional(animationName),
+      speed: v.optional(v.number({ min: 0, max: 10, clamp: true })),
+      brightness: v.optional(v.number({ min: 0, max: 1, clamp: true })),
+      tint: v.optional(rgbColor),
+      renderMode: v.optional(v.oneOf(['server', 'screens', 'browser'])),
+      playing: v.optional(v.boolean()),
+      audioBeat: v.optional(v.boolean()),
+      layers: v.optional(animationLayers),
+      effectParams: v.optional(effectParams),
+      pixelGrid: v.optional(pixelGrid),
+      tempoSync: v.optional(v.boolean()),
+      modulations: v.optional(modulations),
+      crossfade: v.optional(v.number({ min: 0, max: 30, clamp: true }))
+    })
+  }
+};
+
 io.on('connection', (socket) => {
   console.log(`[CONNECT] New connection: ${socket.id}`);
+  const clientAddress = socket.handshake.address;
+  const limiter = createRateLimiter();
+  const lastRejectedAt = new Map(); // event -> ms, so a flood gets one reply per second
+  let show = null; // Set on register; every later event acts on this show only
+
+  function reject(event, reason, message) {
+    const now = Date.now();
+    if (now - (lastRejectedAt.get(event) || 0) < 1000) return;
+    lastRejectedAt.set(event, now);
+    socket.emit('commandRejected', { event, reason, message });
+  }
+
+  // Permission, rate limit and payload checks for every incoming event.
+  // Handlers receive the sanitized payload in place of the raw one.
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+    const device = show ? show.devices.get(socket.id) : null;
+    const type = device ? device.type : 'none';
+    const rule = EVENT_RULES[event];
+
+    if (!rule || !rule.from.includes(type)) {
+      if (DEBUG) console.log(`[AUTH] Blocked ${event} from ${type} (${socket.id})`);
+      return reject(event, 'forbidden');
+    }
+    if (!limiter.take(event, rule.rate[0], rule.rate[1])) {
+      if (DEBUG) console.log(`[LIMIT] ${event} from ${socket.id}`);
+      return reject(event, 'rate-limited');
+    }
+    if (rule.schema) {
+      try {
+        packet[1] = validate(rule.schema, payload);
+      } catch (err) {
+        console.warn(`[VALIDATION] ${event} from ${type} (${socket.id}): ${err.message}`);
+        return reject(event, 'invalid-payload', err.message);
+      }
+    }
+    next();
+  });
 
   // Device registration
   socket.on('register', (data) => {
-    const { type, name } = data;
+    const { type, name, deviceId, canRender, role, token, joinCode } = data;
+    const showId = normalizeShowId(data.show);
+
+    // Controllers need a session from /api/login; screens need the join code
+    if (type === 'controller' && !controllerSessions.isValid(token)) {
+      socket.emit('authError', { reason: 'login-required' });
+      return;
+    }
+    if (type === 'screen' && SCREEN_JOIN_CODE) {
+      if (loginThrottle.isLocked(clientAddress)) {
+        socket.emit('authError', { reason: 'locked' });
+        return;
+      }
+      if (!safeEqual(joinCode || '', SCREEN_JOIN_CODE)) {
+        loginThrottle.fail(clientAddress);
+        socket.emit('authError', { reason: 'join-code' });
+        return;
+      }
+      loginThrottle.succeed(clientAddress);
+    }
+
+    // Only after auth, so strangers cannot open shows
+    const joined = showId ? joinShow(showId) : null;
+    if (!joined) {
+      socket.emit('commandRejected', {
+        event: 'register',
+        reason: showId ? 'too-many-shows' : 'invalid-show',
+        message: showId ? `This server already runs ${MAX_SHOWS} shows` : 'Show names use letters, digits, - and _'
+      });
+      return;
+    }
+    show = joined;
+    socket.data.show = show;
+
     const device = {
       id: socket.id,
+      deviceId: deviceId || null, // Persistent token sent by screens
+      canRender: canRender === true, // Screen can render animations locally (scene mode)
       type: type, // 'screen' or 'controller'
       name: name || `Device-${socket.id.slice(0, 6)}`,
       position: null, // Will be set after scanning
+      area: null,
+      quad: null, // { corners: [4 × { x, y }], rotation } normalized, clockwise from top-left
+      confidence: null, // 0-1 detection quality from the last scan (0 = not detected)
       color: null // Current color for screens
     };
+
+    // Controllers: primary if nobody drives yet (unless they only want to watch)
+    if (type === 'controller') {
+      device.joinedAt = Date.now();
+      device.role = role === 'observer' ? 'observer' : 'backup';
+      if (device.role === 'backup' && !getController(show)) device.role = 'primary';
+    }
+
+    // Returning screen: restore what we knew about it
+    const known = type === 'screen' && deviceId ? show.knownScreens.get(deviceId) : null;
+    if (known) {
+      clearTimeout(known.forgetTimer);
+      known.forgetTimer = null;
+      // The old socket may not have timed out yet (Wi-Fi drop) or be a duplicated tab: the newest one wins
+      const staleDevice = known.socketId && known.socketId !== socket.id ? show.devices.get(known.socketId) : null;
+      if (staleDevice) {
+        rememberScreen(show, staleDevice);
+        show.devices.delete(staleDevice.id);
+        const staleSocket = io.sockets.sockets.get(staleDevice.id);
+        if (staleSocket) staleSocket.disconnect(true);
+      }
+      device.name = known.name || device.name;
+      device.position = known.position || null;
+      device.area = known.area || null;
+      device.quad = known.quad || null;
+      device.confidence = known.confidence ?? null;
+      device.color = known.color || null;
+    }
+
+    // New screens get the next free seat name; returning ones keep theirs
+    if (type === 'screen' && !(known && known.name)) device.name = nextScreenName(show);
+
+    show.devices.set(socket.id, device);
+    if (type === 'screen') rememberScreen(show, device);
+    socket.emit('registered', {
+      id: socket.id,
+      deviceId: device.deviceId,
+      name: device.name,
+      show: show.id,
+      // Controllers show it so operators can hand out the screen link
+      joinCode: type === 'controller' ? SCREEN_JOIN_CODE : undefined
+    });
     
-    connectedDevices.set(socket.id, device);
-    socket.emit('registered', { id: socket.id, name: device.name });
-    
-    console.log(`[REGISTER] ${device.type.toUpperCase()}: ${device.name} (${socket.id})`);
+    console.log(`[REGISTER] ${device.type.toUpperCase()}: ${device.name} (${socket.id}) show "${show.id}"${known ? ' [restored]' : ''}`);
     
-    // If it's a screen, notify controllers and push last broadcast color if any
+    // If it's a screen, notify controllers and push its last color (or the last broadcast color)
     if (type === 'screen') {
-      if (lastState.broadcastColor) {
-        device.color = lastState.broadcastColor;
-        io.to(socket.id).emit('setColor', lastState.broadcastColor);
+      if (known && known.color) {
+        io.to(socket.id).emit('setColor', scheduleFrame(known.color));
+      } else if (show.lastState.broadcastColor) {
+        device.color = show.lastState.broadcastColor;
+        io.to(socket.id).emit('setColor', scheduleFrame(show.lastState.broadcastColor));
       }
-      broadcastScreenList();
+      if (show.localScene) sendScene(show, device);
+      broadcastScreenList(show);
     }
     
-    // If it's a controller, send current screen list
+    // If it's a controller, send current screen list and engine state
     if (type === 'controller') {
-      socket.emit('screenList', getScreens());
+      socket.emit('screenList', getScreens(show));
+      socket.emit('animationState', getPlaybackState(show));
+      if (show.showState) socket.emit('showState', show.showState);
+      socket.emit('cueState', show.cuePlayer.getState());
+      broadcastControllers(show);
     }
   });
 
   // Controller requests a specific screen to flash
-  socket.on('requestFlash', (data) => {
+  socket.on('requestFlash', primaryOnly(socket, 'requestFlash', (data) => {
     const { screenId, color, duration } = data;
-    if (DEBUG) console.log(`[FLASH] Requesting ${screenId} to flash ${color}`);
+    const device = show.devices.get(screenId);
+    if (!device || device.type !== 'screen') return;
+    if (DEBUG) console.log(`[FLASH] Requesting ${screenId} to flash ${JSON.stringify(color)}`);
     io.to(screenId).emit('flash', { color: color || 'white', duration: duration || 300 });
-  });
+  }));
+
+  // Controller holds an identification color on a few screens (tracking during a show).
+  // Screens ignore regular frames until the hold ends, whatever is driving them.
+  socket.on('identifyScreens', primaryOnly(socket, 'identifyScreens', (data) => {
+    const { screens: targets, duration } = data;
+    const at = Date.now() + SYNC_PLAYOUT_DELAY;
+    targets.forEach(({ screenId, color }) => {
+      const device = show.devices.get(screenId);
+      if (!device || device.type !== 'screen') return;
+      io.to(screenId).emit('flash', { color, duration: duration || 300, at });
+    });
+  }));
 
   // Controller reports detected position and area of a screen
-  socket.on('reportPosition', (data) => {
-    const { screenId, x, y, area } = data;
-    const device = connectedDevices.get(screenId);
-    if (device) {
-      device.position = { x, y };
-      device.area = area || null; // { x, y, width, height } normalized 0-1
-      connectedDevices.set(screenId, device);
-      
-      if (area) {
-        console.log(`[POSITION] ${device.name}: center(${x.toFixed(3)}, ${y.toFixed(3)}) area(${(area.width * 100).toFixed(1)}% × ${(area.height * 100).toFixed(1)}%)`);
-      } else {
-        console.log(`[POSITION] ${device.name}: (${x.toFixed(3)}, ${y.toFixed(3)})`);
-      }
-      broadcastScreenList();
+  socket.on('reportPosition', primaryOnly(socket, 'reportPosition', (data) => {
+    const { screenId, x, y, area, quad, confidence, tracked } = data;
+    const device = show.devices.get(screenId);
+    if (!device || device.type !== 'screen') return;
+    device.position = { x, y };
+    device.area = area || null; // { x, y, width, height } normalized 0-1
+    device.quad = quad || null; // { corners, rotation } when the detector fitted a quadrilateral
+    if (confidence !== undefined) device.confidence = confidence; // tracking keeps the scan's score
+    show.devices.set(screenId, device);
+    rememberScreen(show, device);
+    if (show.localScene) sendScene(show, device);
+    
+    // Tracking updates arrive every few seconds: keep the log and the screen list quiet
+    if (tracked) {
+      if (DEBUG) console.log(`[TRACK] ${device.name}: (${x.toFixed(3)}, ${y.toFixed(3)})`);
+      scheduleScreenListBroadcast(show);
+      return;
     }
-  });
+
+    if (area) {
+      const rotation = quad ? ` rot ${quad.rotation.toFixed(1)}°` : '';
+      const score = confidence != null ? ` conf ${confidence.toFixed(2)}` : '';
+      console.log(`[POSITION] ${device.name}: center(${x.toFixed(3)}, ${y.toFixed(3)}) area(${(area.width * 100).toFixed(1)}% × ${(area.height * 100).toFixed(1)}%)${rotation}${score}`);
+    } else {
+      console.log(`[POSITION] ${device.name}: (${x.toFixed(3)}, ${y.toFixed(3)})`);
+    }
+    broadcastScreenList(show);
+  }));
+
+  // Controller reports a screen the scan could not find
+  socket.on('reportMissed', primaryOnly(socket, 'reportMissed', (data) => {
+    const device = show.devices.get(data.screenId);
+    if (!device || device.type !== 'screen') return;
+    device.position = null;
+    device.area = null;
+    device.quad = null;
+    device.confidence = 0;
+    rememberScreen(show, device);
+    if (show.localScene) sendScene(show, device);
+    console.log(`[POSITION] ${device.name}: not detected`);
+    broadcastScreenList(show);
+  }));
+
+  // Controller renames a screen; the phone shows its new name
+  socket.on('renameScreen', primaryOnly(socket, 'renameScreen', (data) => {
+    const device = show.devices.get(data.screenId);
+    const name = data.name.trim();
+    if (!device || device.type !== 'screen' || !name || name === device.name) return;
+    if (isScreenNameTaken(show, name, device.id)) {
+      socket.emit('commandRejected', { event: 'renameScreen', reason: 'name-taken', message: name });
+      return;
+    }
+    console.log(`[RENAME] ${device.name} → ${name}`);
+    device.name = name;
+    rememberScreen(show, device);
+    io.to(device.id).emit('renamed', { name });
+    broadcastScreenList(show);
+  }));
 
   // Controller sends color to a specific screen
-  socket.on('sendColor', (data) => {
+  socket.on('sendColor', primaryOnly(socket, 'sendColor', (data) => {
     const { screenId, color } = data;
-    const device = connectedDevices.get(screenId);
-    if (device) {
-      device.color = color;
-    }
-    io.to(screenId).emit('setColor', color);
-  });
+    applyColors(show, [{ screenId, color }]);
+  }));
 
   // Controller sends colors to multiple screens at once (optimized)
-  socket.on('sendColors', (data) => {
+  socket.on('sendColors', primaryOnly(socket, 'sendColors', (data) => {
     // data is array of { screenId, color }
-    data.forEach(({ screenId, color }) => {
-      const device = connectedDevices.get(screenId);
-      if (device) {
-        device.color = color;
-      }
-      io.to(screenId).emit('setColor', color);
-    });
-  });
+    applyColors(show, data);
+  }));
+
+  // Browser rendering with pixelGrid > 1: array of { screenId, w, h, data }
+  socket.on('sendPixels', primaryOnly(socket, 'sendPixels', (frames) => {
+    applyPixels(show, frames);
+  }));
 
   // Controller broadcasts same color to ALL screens
-  socket.on('broadcastColor', (data) => {
+  socket.on('broadcastColor', primaryOnly(socket, 'broadcastColor', (data) => {
     const { color } = data;
     if (DEBUG) console.log(`[BROADCAST] Color to all: ${JSON.stringify(color)}`);
-    lastState.broadcastColor = color;
-    connectedDevices.forEach((device, socketId) => {
+    show.lastState.broadcastColor = color;
+    const frame = scheduleFrame(color);
+    show.devices.forEach((device, socketId) => {
       if (device.type === 'screen') {
         device.color = color;
-        io.to(socketId).emit('setColor', color);
+        io.to(socketId).emit('setColor', frame);
       }
     });
+  }));
+
+  // NTP-style handshake: the screen sends its local send time, we answer with ours
+  socket.on('timeSync', (data) => {
+    socket.emit('timeSyncReply', { t0: data.t0, serverTime: Date.now() });
   });
 
-  // Controller starts an animation
-  socket.on('startAnimation', (data) => {
-    const { animationType, params } = data;
-    console.log(`[ANIMATION] Starting: ${animationType}`);
-    // Animation runs on controller, this is just for logging/sync
+  // Screen reports its estimated clock offset (server - local, ms), round trip and jitter
+  socket.on('clockReport', (data) => {
+    const device = show.devices.get(socket.id);
+    if (!device || device.type !== 'screen') return;
+    const { offset, rtt, jitter } = data;
+    device.clock = { offset, rtt, jitter, updatedAt: Date.now() };
+    if (DEBUG) console.log(`[CLOCK] ${device.name}: offset ${offset}ms rtt ${rtt}ms jitter ${jitter}ms`);
+    scheduleScreenListBroadcast(show);
   });
 
+  // Controller starts an animation rendered by the server engine, or by the screens
+  // themselves with mode 'screens' (or switches the running one without resetting its clock)
+  socket.on('startAnimation', primaryOnly(socket, 'startAnimation', (data) => {
+    const { animationType, params, mode } = data;
+    const nextMode = mode === 'screens' ? 'screens' : 'server';
+    stopCuesForManualControl(show);
+    console.log(`[ANIMATION] Starting: ${animationType} (${nextMode})`);
+    if (nextMode !== show.playbackMode) {
+      stopLocalScene(show);
+      show.playbackMode = nextMode;
+    }
+    // Engine first: the scene sent to the screens carries its clock (see sceneClock)
+    show.engine.start(animationType, params || {});
+    if (show.playbackMode === 'screens') {
+      updateLocalScene(show, sceneChanges(animationType, params));
+    }
+  }));
+
+  socket.on('stopAnimation', primaryOnly(socket, 'stopAnimation', () => {
+    if (show.engine.getState().running) {
+      console.log('[ANIMATION] Stopped');
+    }
+    stopCuesForManualControl(show);
+    stopLocalScene(show);
+    show.engine.stop();
+  }));
+
+  // Speed / brightness / tint / effect changes while playing
+  // A new animationType with `fade` (seconds) crossfades instead of cutting
+  socket.on('setAnimationParams', primaryOnly(socket, 'setAnimationParams', (params) => {
+    const { fade, ...rest } = params;
+    const fadeMs = (fade || 0) * 1000;
+    const engineState = show.engine.getState();
+    if (fadeMs > 0 && rest.animationType && rest.animationType !== engineState.animationType
+      && engineState.running && !engineState.oneShot) {
+      show.engine.crossfade(rest.animationType, rest, fadeMs);
+    } else {
+      show.engine.setParams(rest);
+    }
+    const changes = sceneChanges(rest.animationType, rest);
+    if (show.localScene && Object.keys(changes).length > 0) {
+      updateLocalScene(show, changes, fadeMs);
+    }
+  }));
+
+  // One-shot effect (pulse button, audio beats): plays once, then holds the last frame.
+  // Always streamed by the engine.
+  socket.on('runOneShot', primaryOnly(socket, 'runOneShot', (data) => {
+    const { animationType, durationMs, params } = data;
+    if (show.engine.getState().oneShot) return;
+    stopCuesForManualControl(show);
+    stopLocalScene(show);
+    show.playbackMode = 'server';
+    if (show.engine.runOneShot(animationType, durationMs || 1200, params || {})) {
+      if (DEBUG) console.log(`[ANIMATION] One-shot: ${animationType}`);
+    }
+  }));
+
   // Clear all positions (for re-scanning)
-  socket.on('clearPositions', () => {
-    connectedDevices.forEach((device, socketId) => {
+  socket.on('clearPositions', primaryOnly(socket, 'clearPositions', () => {
+    show.devices.forEach((device, socketId) => {
       if (device.type === 'screen') {
         device.position = null;
         device.area = null;
+        device.quad = null;
+        device.confidence = null;
+        rememberScreen(show, device);
       }
     });
-    broadcastScreenList();
+    if (show.localScene) broadcastScene(show);
+    broadcastScreenList(show);
     console.log('[CLEAR] All screen positions and areas cleared');
+  }));
+
+  // Cue list transport (the list itself is loaded over HTTP)
+  socket.on('cueGo', primaryOnly(socket, 'cueGo', () => {
+    if (!show.cuePlayer.go()) socket.emit('commandRejected', { event: 'cueGo', reason: 'no-cues' });
+  }));
+
+  socket.on('cueGoTo', primaryOnly(socket, 'cueGoTo', (data) => {
+    show.cuePlayer.goTo(data.index);
+  }));
+
+  socket.on('cueStop', primaryOnly(socket, 'cueStop', () => {
+    if (show.cuePlayer.getState().running) console.log('[CUE] Stopped');
+    show.cuePlayer.stop();
+  }));
+
+  // Live microphone analysis from the controller (bass level, band levels, loudness,
+  // spectral centroid, tempo): the engine's effects and the screens rendering locally
+  // both see it as their audio inputs (and modulations follow it). The beat count is
+  // stamped with the server clock here, so every renderer shares one grid.
+  socket.on('audioLevel', primaryOnly(socket, 'audioLevel', (data) => {
+    const { level, low = level, mid = 0, high = 0, loudness = 0, centroid = 0, bpm = 0, beat } = data;
+    const tempo = bpm > 0 && beat !== undefined ? { bpm, beat, at: Date.now() } : null;
+    show.engine.setInputs({ audio: level, low, mid, high, loudness, centroid, tempo });
+    if (!show.localScene) return;
+    const clock = sceneClock(show);
+    show.devices.forEach((device) => {
+      if (device.type === 'screen' && rendersLocally(show, device)) {
+        io.to(device.id).emit('audioLevel', { level, low, mid, high, loudness, centroid, tempo, clock });
+      }
+    });
+  }));
+
+  // Non-primary controller asks to drive. The primary can accept or deny;
+  // silence for TAKEOVER_TIMEOUT counts as yes (an unattended tab must not block the show)
+  socket.on('requestTakeover', () => {
+    const device = show.devices.get(socket.id);
+    if (!device || device.type !== 'controller' || device.role === 'primary') return;
+    const current = getController(show);
+    if (!current) {
+      setPrimary(show, socket.id, 'no primary');
+      return;
+    }
+    if (show.pendingTakeover) {
+      socket.emit('commandRejected', { event: 'requestTakeover', reason: 'takeover-pending' });
+      return;
+    }
+    show.pendingTakeover = {
+      from: socket.id,
+      timer: setTimeout(() => setPrimary(show, socket.id, 'takeover, no answer'), TAKEOVER_TIMEOUT)
+    };
+    console.log(`[ROLES] ${device.name} asks ${current.name} for control`);
+    broadcastControllers(show);
+  });
+
+  socket.on('answerTakeover', primaryOnly(socket, 'answerTakeover', (data) => {
+    if (!show.pendingTakeover) return;
+    if (data && data.accept) {
+      setPrimary(show, show.pendingTakeover.from, 'takeover accepted');
+      return;
+    }
+    io.to(show.pendingTakeover.from).emit('commandRejected', { event: 'requestTakeover', reason: 'denied' });
+    clearPendingTakeover(show);
+    broadcastControllers(show);
+  }));
+
+  // Primary hands control to another controller
+  socket.on('handOff', primaryOnly(socket, 'handOff', (data) => {
+    const target = data && show.devices.get(data.to);
+    if (!target || target.type !== 'controller' || target.id === socket.id) return;
+    setPrimary(show, data.to, `handed off by ${show.devices.get(socket.id).name}`);
+  }));
+
+  // Non-primary controllers switch between backup and observer (the primary hands off instead)
+  socket.on('setRole', (data) => {
+    const device = show.devices.get(socket.id);
+    if (!device || device.type !== 'controller' || device.role === 'primary') return;
+    device.role = data && data.role === 'observer' ? 'observer' : 'backup';
+    broadcastControllers(show);
   });
 
+  // Primary publishes what it is showing; everyone else mirrors it
+  socket.on('updateShowState', primaryOnly(socket, 'updateShowState', (data) => {
+    show.showState = { ...data, updatedAt: Date.now() };
+    show.devices.forEach((device, socketId) => {
+      if (device.type === 'controller' && socketId !== socket.id) {
+        io.to(socketId).emit('showState', show.showState);
+      }
+    });
+  }));
+
   // Handle disconnection
   socket.on('disconnect', () => {
-    const device = connectedDevices.get(socket.id);
+    if (!show) return;
+    const device = show.devices.get(socket.id);
     if (device) {
       console.log(`[DISCONNECT] ${device.type.toUpperCase()}: ${device.name}`);
-      connectedDevices.delete(socket.id);
+      show.devices.delete(socket.id);
       
       if (device.type === 'screen') {
-        broadcastScreenList();
+        if (device.deviceId) {
+          rememberScreen(show, device);
+          scheduleForgetScreen(show, device.deviceId);
+        }
+        broadcastScreenList(show);
+      }
+
+      if (device.type === 'controller') {
+        if (show.pendingTakeover && show.pendingTakeover.from === socket.id) clearPendingTakeover(show);
+        if (device.role === 'primary') {
+          promoteBackup(show);
+        } else {
+          broadcastControllers(show);
+        }
       }
     }
+    releaseShow(show);
   });
 });
 
@@ -203,20 +1308,414 @@ io.on('connection', (socket) => {
 // HTTP ROUTES
 // ==========================================
 
-// Health check
+// Controller login: PIN -> session token (sent on register and as a Bearer header)
+app.post('/api/login', (req, res) => {
+  const pin = req.body && req.body.pin;
+  if (loginThrottle.isLocked(req.ip)) {
+    return res.status(429).json({ error: 'Too many attempts, try again later' });
+  }
+  if (typeof pin !== 'string' || !safeEqual(pin, CONTROLLER_PIN)) {
+    loginThrottle.fail(req.ip);
+    console.log(`[AUTH] Failed controller login from ${req.ip}`);
+    return res.status(401).json({ error: 'Wrong PIN' });
+  }
+  loginThrottle.succeed(req.ip);
+  res.json({ token: controllerSessions.create() });
+});
+
+app.post('/api/logout', (req, res) => {
+  controllerSessions.revoke(bearerToken(req));
+  res.json({ ok: true });
+});
+
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+function requireSession(req, res, next) {
+  if (!controllerSessions.isValid(bearerToken(req))) {
+    return res.status(401).json({ error: 'Login required' });
+  }
+  next();
+}
+
+// ?show=<id> picks the show (the default one when omitted)
+function requireShow(req, res, next) {
+  const showId = normalizeShowId(req.query.show);
+  const show = showId ? shows.get(showId) : null;
+  if (!show) {
+    return res.status(404).json({ error: 'Show not found' });
+  }
+  req.show = show;
+  next();
+}
+
+function showSummary(show) {
+  const screens = getScreens(show);
+  const controllers = getControllers(show);
+  return {
+    id: show.id,
+    screens: screens.length,
+    mapped: screens.filter(screen => screen.position).length,
+    controllers: controllers.length,
+    primary: controllers.some(c => c.role === 'primary'),
+    playing: show.engine.getState().running || show.localScene !== null
+  };
+}
+
+// Every effect this server knows: built-in ones and those from EFFECTS_DIR. Screens load
+// the plugin scripts too, so this needs no session.
+app.get('/api/effects', (req, res) => {
+  const sourceOf = new Map();
+  effectPlugins.forEach(plugin => plugin.effects.forEach(name => sourceOf.set(name, plugin.file)));
+  res.json({
+    effects: Animations.list().map(({ name, label, category, preview, params }) => ({
+      name, label, category, preview, params, source: sourceOf.get(name) || null
+    })),
+    plugins: effectPlugins,
+    expressions: [...expressions.values()].map(({ name, source }) => ({ name, source }))
+  });
+});
+
+// Health check: one show with ?show=<id>, otherwise every show
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', screens: getScreens().length });
+  if (req.query.show !== undefined) {
+    return requireShow(req, res, () => res.json({ status: 'ok', ...showSummary(req.show) }));
+  }
+  const summaries = [...shows.values()].map(showSummary);
+  res.json({
+    status: 'ok',
+    screens: summaries.reduce((total, show) => total + show.screens, 0),
+    shows: summaries
+  });
 });
 
-// Get current state (for debugging)
-app.get('/api/state', (req, res) => {
+// Get current state of one show (for debugging)
+app.get('/api/state', requireSession, requireShow, (req, res) => {
+  const { show } = req;
   res.json({
-    screens: getScreens(),
-    controller: getController(),
-    lastState
+    show: show.id,
+    screens: getScreens(show),
+    controller: getController(show),
+    controllers: getControllers(show),
+    showState: show.showState,
+    lastState: show.lastState,
+    animation: getPlaybackState(show),
+    scene: show.localScene,
+    cues: show.cuePlayer.getState()
   });
 });
 
+// First non-internal IPv4 address, so phones on the same network can reach us
+function lanAddress() {
+  for (const addresses of Object.values(networkInterfaces())) {
+    const address = (addresses || []).find(a => a.family === 'IPv4' && !a.internal);
+    if (address) return address.address;
+  }
+  return 'localhost';
+}
+
+// Link a phone opens to join a show as a screen (carries the join code)
+function screenJoinUrl(show) {
+  const params = new URLSearchParams();
+  if (show.id !== DEFAULT_SHOW) params.set('show', show.id);
+  if (SCREEN_JOIN_CODE) params.set('join', SCREEN_JOIN_CODE);
+  const query = params.toString();
+  const base = (PUBLIC_URL || `http://${lanAddress()}:${PORT}`).replace(/\/+$/, '');
+  return `${base}/screen.html${query ? `?${query}` : ''}`;
+}
+
+// Screen join link and its QR code (SVG) for the controller to display
+app.get('/api/join-link', requireSession, requireShow, async (req, res) => {
+  try {
+    const url = screenJoinUrl(req.show);
+    const qr = await QRCode.toString(url, { type: 'svg', margin: 2, errorCorrectionLevel: 'M' });
+    res.json({ show: req.show.id, url, qr });
+  } catch (err) {
+    console.error('[QR] Could not build the join code:', err);
+    res.status(500).json({ error: 'Could not build the QR code' });
+  }
+});
+
+// Changing things over HTTP is for the show's primary controller too (it sends its socket id).
+// Goes after requireSession and requireShow.
+function requirePrimary(req, res, next) {
+  if (!isPrimary(req.show, req.get('X-Controller-Id'))) {
+    return res.status(403).json({ error: 'Only the primary controller can do that' });
+  }
+  next();
+}
+
+// Saved layouts (scanned screen maps)
+app.get('/api/layouts', requireSession, requireShow, async (req, res) => {
+  try {
+    const layouts = await req.show.layoutStore.list();
+    res.json(layouts
+      .map(layout => ({ name: layout.name, savedAt: layout.savedAt, screens: layout.screens.length }))
+      .sort((a, b) => a.name.localeCompare(b.name)));
+  } catch (err) {
+    console.error('[LAYOUT] List failed:', err);
+    res.status(500).json({ error: 'Could not list layouts' });
+  }
+});
+
+app.post('/api/layouts', requireSession, requireShow, requirePrimary, async (req, res) => {
+  const name = req.body && typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name) {
+    return res.status(400).json({ error: 'Layout name is required' });
+  }
+  try {
+    const layout = captureLayout(req.show, name);
+    await req.show.layoutStore.save(name, layout);
+    console.log(`[LAYOUT] Saved "${name}" in "${req.show.id}" (${layout.screens.length} screens)`);
+    res.json({ name, savedAt: layout.savedAt, screens: layout.screens.length });
+  } catch (err) {
+    console.error('[LAYOUT] Save failed:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/layouts/:name/load', requireSession, requireShow, requirePrimary, async (req, res) => {
+  try {
+    const layout = await req.show.layoutStore.load(req.params.name);
+    if (!layout) {
+      return res.status(404).json({ error: 'Layout not found' });
+    }
+    applyLayout(req.show, layout);
+    console.log(`[LAYOUT] Loaded "${layout.name}" in "${req.show.id}" (${layout.screens.length} screens)`);
+    res.json({ name: layout.name, screens: layout.screens.length });
+  } catch (err) {
+    console.error('[LAYOUT] Load failed:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/layouts/:name', requireSession, requireShow, requirePrimary, async (req, res) => {
+  try {
+    const removed = await req.show.layoutStore.remove(req.params.name);
+    if (!removed) {
+      return res.status(404).json({ error: 'Layout not found' });
+    }
+    console.log(`[LAYOUT] Deleted "${req.params.name}" in "${req.show.id}"`);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[LAYOUT] Delete failed:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Saved cue lists (pre-programmed shows)
+const cueListSchema = v.object({
+  name: v.string({ maxLength: 64 }),
+  loop: v.optional(v.boolean()),
+  cues: v.array(v.object({
+    name: v.optional(v.string({ maxLength: 64 })),
+    animationType: animationName,
+    layers: v.optional(animationLayers),
+    effectParams: v.optional(effectParams),
+    tint: v.optional(rgbColor),
+    speed: v.optional(v.number({ min: 0, max: 10, clamp: true })),
+    brightness: v.optional(v.number({ min: 0, max: 1, clamp: true })),
+    duration: v.optional(v.number({ min: 0.1, max: 24 * 3600 })), // seconds; none = wait for GO
+    fade: v.optional(v.number({ min: 0, max: 60, clamp: true })),
+    bangs: v.optional(v.array(v.object({
+      at: v.number({ min: 0, max: 24 * 3600 }),
+      color: v.optional(rgbColor)
+    }), { max: 100 }))
+  }), { min: 1, max: 500 })
+});
+
+app.get('/api/cuelists', requireSession, requireShow, async (req, res) => {
+  try {
+    const lists = await req.show.cueStore.list();
+    res.json(lists
+      .map(list => ({ name: list.name, savedAt: list.savedAt, cues: list.cues.length }))
+      .sort((a, b) => a.name.localeCompare(b.name)));
+  } catch (err) {
+    console.error('[CUE] List failed:', err);
+    res.status(500).json({ error: 'Could not list cue lists' });
+  }
+});
+
+app.get('/api/cuelists/:name', requireSession, requireShow, async (req, res) => {
+  try {
+    const list = await req.show.cueStore.load(req.params.name);
+    if (!list) {
+      return res.status(404).json({ error: 'Cue list not found' });
+    }
+    res.json(list);
+  } catch (err) {
+    console.error('[CUE] Read failed:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/cuelists', requireSession, requireShow, requirePrimary, async (req, res) => {
+  let list;
+  try {
+    list = validate(cueListSchema, req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  list.name = list.name.trim();
+  if (!list.name) {
+    return res.status(400).json({ error: 'Cue list name is required' });
+  }
+  try {
+    list.savedAt = new Date().toISOString();
+    await req.show.cueStore.save(list.name, list);
+    console.log(`[CUE] Saved "${list.name}" in "${req.show.id}" (${list.cues.length} cues)`);
+    res.json({ name: list.name, savedAt: list.savedAt, cues: list.cues.length });
+  } catch (err) {
+    console.error('[CUE] Save failed:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Load a list into the show's player; GO starts it
+app.post('/api/cuelists/:name/load', requireSession, requireShow, requirePrimary, async (req, res) => {
+  try {
+    const list = await req.show.cueStore.load(req.params.name);
+    if (!list) {
+      return res.status(404).json({ error: 'Cue list not found' });
+    }
+    req.show.cuePlayer.load(validate(cueListSchema, list));
+    console.log(`[CUE] Loaded "${list.name}" in "${req.show.id}" (${list.cues.length} cues)`);
+    res.json({ name: list.name, cues: list.cues.length });
+  } catch (err) {
+    console.error('[CUE] Load failed:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/cuelists/:name', requireSession, requireShow, requirePrimary, async (req, res) => {
+  try {
+    const removed = await req.show.cueStore.remove(req.params.name);
+    if (!removed) {
+      return res.status(404).json({ error: 'Cue list not found' });
+    }
+    console.log(`[CUE] Deleted "${req.params.name}" in "${req.show.id}"`);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[CUE] Delete failed:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Saved expression effects (shared by every show; the primary controller of any show
+// edits them). Every socket hears about changes so controllers and locally rendering
+// screens recompile them right away.
+const expressionSchema = v.object({
+  name: v.string({ maxLength: 32, pattern: EXPRESSION_NAME_PATTERN }),
+  source: v.string({ maxLength: Expressions.MAX_SOURCE })
+});
+
+app.get('/api/expressions', requireSession, (req, res) => {
+  res.json([...expressions.values()].sort((a, b) => a.name.localeCompare(b.name)));
+});
+
+app.post('/api/expressions', requireSession, requireShow, requirePrimary, async (req, res) => {
+  let expression;
+  try {
+    expression = validate(expressionSchema, req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const problem = Expressions.check(expression.source);
+  if (problem) {
+    return res.status(400).json({ error: problem.message, line: problem.line, column: problem.column });
+  }
+  try {
+    expression.savedAt = new Date().toISOString();
+    await expressionStore.save(expression.name, expression);
+    expressions.set(expression.name, expression);
+    Expressions.install(Animations, expression.name, expression.source);
+    io.emit('expression', { name: expression.name, source: expression.source });
+    console.log(`[EXPRESSIONS] Saved "${expression.name}"`);
+    res.json({ ...expression, effect: Expressions.effectName(expression.name) });
+  } catch (err) {
+    console.error('[EXPRESSIONS] Save failed:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Shows still playing it fall back to gradient
+app.delete('/api/expressions/:name', requireSession, requireShow, requirePrimary, async (req, res) => {
+  try {
+    const removed = await expressionStore.remove(req.params.name);
+    if (!removed) {
+      return res.status(404).json({ error: 'Expression not found' });
+    }
+    expressions.delete(req.params.name);
+    Animations.unregister(Expressions.effectName(req.params.name));
+    io.emit('expression', { name: req.params.name, source: null });
+    console.log(`[EXPRESSIONS] Deleted "${req.params.name}"`);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[EXPRESSIONS] Delete failed:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Uploaded media (shared by every show). The body is the file itself, with its MIME type
+// as Content-Type and the file name in X-Media-Name; uploading a name again replaces it.
+const mediaStore = createMediaStore(MEDIA_DIR);
+const mediaBody = express.raw({ type: Object.keys(MEDIA_TYPES), limit: `${MEDIA_MAX_MB}mb` });
+
+function readMediaBody(req, res, next) {
+  mediaBody(req, res, (err) => {
+    if (err) {
+      const tooLarge = err.type === 'entity.too.large';
+      return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? `File too large (max ${MEDIA_MAX_MB} MB)` : err.message });
+    }
+    next();
+  });
+}
+
+const mediaWithUrl = (item) => ({ ...item, url: `/media/${encodeURIComponent(item.file)}` });
+
+app.get('/api/media', requireSession, async (req, res) => {
+  try {
+    const items = await mediaStore.list();
+    res.json(items.map(mediaWithUrl).sort((a, b) => a.name.localeCompare(b.name)));
+  } catch (err) {
+    console.error('[MEDIA] List failed:', err);
+    res.status(500).json({ error: 'Could not list media' });
+  }
+});
+
+app.post('/api/media', requireSession, requireShow, requirePrimary, readMediaBody, async (req, res) => {
+  const type = (req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+  if (!MEDIA_TYPES[type] || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(415).json({ error: `Expected an image or video (${Object.keys(MEDIA_TYPES).join(', ')})` });
+  }
+  try {
+    // Name from the header (URI-encoded, headers are ASCII), without the file extension
+    const name = decodeURIComponent(req.get('X-Media-Name') || '').replace(/\.[^.]*$/, '');
+    const item = await mediaStore.save(name, type, req.body);
+    console.log(`[MEDIA] Saved "${item.file}" (${Math.round(item.size / 1024)} KB)`);
+    res.json(mediaWithUrl(item));
+  } catch (err) {
+    console.error('[MEDIA] Save failed:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/media/:name', requireSession, requireShow, requirePrimary, async (req, res) => {
+  try {
+    const removed = await mediaStore.remove(req.params.name);
+    if (!removed) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    console.log(`[MEDIA] Deleted "${req.params.name}"`);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[MEDIA] Delete failed:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // ==========================================
 // START SERVER
 // ==========================================
@@ -234,4 +1733,10 @@ server.listen(PORT, () => {
   console.log('║  💡 TIP: Connect from other devices using your local IP  ║');
   console.log('╚═══════════════════════════════════════════════════════════╝');
   console.log('');
+  if (!process.env.CONTROLLER_PIN) console.log(`🔑 Controller PIN: ${CONTROLLER_PIN} (set CONTROLLER_PIN to choose one)`);
+  console.log(`🎭 Shows:          add ?show=<name> to both links (default "${DEFAULT_SHOW}", up to ${MAX_SHOWS})`);
+  console.log(`🧩 Effects:        ${Animations.list().length} (extra modules: ${EFFECTS_DIR}, ${effectPlugins.length} loaded)`);
+  console.log(`🖼️  Media:          ${MEDIA_DIR} (uploads up to ${MEDIA_MAX_MB} MB)`);
+  console.log(`📱 Screen link:    ${screenJoinUrl(shows.get(DEFAULT_SHOW))}${SCREEN_JOIN_CODE ? '' : ' (no join code, SCREEN_JOIN_CODE=off)'}`);
+  console.log('');
 });